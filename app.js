@@ -1,14 +1,44 @@
 /**
  * 정산 앱 (의존성 없음)
- * - 입력/저장: 거래 내역 저장 (4가지 통화: 원화, 방콕뱅크, 카시컨, 달러)
+ * - 입력/저장: 거래 내역 저장 (계좌 탭에서 관리하는 계좌별 입금/출금. 기본: 원화, 방콕뱅크, 카시컨, 달러)
  * - 정산서(행사별): 월별 > 행사명 단위로 내역 묶고, 가이드 정산 포함
  * - 수익: 월별로 묶어서 여러 정산서(행사) 합산 + 지출 직접 입력
  * - 저장: localStorage
  */
 
+// 저장소 키의 _v2는 키 이름일 뿐이며, 데이터 형태는 SCHEMA_VERSION_KEY의 스키마 버전으로 관리
 const STORAGE_KEY = "soo_money_check_entries_v2";
 const REPORT_STORAGE_KEY = "soo_money_check_event_reports_v2";
 const PROFIT_STORAGE_KEY = "soo_money_check_profit_tab_v2";
+const TRASH_STORAGE_KEY = "soo_money_check_trash_v2";
+const CLIENT_STORAGE_KEY = "soo_money_check_clients_v2";
+const ACCOUNT_STORAGE_KEY = "soo_money_check_accounts_v2";
+const RATE_STORAGE_KEY = "soo_money_check_exchange_rates_v2";
+const RECONCILE_STORAGE_KEY = "soo_money_check_reconciliations_v2";
+const STATEMENT_STORAGE_KEY = "soo_money_check_bank_statements_v2";
+const CATEGORY_STORAGE_KEY = "soo_money_check_categories_v2";
+const MONTH_CLOSE_STORAGE_KEY = "soo_money_check_month_closes_v2";
+const AUDIT_STORAGE_KEY = "soo_money_check_audit_log_v2";
+const GUIDE_STORAGE_KEY = "soo_money_check_guides_v2";
+const SCHEMA_VERSION_KEY = "soo_money_check_schema_version";
+const MIGRATION_BACKUP_KEY = "soo_money_check_migration_backup";
+const STORAGE_KEY_PREFIX = "soo_money_check_";
+// 브라우저 localStorage 한도 (보통 약 5MB = 문자 약 500만 개). 80%를 넘으면 상단에 저장 공간 경고
+const STORAGE_QUOTA_CHARS = 5_000_000;
+const STORAGE_WARN_RATIO = 0.8;
+
+// 현재 저장소 스키마 버전. 저장된 데이터를 바꾸는 마이그레이션 단계를 추가할 때만 올림
+// (13~17은 예전에 필드 추가만으로 올렸던 버전이라 단계가 없음. 이미 저장된 버전 값과 맞추려고 유지)
+const CURRENT_SCHEMA_VERSION = 17;
+
+// 휴지통에 보관하는 전체 스냅샷 개수 (localStorage 용량 보호)
+const TRASH_SNAPSHOT_LIMIT = 5;
+// 실행 취소 안내 표시 시간
+const UNDO_TOAST_MS = 8000;
+
+// 백업 파일 형식 (형식이 바뀌면 버전을 올리고 복원 시 변환)
+const BACKUP_APP_ID = "soo_money_check";
+const BACKUP_FORMAT_VERSION = 1;
 
 /** @typedef {{
  *  id: string,
@@ -16,19 +46,29 @@ const PROFIT_STORAGE_KEY = "soo_money_check_profit_tab_v2";
  *  client: string,
  *  eventName: string,
  *  eventDetail: string,
- *  krwIncome: number,
- *  krwExpense: number,
- *  bbIncome: number,
- *  bbExpense: number,
- *  kbIncome: number,
- *  kbExpense: number,
- *  usdIncome: number,
- *  usdExpense: number,
+ *  eventKey: string, // 직접 지정한 행사 키 (""이면 행사명/기간으로 자동 연결)
+ *  [amountField: string]: any, // 계좌별 금액: `${계좌 id}Income`, `${계좌 id}Expense` (예: krwIncome, bbExpense)
  *  memo: string,
- *  createdAt: number
+ *  categoryId: string, // 분류 id (""이면 미분류)
+ *  tags: string[], // 자유 태그 (# 없이 저장)
+ *  kind: "" | "transfer", // "transfer"면 계좌 간 이체/환전 (잔액에만 반영, 정산서/수익 제외)
+ *  allocations: Allocation[], // 여러 행사로 나눈 배분 줄 (비어 있으면 행사명/행사 지정을 따름)
+ *  clearedAccounts: string[], // 은행 명세서에서 확인(대사)한 계좌 id
+ *  createdAt: number,
+ *  updatedAt: number
  * }} Entry
  */
 
+/** @typedef {{
+ *  eventKey: string,
+ *  percent: number | null, // 비율(%)이면 모든 금액에 같은 비율, null이면 amounts
+ *  amounts: Object<string, number> // 계좌별 금액 필드 -> 배분 금액
+ * }} Allocation
+ */
+
+// 저장소 읽기/마이그레이션 실패 기록 (화면 상단에 표시)
+const storageErrors = [];
+
 function $(id) {
   const el = document.getElementById(id);
   if (!el) throw new Error(`Element not found: ${id}`);
@@ -62,16 +102,59 @@ function safeEventKey(eventName, yearMonth) {
   return ym ? `${ym}::${name}` : name;
 }
 
-// 날짜 자동 변환: 20260202 -> 2026-02-02
-function parseInputDate(input) {
-  const trimmed = safeTrim(input).replace(/[^0-9]/g, "");
-  if (trimmed.length === 8) {
-    const year = trimmed.substring(0, 4);
-    const month = trimmed.substring(4, 6);
-    const day = trimmed.substring(6, 8);
-    return `${year}-${month}-${day}`;
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// 로컬 시간 기준 YYYY-MM-DD
+function formatLocalDate(d) {
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+const DATE_FORMAT_HINT = "20260202, 2026-02-02, 2026.02.02, 0202(올해), 오늘, 어제";
+
+// 날짜 입력 변환 (달력 검증 포함)
+// - 20260202 / 2026-02-02 / 2026.02.02 / 2026/2/2 -> 2026-02-02
+// - 0202 -> 올해 02-02
+// - 오늘 / 어제
+// @returns {{ date: string, error: string }} 실패 시 date는 빈 문자열
+function parseInputDate(input, today = new Date()) {
+  const raw = safeTrim(input);
+  if (!raw) return { date: "", error: "날짜를 입력하세요." };
+
+  if (raw === "오늘" || raw === "어제") {
+    const d = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    if (raw === "어제") d.setDate(d.getDate() - 1);
+    return { date: formatLocalDate(d), error: "" };
+  }
+
+  let parts = null;
+  const separated = raw.match(/^(\d{4})[-./](\d{1,2})[-./](\d{1,2})\.?$/);
+  if (separated) parts = [separated[1], separated[2], separated[3]];
+  else if (/^\d{8}$/.test(raw)) parts = [raw.substring(0, 4), raw.substring(4, 6), raw.substring(6, 8)];
+  else if (/^\d{4}$/.test(raw)) parts = [String(today.getFullYear()), raw.substring(0, 2), raw.substring(2, 4)];
+
+  if (!parts) return { date: "", error: `날짜 형식이 올바르지 않습니다. (예: ${DATE_FORMAT_HINT})` };
+
+  const [year, month, day] = parts;
+  if (!isValidCalendarDate(year, month, day)) {
+    return { date: "", error: `존재하지 않는 날짜입니다: ${year}-${pad2(month)}-${pad2(day)}` };
   }
-  return input;
+  return { date: `${year}-${pad2(month)}-${pad2(day)}`, error: "" };
+}
+
+// 실제 달력상 존재하는 날짜인지 확인
+function isValidCalendarDate(year, month, day) {
+  const y = Number(year), m = Number(month), d = Number(day);
+  if (!Number.isInteger(y) || !Number.isInteger(m) || !Number.isInteger(d)) return false;
+  if (y < 1900 || y > 2999 || m < 1 || m > 12 || d < 1) return false;
+  return d <= new Date(y, m, 0).getDate();
+}
+
+// 저장된 날짜 문자열이 YYYY-MM-DD 형식의 실제 날짜인지
+function isValidDateString(dateStr) {
+  const m = String(dateStr ?? "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return Boolean(m) && isValidCalendarDate(m[1], m[2], m[3]);
 }
 
 // YYYY-MM-DD에서 YYYY-MM 추출
@@ -85,36 +168,430 @@ function loadEntries() {
   try {
     const raw = localStorage.getItem(STORAGE_KEY);
     if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return [];
-    return parsed
-      .filter(Boolean)
-      .map((e) => ({
-        id: String(e.id ?? makeId()),
-        date: String(e.date ?? ""),
-        client: String(e.client ?? ""),
-        eventName: String(e.eventName ?? ""),
-        eventDetail: String(e.eventDetail ?? ""),
-        krwIncome: toFloat(e.krwIncome),
-        krwExpense: toFloat(e.krwExpense),
-        bbIncome: toFloat(e.bbIncome),
-        bbExpense: toFloat(e.bbExpense),
-        kbIncome: toFloat(e.kbIncome),
-        kbExpense: toFloat(e.kbExpense),
-        usdIncome: toFloat(e.usdIncome),
-        usdExpense: toFloat(e.usdExpense),
-        memo: String(e.memo ?? ""),
-        createdAt: Number(e.createdAt ?? Date.now()),
-      }))
-      .filter((e) => e.date); // 날짜만 필수
-  } catch {
+    return normalizeEntries(JSON.parse(raw));
+  } catch (err) {
+    reportStorageError("입력 내역", STORAGE_KEY, err);
     return [];
   }
 }
 
+// 저장/백업 데이터를 Entry 형태로 정리 (loadEntries, 백업 복원 공용)
+/** @returns {Entry[]} */
+function normalizeEntries(parsed) {
+  if (!Array.isArray(parsed)) return [];
+  return parsed
+    .filter(Boolean)
+    .map((e) => ({
+      id: String(e.id ?? makeId()),
+      date: String(e.date ?? ""),
+      client: String(e.client ?? ""),
+      eventName: String(e.eventName ?? ""),
+      eventDetail: String(e.eventDetail ?? ""),
+      eventKey: String(e.eventKey ?? ""),
+      ...normalizeEntryAmounts(e),
+      memo: String(e.memo ?? ""),
+      categoryId: String(e.categoryId ?? ""),
+      tags: normalizeTags(e.tags),
+      kind: e.kind === "transfer" ? "transfer" : "",
+      allocations: normalizeAllocations(e.allocations),
+      clearedAccounts: Array.isArray(e.clearedAccounts) ? e.clearedAccounts.map(String) : [],
+      createdAt: Number(e.createdAt ?? Date.now()),
+      updatedAt: Number(e.updatedAt ?? e.createdAt ?? Date.now()),
+    }))
+    .filter((e) => e.date); // 날짜만 필수
+}
+
+// 태그: 배열 또는 쉼표 구분 문자열, 앞의 #과 중복은 제거
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags ?? "").split(",");
+  return [...new Set(list.map((t) => safeTrim(t).replace(/^#+/, "")).filter(Boolean))];
+}
+
+// 계좌별 금액 필드만 숫자로 정리 (계좌 목록과 무관하게 저장된 필드를 모두 유지)
+function normalizeEntryAmounts(e) {
+  const amounts = {};
+  for (const [field, value] of Object.entries(e)) {
+    if (AMOUNT_FIELD_PATTERN.test(field)) amounts[field] = toFloat(value);
+  }
+  return amounts;
+}
+
+/** @returns {Allocation[]} */
+function normalizeAllocations(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(isPlainObject)
+    .map((l) => ({
+      eventKey: String(l.eventKey ?? ""),
+      percent: l.percent === null || l.percent === undefined || l.percent === "" ? null : toFloat(l.percent),
+      amounts: normalizeEntryAmounts(isPlainObject(l.amounts) ? l.amounts : {}),
+    }))
+    .filter((l) => l.eventKey);
+}
+
 /** @param {Entry[]} entries */
 function saveEntries(entries) {
   localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  recordEntryAudit(entries);
+}
+
+// --- 계좌 목록 ---
+// 항목 금액은 계좌 id 기준 필드(`${id}Income`, `${id}Expense`)에 저장
+/** @typedef {{
+ *  id: string, // 영문 소문자/숫자 (금액 필드 이름에 쓰이므로 바꾸지 않음)
+ *  name: string,
+ *  shortName: string, // CSV 열 이름 (예: "BB" -> "BB입금")
+ *  currency: string, // "KRW" | "THB" | "USD"
+ *  bank: string,
+ *  active: boolean, // false면 입력 폼에서 숨김 (내역이 있으면 목록/CSV에는 표시)
+ *  openingBalance: number, // 기준일 시작 시점의 실제 잔액
+ *  openingDate: string, // YYYY-MM-DD, ""이면 첫 내역부터 (기준일 이전 내역은 기초 잔액에 포함된 것으로 봄)
+ *  createdAt: number
+ * }} Account
+ */
+
+const ACCOUNT_CURRENCIES = [
+  { id: "KRW", label: "원화" },
+  { id: "THB", label: "바트" },
+  { id: "USD", label: "달러" },
+];
+
+// 예전 고정 4개 계좌 (기존 데이터 필드/CSV 열 이름과 호환)
+const DEFAULT_ACCOUNTS = [
+  { id: "krw", name: "원화", shortName: "원화", currency: "KRW", bank: "", active: true },
+  { id: "bb", name: "방콕뱅크", shortName: "BB", currency: "THB", bank: "Bangkok Bank", active: true },
+  { id: "kb", name: "카시컨", shortName: "카시컨", currency: "THB", bank: "Kasikorn Bank", active: true },
+  { id: "usd", name: "달러", shortName: "달러", currency: "USD", bank: "", active: true },
+];
+
+const ACCOUNT_ID_PATTERN = /^[a-z][a-z0-9]*$/;
+const AMOUNT_FIELD_PATTERN = /^[a-z][a-z0-9]*(Income|Expense)$/;
+
+/** @returns {Account[]} */
+function defaultAccounts() {
+  return DEFAULT_ACCOUNTS.map((a, i) => ({ ...a, openingBalance: 0, openingDate: "", createdAt: i }));
+}
+
+/** @returns {Account[]} */
+function loadAccounts() {
+  try {
+    const raw = localStorage.getItem(ACCOUNT_STORAGE_KEY);
+    if (!raw) return defaultAccounts();
+    return normalizeAccounts(JSON.parse(raw));
+  } catch (err) {
+    reportStorageError("계좌", ACCOUNT_STORAGE_KEY, err);
+    return defaultAccounts();
+  }
+}
+
+// 저장/백업 데이터를 계좌 목록 형태로 정리 (비어 있으면 기본 4개 계좌)
+/** @returns {Account[]} */
+function normalizeAccounts(parsed) {
+  const list = [];
+  const seen = new Set();
+  for (const a of Array.isArray(parsed) ? parsed.filter(isPlainObject) : []) {
+    const id = safeTrim(a.id).toLowerCase();
+    if (!ACCOUNT_ID_PATTERN.test(id) || seen.has(id)) continue;
+    seen.add(id);
+    const name = safeTrim(a.name) || id.toUpperCase();
+    list.push({
+      ...a,
+      id,
+      name,
+      shortName: safeTrim(a.shortName) || name,
+      currency: safeTrim(a.currency).toUpperCase() || "KRW",
+      bank: String(a.bank ?? ""),
+      active: a.active !== false,
+      openingBalance: toFloat(a.openingBalance),
+      openingDate: isValidDateString(a.openingDate) ? a.openingDate : "",
+      createdAt: Number(a.createdAt ?? Date.now()),
+    });
+  }
+  return list.length > 0 ? list : defaultAccounts();
+}
+
+function saveAccounts(list) {
+  localStorage.setItem(ACCOUNT_STORAGE_KEY, JSON.stringify(list));
+}
+
+// 내역에 금액이 있는데 목록에 없는 계좌(다른 기기 백업 등)는 사용 중지 상태로 추가
+function ensureAccountsForEntries(list, entryList) {
+  const ids = new Set(list.map((a) => a.id));
+  const extra = [];
+  for (const e of entryList) {
+    for (const field of Object.keys(e)) {
+      if (!AMOUNT_FIELD_PATTERN.test(field) || toFloat(e[field]) === 0) continue;
+      const id = field.replace(/(Income|Expense)$/, "");
+      if (ids.has(id)) continue;
+      ids.add(id);
+      const name = id.toUpperCase();
+      extra.push({
+        id,
+        name,
+        shortName: name,
+        currency: "KRW",
+        bank: "",
+        active: false,
+        openingBalance: 0,
+        openingDate: "",
+        createdAt: Date.now(),
+      });
+    }
+  }
+  return extra.length > 0 ? [...list, ...extra] : list;
+}
+
+// 새 계좌 id: 약칭에서 영문/숫자만 따오고, 없거나 겹치면 번호를 붙임
+// 휴지통에 있는 계좌의 id도 피함 (복원할 때 겹치지 않도록)
+function makeAccountId(shortName) {
+  const ids = new Set([...accounts, ...trash.filter((t) => t.type === "account").map((t) => t.payload)].map((a) => a.id));
+  const base = safeTrim(shortName).toLowerCase().replace(/[^a-z0-9]/g, "").replace(/^[0-9]+/, "") || "acc";
+  let id = base;
+  for (let n = 2; ids.has(id); n++) id = `${base}${n}`;
+  return id;
+}
+
+function getEntryAmount(e, accountId, flow) {
+  return toFloat(e[`${accountId}${flow}`]);
+}
+
+function entryTouchesAccount(e, accountId) {
+  return getEntryAmount(e, accountId, "Income") !== 0 || getEntryAmount(e, accountId, "Expense") !== 0;
+}
+
+// 기준일 이전 내역은 기초 잔액에 이미 들어 있으므로 잔액 계산에서 제외
+function countsTowardBalance(account, e) {
+  return !account.openingDate || e.date >= account.openingDate;
+}
+
+// --- 이체/환전 ---
+// 한 내역에 보낸 계좌 출금과 받은 계좌 입금을 함께 기록 (통화가 다르면 실제 환전 금액 그대로)
+function getTransferLegs(e) {
+  const from = accounts.find((a) => getEntryAmount(e, a.id, "Expense") !== 0) ?? null;
+  const to = accounts.find((a) => getEntryAmount(e, a.id, "Income") !== 0) ?? null;
+  return {
+    from,
+    to,
+    fromAmount: from ? getEntryAmount(e, from.id, "Expense") : 0,
+    toAmount: to ? getEntryAmount(e, to.id, "Income") : 0,
+  };
+}
+
+function getTransferLabel(legs) {
+  return legs.from && legs.to && legs.from.currency !== legs.to.currency ? "환전" : "이체";
+}
+
+function describeTransfer(legs) {
+  return `${legs.from ? legs.from.name : "?"} → ${legs.to ? legs.to.name : "?"}`;
+}
+
+// 통화가 다를 때 실제 적용된 환율 (보낸 통화 1당 받은 금액)
+function formatTransferRate(legs) {
+  if (!legs.from || !legs.to || legs.from.currency === legs.to.currency || legs.fromAmount === 0) return "";
+  return `1 ${legs.from.currency} = ${Number((legs.toAmount / legs.fromAmount).toPrecision(6))} ${legs.to.currency}`;
+}
+
+// 이체/환전 입력 검사. 받은 금액을 비우면 같은 통화일 때 보낸 금액과 같게
+function planTransfer(input) {
+  const { date, error: dateError } = parseInputDate(input.date);
+  const from = accounts.find((a) => a.id === input.fromId);
+  const to = accounts.find((a) => a.id === input.toId);
+  const fromAmount = toFloat(input.fromAmount);
+  let toAmount = toFloat(input.toAmount);
+  if (!safeTrim(input.toAmount) && from && to && from.currency === to.currency) toAmount = fromAmount;
+
+  let error = "";
+  if (dateError) error = dateError;
+  else if (!from || !to) error = "보낸 계좌와 받은 계좌를 고르세요.";
+  else if (from.id === to.id) error = "보낸 계좌와 받은 계좌가 같습니다.";
+  else if (fromAmount <= 0) error = "보낸 금액을 입력하세요.";
+  else if (toAmount <= 0) error = "받은 금액을 입력하세요.";
+  else if (isMonthClosed(getYearMonth(date))) error = formatMonthLockedError(getYearMonth(date));
+  return { error, date, from, to, fromAmount, toAmount, detail: safeTrim(input.detail) };
+}
+
+function openTransferDialog(entry = null) {
+  const dialog = $("transferDialog");
+  const options = (selected) =>
+    accounts
+      .filter((a) => a.active || a.id === selected)
+      .map((a) => `<option value="${a.id}" ${a.id === selected ? "selected" : ""}>${escapeHtml(a.name)} (${escapeHtml(a.currency)})</option>`)
+      .join("");
+  const legs = entry ? getTransferLegs(entry) : null;
+  const fields = {
+    date: $("transferDate"),
+    fromId: $("transferFrom"),
+    fromAmount: $("transferFromAmount"),
+    toId: $("transferTo"),
+    toAmount: $("transferToAmount"),
+    detail: $("transferDetail"),
+  };
+  fields.fromId.innerHTML = options(legs?.from?.id ?? "");
+  fields.toId.innerHTML = options(legs?.to?.id ?? "");
+  if (!legs) fields.toId.selectedIndex = Math.min(1, accounts.length - 1);
+  fields.date.value = entry ? entry.date : "";
+  fields.fromAmount.value = legs ? String(legs.fromAmount) : "";
+  fields.toAmount.value = legs ? String(legs.toAmount) : "";
+  fields.detail.value = entry ? entry.eventDetail : "";
+  $("transferTitle").textContent = entry ? `이체/환전 수정 (${entry.date})` : "이체/환전 입력";
+
+  const read = () => Object.fromEntries(Object.entries(fields).map(([k, el]) => [k, el.value]));
+  const update = () => {
+    const plan = planTransfer(read());
+    const touched = safeTrim(fields.date.value) || safeTrim(fields.fromAmount.value);
+    $("transferError").textContent = touched ? plan.error : "";
+    $("transferError").hidden = !touched || !plan.error;
+    $("transferConfirm").disabled = Boolean(plan.error);
+    $("transferRate").textContent = plan.error ? "" : formatTransferRate(plan) || "같은 통화 이체";
+  };
+  for (const el of Object.values(fields)) el.oninput = update;
+  fields.fromId.onchange = update;
+  fields.toId.onchange = update;
+  update();
+
+  dialog.returnValue = "";
+  dialog.showModal();
+  return new Promise((resolve) => {
+    const onClose = () => {
+      dialog.removeEventListener("close", onClose);
+      resolve(dialog.returnValue === "ok" ? planTransfer(read()) : null);
+    };
+    dialog.addEventListener("close", onClose);
+  });
+}
+
+// 이체/환전 저장 (editing이 있으면 그 내역을 고침)
+function saveTransfer(plan, editing = null) {
+  const now = Date.now();
+  const amounts = {};
+  for (const field of getAmountFields()) amounts[field] = 0;
+  amounts[`${plan.from.id}Expense`] = plan.fromAmount;
+  amounts[`${plan.to.id}Income`] = plan.toAmount;
+  const entry = {
+    id: editing ? editing.id : makeId(),
+    date: plan.date,
+    client: "",
+    eventName: "",
+    eventDetail: plan.detail,
+    eventKey: "",
+    ...amounts,
+    memo: editing ? editing.memo : "",
+    categoryId: "",
+    tags: editing ? editing.tags : [],
+    kind: "transfer",
+    allocations: [],
+    clearedAccounts: editing ? editing.clearedAccounts : [],
+    createdAt: editing ? editing.createdAt : now,
+    updatedAt: now,
+  };
+  entries = editing ? entries.map((e) => (e.id === entry.id ? entry : e)) : [entry, ...entries];
+  saveEntries(entries);
+}
+
+async function editTransfer(entry) {
+  const plan = await openTransferDialog(entry);
+  if (!plan || plan.error) return;
+  saveTransfer(plan, entry);
+  rerenderAllPreserveFocus();
+}
+
+// 기초 잔액 + date(포함)까지의 내역 합. date가 ""이면 전체
+function getAccountBalance(account, date = "", list = entries) {
+  let balance = account.openingBalance;
+  for (const e of list) {
+    if (!countsTowardBalance(account, e) || (date && e.date > date)) continue;
+    balance += getEntryAmount(e, account.id, "Income") - getEntryAmount(e, account.id, "Expense");
+  }
+  return balance;
+}
+
+// 모든 계좌의 금액 필드 이름 (중복 판별, 입력 폼 등)
+function getAmountFields(list = accounts) {
+  return list.flatMap((a) => [`${a.id}Income`, `${a.id}Expense`]);
+}
+
+function accountHasEntries(accountId, list = entries) {
+  return list.some((e) => getEntryAmount(e, accountId, "Income") !== 0 || getEntryAmount(e, accountId, "Expense") !== 0);
+}
+
+// 목록/CSV에 표시할 계좌: 사용 중인 계좌 + 사용 중지했지만 내역이 있는 계좌
+function getLedgerAccounts(list = entries) {
+  return accounts.filter((a) => a.active || accountHasEntries(a.id, list));
+}
+
+// 통화가 같은 계좌들의 합계 (정산서의 원화 = KRW 계좌, 바트 = THB 계좌)
+function sumEntriesByCurrency(list, currency, flow) {
+  const ids = accounts.filter((a) => a.currency === currency).map((a) => a.id);
+  return list.reduce((sum, e) => sum + ids.reduce((s, id) => s + getEntryAmount(e, id, flow), 0), 0);
+}
+
+// --- 환율표 ---
+// 날짜/출처별 바트 환율. 정산서는 고른 출처의 행사일 기준 환율을 복사해 저장
+/** @typedef {{
+ *  id: string,
+ *  date: string, // YYYY-MM-DD
+ *  source: string, // 환율 출처 (예: "방콕뱅크", "SuperRich")
+ *  krwToThb: number, // 1원당 바트 (0이면 없음)
+ *  usdToThb: number, // 1달러당 바트 (0이면 없음)
+ *  createdAt: number
+ * }} ExchangeRate
+ */
+
+/** @returns {ExchangeRate[]} */
+function loadRates() {
+  try {
+    const raw = localStorage.getItem(RATE_STORAGE_KEY);
+    if (!raw) return [];
+    return normalizeRates(JSON.parse(raw));
+  } catch (err) {
+    reportStorageError("환율표", RATE_STORAGE_KEY, err);
+    return [];
+  }
+}
+
+/** @returns {ExchangeRate[]} */
+function normalizeRates(parsed) {
+  if (!Array.isArray(parsed)) return [];
+  return parsed
+    .filter(isPlainObject)
+    .map((r) => ({
+      ...r,
+      id: String(r.id ?? makeId()),
+      date: String(r.date ?? ""),
+      source: safeTrim(r.source),
+      krwToThb: toFloat(r.krwToThb),
+      usdToThb: toFloat(r.usdToThb),
+      createdAt: Number(r.createdAt ?? Date.now()),
+    }))
+    .filter((r) => isValidDateString(r.date) && r.source);
+}
+
+function saveRates(list) {
+  localStorage.setItem(RATE_STORAGE_KEY, JSON.stringify(list));
+}
+
+function getRateSources() {
+  return [...new Set(rates.map((r) => r.source))].sort((a, b) => a.localeCompare(b, "ko"));
+}
+
+// 출처의 date 당일 또는 그 이전 가장 가까운 환율 (해당 종류 값이 있는 것만)
+function findExchangeRate(source, field, date) {
+  let best = null;
+  for (const r of rates) {
+    if (r.source !== source || r[field] <= 0 || r.date > date) continue;
+    if (!best || r.date > best.date || (r.date === best.date && r.createdAt > best.createdAt)) best = r;
+  }
+  return best;
+}
+
+function validateRate(rate) {
+  if (!isValidDateString(rate.date)) return "날짜를 확인하세요.";
+  if (!rate.source) return "환율 출처를 입력하세요.";
+  if (rate.krwToThb < 0 || rate.usdToThb < 0) return "환율은 0보다 커야 합니다.";
+  if (rate.krwToThb === 0 && rate.usdToThb === 0) return "원화→바트 또는 달러→바트 환율을 입력하세요.";
+  const dup = rates.find((r) => r.id !== rate.id && r.source === rate.source && r.date === rate.date);
+  if (dup) return `${rate.source}의 ${rate.date} 환율이 이미 있습니다. 기존 줄을 삭제 후 다시 입력하세요.`;
+  return "";
 }
 
 /** @param {Entry[]} entries */
@@ -146,8 +623,9 @@ function openConfirm({ title, body, danger = true }) {
   });
 }
 
-function downloadTextFile(filename, text) {
-  const blob = new Blob([text], { type: "text/plain;charset=utf-8" });
+// data: 문자열 또는 바이트(Uint8Array)
+function downloadFile(filename, data, type) {
+  const blob = new Blob([data], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -158,6 +636,10 @@ function downloadTextFile(filename, text) {
   URL.revokeObjectURL(url);
 }
 
+function downloadTextFile(filename, text) {
+  downloadFile(filename, text, "text/plain;charset=utf-8");
+}
+
 function escapeHtml(text) {
   return String(text ?? "")
     .replaceAll("&", "&amp;")
@@ -179,71 +661,203 @@ function groupByMonth(entries) {
   return groups;
 }
 
-// --- 입력/저장 탭 렌더링 (월별 정리, 날짜 내림차순, 잔액은 오래된 날짜부터 계산) ---
-function renderEntryTable(entries) {
-  const tbody = $("entryTable").querySelector("tbody");
-  tbody.innerHTML = "";
-
-  const sorted = sortEntries(entries); // 날짜 내림차순 정렬됨
-  $("entryCount").textContent = `${sorted.length}건`;
-
-  const grouped = groupByMonth(sorted);
-  const months = Object.keys(grouped).sort().reverse(); // 최신 월이 위로
-
-  // 잔액 계산을 위해 전체 데이터를 오래된 날짜부터 순회
+// 각 항목 시점의 계좌별 잔액 (기초 잔액에서 시작해 전체 내역을 오래된 날짜부터 순회)
+// 계좌 기준일 이전 항목은 그 계좌 잔액이 없음(undefined)
+function computeBalanceMap(entries) {
   const allSortedForBalance = [...entries].sort((a, b) => {
     if (a.date !== b.date) return a.date > b.date ? 1 : -1;
     return (a.createdAt ?? 0) - (b.createdAt ?? 0);
   });
 
-  // 각 항목의 잔액을 미리 계산
   const balanceMap = {};
-  let krwBalance = 0, bbBalance = 0, kbBalance = 0, usdBalance = 0;
+  const running = Object.fromEntries(accounts.map((a) => [a.id, a.openingBalance]));
   for (const e of allSortedForBalance) {
-    krwBalance += (e.krwIncome - e.krwExpense);
-    bbBalance += (e.bbIncome - e.bbExpense);
-    kbBalance += (e.kbIncome - e.kbExpense);
-    usdBalance += (e.usdIncome - e.usdExpense);
-    balanceMap[e.id] = {
-      krw: krwBalance,
-      bb: bbBalance,
-      kb: kbBalance,
-      usd: usdBalance,
-    };
+    const balance = {};
+    for (const a of accounts) {
+      if (!countsTowardBalance(a, e)) continue;
+      running[a.id] += getEntryAmount(e, a.id, "Income") - getEntryAmount(e, a.id, "Expense");
+      balance[a.id] = running[a.id];
+    }
+    balanceMap[e.id] = balance;
+  }
+  return balanceMap;
+}
+
+// --- 저장된 내역 검색/필터 ---
+function emptyEntryFilter() {
+  return { from: "", to: "", client: "", eventName: "", text: "", category: "", currency: "", flow: "" };
+}
+
+let entryFilter = emptyEntryFilter();
+
+function isEntryFilterActive(filter) {
+  return Object.values(filter).some((v) => v !== "");
+}
+
+// 필터 조건에 맞는 항목만 반환 (문자열 조건은 대소문자 무시 부분 일치)
+function filterEntries(list, filter) {
+  const includes = (value, query) => safeTrim(value).toLowerCase().includes(safeTrim(query).toLowerCase());
+  const currencies = filter.currency ? [filter.currency] : accounts.map((a) => a.id);
+
+  return list.filter((e) => {
+    if (filter.from && e.date < filter.from) return false;
+    if (filter.to && e.date > filter.to) return false;
+    if (filter.client && !includes(e.client, filter.client)) return false;
+    if (filter.eventName && !includes(e.eventName, filter.eventName)) return false;
+    if (filter.text && !includes(e.eventDetail, filter.text) && !includes(e.memo, filter.text) && !e.tags.some((t) => includes(t, filter.text))) {
+      return false;
+    }
+    if (filter.category && getEntryCategoryKey(e) !== filter.category) return false;
+
+    const income = currencies.some((c) => getEntryAmount(e, c, "Income") !== 0);
+    const expense = currencies.some((c) => getEntryAmount(e, c, "Expense") !== 0);
+    if (filter.currency && !income && !expense) return false;
+    if (filter.flow === "transfer" && e.kind !== "transfer") return false;
+    if (filter.flow === "income" && !income) return false;
+    if (filter.flow === "expense" && !expense) return false;
+    return true;
+  });
+}
+
+function renderEntryFilterTotals(list, active) {
+  const el = $("entryFilterTotals");
+  el.hidden = !active;
+  if (!active) return;
+
+  el.innerHTML = getLedgerAccounts().map((a) => {
+    const income = list.reduce((sum, e) => sum + getEntryAmount(e, a.id, "Income"), 0);
+    const expense = list.reduce((sum, e) => sum + getEntryAmount(e, a.id, "Expense"), 0);
+    return `
+      <div class="filterTotals__item">
+        <div class="filterTotals__label">${escapeHtml(a.name)}</div>
+        <div class="filterTotals__value">입금 ${formatNumberKRW(income)} · 출금 ${formatNumberKRW(expense)} · 차액 ${formatNumberKRW(income - expense)}</div>
+      </div>
+    `;
+  }).join("");
+}
+
+// 통화/계좌 필터 선택지 (계좌 목록 기준, 선택값 유지)
+function renderEntryFilterAccountOptions() {
+  const select = $("filterCurrency");
+  const current = select.value;
+  select.innerHTML = `<option value="">전체</option>${accounts
+    .map((a) => `<option value="${a.id}">${escapeHtml(a.name)}${a.active ? "" : " (사용 안 함)"}</option>`)
+    .join("")}`;
+  select.value = accounts.some((a) => a.id === current) ? current : "";
+
+  // 분류 필터 (삭제된 분류를 고르고 있었으면 전체로)
+  const categorySelect = $("filterCategory");
+  const currentCategory = categorySelect.value;
+  categorySelect.innerHTML = `<option value="">전체</option>${categories
+    .map((c) => `<option value="${c.id}">${escapeHtml(c.name)}${c.active ? "" : " (사용 안 함)"}</option>`)
+    .join("")}<option value="${UNCATEGORIZED}">미분류</option>`;
+  categorySelect.value = currentCategory === UNCATEGORIZED || categories.some((c) => c.id === currentCategory) ? currentCategory : "";
+  if (categorySelect.value !== entryFilter.category) entryFilter = { ...entryFilter, category: categorySelect.value };
+}
+
+// 날짜가 잘못 저장된 기존 항목 안내 (수정 버튼으로 입력 폼에 불러옴)
+function renderInvalidDateNotice() {
+  const invalid = sortEntries(entries.filter((e) => !isValidDateString(e.date)));
+  const card = $("invalidDateNotice");
+  card.hidden = invalid.length === 0;
+  $("invalidDateCount").textContent = `${invalid.length}건`;
+
+  const tbody = $("invalidDateTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const e of invalid) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td class="compact status--error">${escapeHtml(e.date)}</td>
+      <td class="compact">${escapeHtml(e.client || "-")}</td>
+      <td class="compact">${escapeHtml(e.eventName || "-")}</td>
+      <td class="compact">${escapeHtml(e.eventDetail || "-")}</td>
+      <td class="actions">
+        <button class="miniBtn" data-action="edit" data-id="${e.id}" type="button">수정</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
   }
+}
+
+// --- 입력/저장 탭 렌더링 (월별 정리, 날짜 내림차순, 잔액은 오래된 날짜부터 계산) ---
+function renderEntryTable(entries) {
+  const tbody = $("entryTable").querySelector("tbody");
+  tbody.innerHTML = "";
+
+  // 잔액은 필터와 무관하게 전체 내역 기준
+  const balanceMap = computeBalanceMap(entries);
+  const ledgerAccounts = getLedgerAccounts(entries);
+  const changedAfterReconcile = getEntriesChangedAfterReconcile();
+
+  $("entryTable").querySelector("thead").innerHTML = `
+    <tr>
+      <th rowspan="2">월일</th>
+      <th rowspan="2">거래처</th>
+      <th rowspan="2">행사명</th>
+      <th rowspan="2">내용</th>
+      ${ledgerAccounts.map((a) => `<th colspan="3" class="currency-header">${escapeHtml(a.name)}</th>`).join("")}
+      <th rowspan="2" class="actions">작업</th>
+    </tr>
+    <tr>
+      ${ledgerAccounts.map(() => `<th class="num">입금</th><th class="num">출금</th><th class="num">잔액</th>`).join("")}
+    </tr>
+  `;
+
+  const active = isEntryFilterActive(entryFilter);
+  const visible = active ? filterEntries(entries, entryFilter) : entries;
+  const sorted = sortEntries(visible); // 날짜 내림차순 정렬됨
+  $("entryCount").textContent = active ? `${sorted.length}/${entries.length}건` : `${sorted.length}건`;
+  $("btnExportFilteredCsv").hidden = !active;
+  renderEntryFilterTotals(sorted, active);
+
+  const grouped = groupByMonth(sorted);
+  const months = Object.keys(grouped).sort().reverse(); // 최신 월이 위로
 
   for (const ym of months) {
     const monthEntries = grouped[ym];
     
     // 월 헤더
     const headerTr = document.createElement("tr");
-    headerTr.innerHTML = `<td colspan="18" class="month-header">${ym}</td>`;
+    headerTr.innerHTML = `<td colspan="${5 + ledgerAccounts.length * 3}" class="month-header">${ym}${isMonthClosed(ym) ? " · 마감" : ""}</td>`;
     tbody.appendChild(headerTr);
 
     for (const e of monthEntries) {
-      const balance = balanceMap[e.id] || { krw: 0, bb: 0, kb: 0, usd: 0 };
+      const balance = balanceMap[e.id] || {};
 
       const tr = document.createElement("tr");
       const monthDay = e.date.substring(5); // MM-DD
+      if (e.id === editingEntryId) tr.className = "row--editing";
+      else if (changedAfterReconcile.has(e.id)) tr.className = "row--flagged";
+      if (changedAfterReconcile.has(e.id)) tr.title = changedAfterReconcile.get(e.id);
+      const transfer = e.kind === "transfer" ? getTransferLegs(e) : null;
+      const lockedMonth = getEntryLockedMonth(e);
+      const locked = lockedMonth ? `disabled title="${lockedMonth} 마감"` : "";
       tr.innerHTML = `
         <td class="compact">${monthDay}</td>
-        <td class="compact">${escapeHtml(e.client || "-")}</td>
-        <td class="compact">${escapeHtml(e.eventName || "-")}</td>
-        <td class="compact">${escapeHtml(e.eventDetail || "-")}</td>
-        <td class="num compact">${formatNumberKRW(e.krwIncome)}</td>
-        <td class="num compact">${formatNumberKRW(e.krwExpense)}</td>
-        <td class="num balance compact">${formatNumberKRW(balance.krw)}</td>
-        <td class="num compact">${formatNumberKRW(e.bbIncome)}</td>
-        <td class="num compact">${formatNumberKRW(e.bbExpense)}</td>
-        <td class="num balance compact">${formatNumberKRW(balance.bb)}</td>
-        <td class="num compact">${formatNumberKRW(e.kbIncome)}</td>
-        <td class="num compact">${formatNumberKRW(e.kbExpense)}</td>
-        <td class="num balance compact">${formatNumberKRW(balance.kb)}</td>
-        <td class="num compact">${formatNumberKRW(e.usdIncome)}</td>
-        <td class="num compact">${formatNumberKRW(e.usdExpense)}</td>
-        <td class="num balance compact">${formatNumberKRW(balance.usd)}</td>
+        <td class="compact">${transfer ? getTransferLabel(transfer) : escapeHtml(e.client || "-")}</td>
+        <td class="compact">${
+          e.allocations.length > 0
+            ? `배분: ${escapeHtml(describeAllocations(e))}${validateAllocations(e, e.allocations) ? ` <span class="status--error">(배분 확인 필요)</span>` : ""}`
+            : escapeHtml(transfer ? describeTransfer(transfer) : e.eventName || "-")
+        }</td>
+        <td class="compact">${escapeHtml(
+          [getCategoryName(e.categoryId), e.eventDetail, transfer && formatTransferRate(transfer), formatTags(e.tags)].filter(Boolean).join(" · ") || "-",
+        )}</td>
+        ${ledgerAccounts
+          .map(
+            (a) => `
+        <td class="num compact">${formatNumberKRW(getEntryAmount(e, a.id, "Income"))}</td>
+        <td class="num compact">${formatNumberKRW(getEntryAmount(e, a.id, "Expense"))}</td>
+        <td class="num balance compact">${balance[a.id] === undefined ? "-" : formatNumberKRW(balance[a.id])}</td>`,
+          )
+          .join("")}
         <td class="actions">
-          <button class="miniBtn miniBtn--danger" data-action="delete" data-id="${e.id}" type="button">삭제</button>
+          <div class="btnRow">
+            <button class="miniBtn" data-action="edit" data-id="${e.id}" type="button" ${locked}>수정</button>
+            ${transfer ? "" : `<button class="miniBtn" data-action="allocate" data-id="${e.id}" type="button" ${locked}>배분</button>`}
+            <button class="miniBtn miniBtn--danger" data-action="delete" data-id="${e.id}" type="button" ${locked}>삭제</button>
+            <button class="miniBtn" data-action="history" data-id="${e.id}" type="button">기록</button>
+          </div>
         </td>
       `;
       tbody.appendChild(tr);
@@ -251,9 +865,10 @@ function renderEntryTable(entries) {
   }
 }
 
-// CSV 내보내기 (입력/저장 탭) - 전체 또는 월별
-function exportEntryCsv(entries, targetMonth = null) {
-  const sorted = sortEntries(entries);
+// CSV 내보내기 (입력/저장 탭) - 전체, 월별 또는 필터 결과(onlyEntries)
+// 잔액은 항상 전체 내역 기준으로 계산
+function exportEntryCsv(entries, targetMonth = null, onlyEntries = null) {
+  const sorted = sortEntries(onlyEntries || entries);
   const grouped = groupByMonth(sorted);
   
   let months;
@@ -263,31 +878,26 @@ function exportEntryCsv(entries, targetMonth = null) {
     months = Object.keys(grouped).sort().reverse();
   }
 
-  const header = ["월", "월일", "거래처", "행사명", "내용", "원화입금", "원화출금", "원화잔액", "BB입금", "BB출금", "BB잔액", "카시컨입금", "카시컨출금", "카시컨잔액", "달러입금", "달러출금", "달러잔액"];
+  // 계좌별 입금/출금/잔액 열 (열 이름은 계좌 약칭)
+  const ledgerAccounts = getLedgerAccounts(entries);
+  const header = [
+    "월", "월일", "거래처", "행사명", "내용",
+    ...ledgerAccounts.flatMap((a) => [`${a.shortName}입금`, `${a.shortName}출금`, `${a.shortName}잔액`]),
+    "구분",
+    "분류",
+    "태그",
+  ];
   const rows = [header];
 
   // 잔액 계산
-  const allSortedForBalance = [...entries].sort((a, b) => {
-    if (a.date !== b.date) return a.date > b.date ? 1 : -1;
-    return (a.createdAt ?? 0) - (b.createdAt ?? 0);
-  });
-
-  const balanceMap = {};
-  let krwBalance = 0, bbBalance = 0, kbBalance = 0, usdBalance = 0;
-  for (const e of allSortedForBalance) {
-    krwBalance += (e.krwIncome - e.krwExpense);
-    bbBalance += (e.bbIncome - e.bbExpense);
-    kbBalance += (e.kbIncome - e.kbExpense);
-    usdBalance += (e.usdIncome - e.usdExpense);
-    balanceMap[e.id] = { krw: krwBalance, bb: bbBalance, kb: kbBalance, usd: usdBalance };
-  }
+  const balanceMap = computeBalanceMap(entries);
 
   for (const ym of months) {
     if (!grouped[ym]) continue;
     const monthEntries = grouped[ym];
     
     for (const e of monthEntries) {
-      const balance = balanceMap[e.id] || { krw: 0, bb: 0, kb: 0, usd: 0 };
+      const balance = balanceMap[e.id] || {};
       const monthDay = e.date.substring(5);
       
       rows.push([
@@ -296,18 +906,14 @@ function exportEntryCsv(entries, targetMonth = null) {
         e.client || "-",
         e.eventName || "-",
         e.eventDetail || "-",
-        String(e.krwIncome),
-        String(e.krwExpense),
-        String(balance.krw),
-        String(e.bbIncome),
-        String(e.bbExpense),
-        String(balance.bb),
-        String(e.kbIncome),
-        String(e.kbExpense),
-        String(balance.kb),
-        String(e.usdIncome),
-        String(e.usdExpense),
-        String(balance.usd),
+        ...ledgerAccounts.flatMap((a) => [
+          String(getEntryAmount(e, a.id, "Income")),
+          String(getEntryAmount(e, a.id, "Expense")),
+          balance[a.id] === undefined ? "" : String(balance[a.id]),
+        ]),
+        e.kind === "transfer" ? "이체" : "",
+        getCategoryName(e.categoryId),
+        e.tags.join(", "),
       ]);
     }
   }
@@ -318,10 +924,259 @@ function exportEntryCsv(entries, targetMonth = null) {
     return s;
   };
   const lines = rows.map((r) => r.map(escapeCell).join(","));
-  const filename = targetMonth ? `입력내역_${targetMonth}.csv` : "입력내역_전체.csv";
+  const filename = targetMonth
+    ? `입력내역_${targetMonth}.csv`
+    : onlyEntries ? "입력내역_필터.csv" : "입력내역_전체.csv";
   downloadTextFile(filename, "\uFEFF" + lines.join("\n"));
 }
 
+// --- CSV 불러오기 (입력/저장 탭) ---
+// 따옴표/줄바꿈을 포함한 CSV 파싱 (BOM 제거)
+function parseCsv(text) {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += ch;
+      }
+      continue;
+    }
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // 완전히 빈 줄 제거
+  return rows.filter((r) => r.some((c) => safeTrim(c) !== ""));
+}
+
+// CSV 숫자 셀: 빈 값은 0, 천 단위 구분 쉼표 허용, 숫자가 아니면 null
+function parseCsvNumber(value) {
+  const s = safeTrim(value).replaceAll(",", "");
+  if (!s || s === "-") return 0;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+// 중복 판별용 서명 (날짜+거래처+행사명+내용+금액)
+function entrySignature(e) {
+  return [
+    e.date,
+    safeTrim(e.client),
+    safeTrim(e.eventName),
+    safeTrim(e.eventDetail),
+    ...getAmountFields().map((f) => toFloat(e[f])),
+  ].join("|");
+}
+
+// exportEntryCsv 형식(월/월일/거래처/행사명/내용/계좌별 입금·출금·잔액/구분/분류/태그) 파싱
+// 계좌 열은 약칭으로 찾고(없는 계좌 열은 0), 잔액 열은 무시하고 입금/출금만 읽음. 구분/분류/태그 열은 없어도 됨
+function parseEntryCsv(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return { error: "빈 파일입니다.", rows: [] };
+
+  const header = rows[0].map((h) => safeTrim(h));
+  const columns = {
+    month: "월",
+    monthDay: "월일",
+    client: "거래처",
+    eventName: "행사명",
+    eventDetail: "내용",
+  };
+  const index = {};
+  const missing = [];
+  for (const [field, label] of Object.entries(columns)) {
+    index[field] = header.indexOf(label);
+    if (index[field] < 0) missing.push(label);
+  }
+  if (missing.length > 0) {
+    return { error: `입력내역 CSV 형식이 아닙니다. 누락된 열: ${missing.join(", ")}`, rows: [] };
+  }
+
+  const amountFields = [];
+  const accountIds = []; // CSV에 열이 있는 계좌 (미리보기 표시용)
+  for (const a of accounts) {
+    for (const [flow, suffix] of [["Income", "입금"], ["Expense", "출금"]]) {
+      const field = `${a.id}${flow}`;
+      columns[field] = `${a.shortName}${suffix}`;
+      index[field] = header.indexOf(columns[field]);
+      if (index[field] < 0) continue;
+      amountFields.push(field);
+      if (!accountIds.includes(a.id)) accountIds.push(a.id);
+    }
+  }
+  const known = new Set(amountFields.map((field) => columns[field]));
+  const unknown = header.filter((h) => /(입금|출금)$/.test(h) && !known.has(h));
+  if (unknown.length > 0) {
+    return { error: `등록되지 않은 계좌 열이 있습니다: ${unknown.join(", ")} (계좌 탭에서 계좌를 추가하거나 약칭을 맞추세요)`, rows: [] };
+  }
+  if (amountFields.length === 0) {
+    return { error: "입력내역 CSV 형식이 아닙니다. 계좌별 입금/출금 열이 없습니다.", rows: [] };
+  }
+
+  const kindIndex = header.indexOf("구분");
+  const categoryIndex = header.indexOf("분류");
+  const tagIndex = header.indexOf("태그");
+  const existing = new Set(entries.map(entrySignature));
+  const seenInFile = new Set();
+  const result = [];
+
+  rows.slice(1).forEach((cells, i) => {
+    const cell = (field) => safeTrim(cells[index[field]]);
+    const text = (field) => (cell(field) === "-" ? "" : cell(field));
+    const errors = [];
+
+    const ymMatch = cell("month").match(/^(\d{4})[-./](\d{1,2})$/);
+    const mdMatch = cell("monthDay").match(/^(\d{1,2})[-./](\d{1,2})$/);
+    let date = "";
+    if (!ymMatch || !mdMatch) {
+      errors.push("월/월일 형식 오류");
+    } else if (Number(ymMatch[2]) !== Number(mdMatch[1])) {
+      errors.push("월과 월일의 월이 다름");
+    } else if (!isValidCalendarDate(ymMatch[1], mdMatch[1], mdMatch[2])) {
+      errors.push("존재하지 않는 날짜");
+    } else {
+      date = `${ymMatch[1]}-${ymMatch[2].padStart(2, "0")}-${mdMatch[2].padStart(2, "0")}`;
+      if (isMonthClosed(getYearMonth(date))) errors.push("마감된 월");
+    }
+
+    const amounts = {};
+    for (const field of amountFields) {
+      const n = parseCsvNumber(cell(field));
+      if (n === null) errors.push(`${columns[field]} 숫자 아님`);
+      amounts[field] = n ?? 0;
+    }
+
+    // 분류는 이름으로 찾음 (없는 분류는 분류 탭에서 먼저 추가)
+    const categoryName = categoryIndex >= 0 ? safeTrim(cells[categoryIndex]) : "";
+    const category = categoryName ? findCategoryByName(categoryName) : null;
+    if (categoryName && !category) errors.push(`등록되지 않은 분류: ${categoryName}`);
+
+    const entry = {
+      id: makeId(),
+      date,
+      client: resolveClientName(text("client")),
+      eventName: text("eventName"),
+      eventDetail: text("eventDetail"),
+      ...amounts,
+      memo: "",
+      categoryId: category ? category.id : "",
+      tags: tagIndex >= 0 ? normalizeTags(cells[tagIndex]) : [],
+      kind: kindIndex >= 0 && safeTrim(cells[kindIndex]) === "이체" ? "transfer" : "",
+      allocations: [],
+      clearedAccounts: [],
+      createdAt: Date.now() + i,
+      updatedAt: Date.now() + i,
+    };
+
+    let duplicate = false;
+    if (errors.length === 0) {
+      const sig = entrySignature(entry);
+      duplicate = existing.has(sig) || seenInFile.has(sig);
+      seenInFile.add(sig);
+    }
+
+    result.push({ line: i + 2, entry, errors, duplicate });
+  });
+
+  return { error: "", rows: result, accountIds };
+}
+
+let pendingEntryImport = [];
+
+function openEntryImportPreview(filename, parsed) {
+  const dialog = $("importDialog");
+  const tbody = $("importPreviewTable").querySelector("tbody");
+  tbody.innerHTML = "";
+
+  const importable = parsed.rows.filter((r) => r.errors.length === 0 && !r.duplicate);
+  const errorCount = parsed.rows.filter((r) => r.errors.length > 0).length;
+  const duplicateCount = parsed.rows.filter((r) => r.duplicate).length;
+  pendingEntryImport = importable.map((r) => r.entry);
+
+  $("importTitle").textContent = `CSV 불러오기 - ${filename}`;
+  $("importSummary").textContent = parsed.error
+    ? parsed.error
+    : `전체 ${parsed.rows.length}행 · 추가 ${importable.length}건 · 중복 ${duplicateCount}건 · 오류 ${errorCount}건 (중복/오류 행은 제외됩니다)`;
+  $("importConfirm").disabled = importable.length === 0;
+  $("importConfirm").textContent = `가져오기 (${importable.length}건)`;
+
+  const previewAccounts = accounts.filter((a) => (parsed.accountIds || []).includes(a.id));
+  $("importPreviewTable").querySelector("thead").innerHTML = `
+    <tr>
+      <th class="num">행</th>
+      <th>날짜</th>
+      <th>거래처</th>
+      <th>행사명</th>
+      <th>내용</th>
+      ${previewAccounts.map((a) => `<th class="num">${escapeHtml(a.name)}</th>`).join("")}
+      <th>상태</th>
+    </tr>
+  `;
+
+  for (const r of parsed.rows) {
+    const e = r.entry;
+    const status = r.errors.length > 0 ? r.errors.join(", ") : r.duplicate ? "이미 있음" : "추가";
+    const statusClass = r.errors.length > 0 ? "status--error" : r.duplicate ? "status--muted" : "status--ok";
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td class="num compact">${r.line}</td>
+      <td class="compact">${escapeHtml(e.date || "-")}</td>
+      <td class="compact">${escapeHtml(e.client || "-")}</td>
+      <td class="compact">${escapeHtml(e.eventName || "-")}</td>
+      <td class="compact">${escapeHtml(e.eventDetail || "-")}</td>
+      ${previewAccounts
+        .map((a) => `<td class="num compact">${formatNumberKRW(getEntryAmount(e, a.id, "Income") - getEntryAmount(e, a.id, "Expense"))}</td>`)
+        .join("")}
+      <td class="compact ${statusClass}">${escapeHtml(status)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  dialog.returnValue = "";
+  dialog.showModal();
+}
+
+// 미리보기에서 확인한 항목을 기존 내역에 병합 (폼 저장과 동일하게 정산서 기본값 생성)
+function commitEntryImport() {
+  if (pendingEntryImport.length === 0) return;
+  entries = [...pendingEntryImport, ...entries];
+  saveEntries(entries);
+  for (const e of pendingEntryImport) {
+    const key = getEntryEventKey(e);
+    if (key) ensureReportDefaults(key, e.eventName);
+  }
+  pendingEntryImport = [];
+  rerenderAllPreserveFocus();
+}
+
 // 월별 CSV 버튼 렌더링
 function renderMonthlyExportButtons() {
   const container = $("monthlyExportButtons");
@@ -344,44 +1199,371 @@ function loadReportMap() {
   try {
     const raw = localStorage.getItem(REPORT_STORAGE_KEY);
     if (!raw) return {};
-    const parsed = JSON.parse(raw);
-    if (!parsed || typeof parsed !== "object") return {};
-    return parsed;
-  } catch {
+    return normalizeReportMap(JSON.parse(raw));
+  } catch (err) {
+    reportStorageError("정산서", REPORT_STORAGE_KEY, err);
     return {};
   }
 }
 
+// 정산서 숫자 필드 (ensureReportDefaults의 기본값 0과 동일)
+const REPORT_NUMBER_FIELDS = [
+  "fixedPriceKRWIncome",
+  "bahtExchangeRateIncome",
+  "fixedPriceBahtIncome",
+  "fixedPriceKRWExpense",
+  "bahtExchangeRateExpense",
+  "fixedPriceBahtExpense",
+  "usdToThbRate",
+  "tourFee",
+  "optionSales",
+  "otherIncome",
+  "eventCost",
+  "optionCost",
+  "guideDailyFee",
+  "guideCommission",
+  "otherPayment",
+];
+
+// 가이드 정산 입금/지급 필드
+const GUIDE_INCOME_FIELDS = ["tourFee", "optionSales", "otherIncome"];
+const GUIDE_EXPENSE_FIELDS = ["eventCost", "optionCost", "guideDailyFee", "guideCommission", "otherPayment"];
+// 자동 계산하는 가이드 정산 필드 (guideOverrides에 있으면 저장된 값을 그대로 씀)
+// - 옵션판매/옵션원가: 옵션 상세 판매가/원가 합계
+// - 가이드일비/가이드 컴: 정산서에 가이드를 골랐을 때만 (일비 요율 × 투어 일수, 옵션 수익의 % 또는 고정 금액)
+const GUIDE_AUTO_FIELDS = ["optionSales", "optionCost", "guideDailyFee", "guideCommission"];
+
+function isPlainObject(v) {
+  return Boolean(v) && typeof v === "object" && !Array.isArray(v);
+}
+
+// 정산서 1건 정리: 알려진 필드는 형태를 맞추고, 모르는 필드는 그대로 보존
+function normalizeReportRecord(r) {
+  const base = isPlainObject(r) ? r : {};
+  const out = { ...base, eventName: String(base.eventName ?? "") };
+  for (const field of REPORT_NUMBER_FIELDS) out[field] = toFloat(base[field]);
+  out.additionalItems = (Array.isArray(base.additionalItems) ? base.additionalItems : [])
+    .filter(isPlainObject)
+    .map((item) => ({
+      ...item,
+      id: String(item.id ?? makeId()),
+      name: String(item.name ?? ""),
+      income: toFloat(item.income),
+      expense: toFloat(item.expense),
+    }));
+  out.guideOptions = (Array.isArray(base.guideOptions) ? base.guideOptions : [])
+    .filter(isPlainObject)
+    .map((opt) => ({
+      ...opt,
+      id: String(opt.id ?? makeId()),
+      optionName: String(opt.optionName ?? ""),
+      salePrice: toFloat(opt.salePrice),
+      costPrice: toFloat(opt.costPrice),
+      vendor: String(opt.vendor ?? ""), // 업체 및 품목 (자유 입력)
+      vendorId: String(opt.vendorId ?? ""), // 업체로 표시한 거래처 id ("" = 연결 안 함)
+    }));
+  // 행사 기간 (YYYY-MM-DD)과 정산 월 (YYYY-MM). 비어 있으면 정산서 키의 월 기준
+  out.startDate = isValidDateString(base.startDate) ? base.startDate : "";
+  out.endDate = isValidDateString(base.endDate) ? base.endDate : "";
+  out.settlementMonth = /^\d{4}-\d{2}$/.test(String(base.settlementMonth ?? "")) ? base.settlementMonth : "";
+  // 환율 출처 (""이면 직접 입력)와 적용한 환율표 날짜
+  out.rateSource = safeTrim(base.rateSource);
+  out.rateDate = isValidDateString(base.rateDate) ? base.rateDate : "";
+  // 가이드와 고를 때 복사한 요율 (가이드 탭에서 요율을 고쳐도 정산서 값은 유지)
+  out.guideId = String(base.guideId ?? "");
+  out.guideDailyRate = toFloat(base.guideDailyRate);
+  out.guideCommissionType = base.guideCommissionType === "fixed" ? "fixed" : "percent";
+  out.guideCommissionValue = toFloat(base.guideCommissionValue);
+  out.tourDays = toFloat(base.tourDays); // 0이면 행사 기간 일수
+  out.guideOverrides = Array.isArray(base.guideOverrides)
+    ? GUIDE_AUTO_FIELDS.filter((field) => base.guideOverrides.includes(field))
+    : getLegacyGuideOverrides(out);
+  out.guidePaidDate = isValidDateString(base.guidePaidDate) ? base.guidePaidDate : ""; // 가이드 지급일 ("" = 미지급)
+  return out;
+}
+
+// 직접 입력 표시가 없던 예전 정산서: 옵션 상세 합계와 다른 옵션판매/옵션원가는 직접 입력으로 보고 값을 유지
+function getLegacyGuideOverrides(r) {
+  const sale = r.guideOptions.reduce((sum, o) => sum + o.salePrice, 0);
+  const cost = r.guideOptions.reduce((sum, o) => sum + o.costPrice, 0);
+  return [
+    ...(r.optionSales !== sale ? ["optionSales"] : []),
+    ...(r.optionCost !== cost ? ["optionCost"] : []),
+  ];
+}
+
+// 저장/백업 데이터를 정산서 맵 형태로 정리 (loadReportMap, 백업 복원 공용)
+function normalizeReportMap(parsed) {
+  if (!isPlainObject(parsed)) return {};
+  const map = {};
+  for (const [key, r] of Object.entries(parsed)) {
+    if (!isPlainObject(r)) continue;
+    map[key] = normalizeReportRecord(r);
+  }
+  return map;
+}
+
 function saveReportMap(map) {
   localStorage.setItem(REPORT_STORAGE_KEY, JSON.stringify(map));
+  eventPeriodIndex = null;
+  recordReportAudit(map);
 }
 
-// 행사명 목록 추출 (월별로 완전 분리)
-function getEventNamesFromEntries() {
-  const map = {};
-  for (const e of entries) {
-    if (!e.eventName || !e.client) continue; // 행사명과 거래처가 있는 경우만
-    const ym = getYearMonth(e.date);
-    const key = safeEventKey(e.eventName, ym);
-    if (!map[key]) {
-      map[key] = { key, name: e.eventName, month: ym };
-    }
+// 행사명(소문자) -> 기간이 지정된 정산서 목록. reportMap이 바뀌면 다시 만듦
+let eventPeriodIndex = null;
+
+function getEventPeriodIndex() {
+  if (eventPeriodIndex && eventPeriodIndex.map === reportMap) return eventPeriodIndex.byName;
+  const byName = {};
+  for (const [key, r] of Object.entries(reportMap)) {
+    if (!r.startDate || !r.endDate) continue;
+    const name = safeTrim(r.eventName).toLowerCase();
+    if (!byName[name]) byName[name] = [];
+    byName[name].push({ key, startDate: r.startDate, endDate: r.endDate });
   }
-  return Object.values(map);
+  for (const list of Object.values(byName)) list.sort((a, b) => (a.startDate < b.startDate ? -1 : 1));
+  eventPeriodIndex = { map: reportMap, byName };
+  return byName;
 }
 
-function getEntriesByEventKey(eventKey) {
-  // eventKey는 "YYYY-MM::행사명" 형식
-  const parts = eventKey.split("::");
-  const targetMonth = parts[0];
-  const targetName = parts[1] ? parts[1] : eventKey;
-  
-  return entries.filter((e) => {
-    if (!e.eventName || !e.client) return false;
-    const ym = getYearMonth(e.date);
-    const key = safeEventKey(e.eventName, ym);
-    return key === eventKey;
-  });
+// 같은 행사명이면서 기간 안에 날짜가 들어가는 정산서 키 (없으면 "")
+function findEventKeyByPeriod(eventName, date) {
+  const list = getEventPeriodIndex()[safeTrim(eventName).toLowerCase()] || [];
+  const hit = list.find((p) => p.startDate <= date && date <= p.endDate);
+  return hit ? hit.key : "";
+}
+
+// 월 기준 정산서 키 (기간/직접 지정을 보지 않음. 마이그레이션에서도 사용)
+function getMonthEventKey(e) {
+  if (!e.eventName || !e.client) return "";
+  return safeEventKey(e.eventName, getYearMonth(e.date));
+}
+
+// 항목이 속한 정산서 키: 직접 지정 > 같은 행사명의 기간 > 날짜의 월 (이체/환전은 정산서 대상 아님)
+function getEntryEventKey(e) {
+  if (!e.eventName || !e.client || e.kind === "transfer") return "";
+  if (e.eventKey && reportMap[e.eventKey]) return e.eventKey;
+  return findEventKeyByPeriod(e.eventName, e.date) || getMonthEventKey(e);
+}
+
+// 정산 월: 직접 지정한 정산 월 > 정산서 키의 월
+function getEventSettlementMonth(eventKey) {
+  const month = reportMap[eventKey]?.settlementMonth;
+  if (month) return month;
+  return eventKey.includes("::") ? eventKey.split("::")[0] : "";
+}
+
+function formatEventPeriod(r) {
+  if (!r?.startDate || !r?.endDate) return "";
+  const short = (d) => `${Number(d.slice(5, 7))}/${Number(d.slice(8, 10))}`;
+  return r.startDate === r.endDate ? short(r.startDate) : `${short(r.startDate)}~${short(r.endDate)}`;
+}
+
+// 행사 기간 일수 (시작일/종료일 포함). 기간이 없으면 0
+function countEventDays(r) {
+  if (!r?.startDate || !r?.endDate) return 0;
+  return Math.round((Date.parse(r.endDate) - Date.parse(r.startDate)) / 86400000) + 1;
+}
+
+// 행사 목록 추출: 내역이 연결된 행사 + 기간을 지정해 만든 행사 (정산 월 기준으로 그룹화)
+function getEventNamesFromEntries() {
+  const map = {};
+  for (const e of entries) {
+    for (const { eventKey: key } of getEntryEventShares(e)) {
+      if (map[key]) continue;
+      map[key] = { key, name: reportMap[key]?.eventName || e.eventName, month: getEventSettlementMonth(key) };
+    }
+  }
+  for (const [key, r] of Object.entries(reportMap)) {
+    if (map[key] || !r.startDate) continue;
+    map[key] = { key, name: r.eventName, month: getEventSettlementMonth(key) };
+  }
+  return Object.values(map);
+}
+
+// 행사에 들어가는 내역 (배분한 내역은 금액을 그 행사 몫으로 바꾼 사본)
+function getEntriesByEventKey(eventKey) {
+  // eventKey는 "YYYY-MM::행사명" 형식
+  return entries.flatMap((e) => getEntryEventShares(e).filter((s) => s.eventKey === eventKey).map((s) => s.entry));
+}
+
+// --- 여러 행사로 배분 ---
+// 배분이 있으면 배분 줄별 몫, 없으면 행사명/행사 지정에 따른 한 행사에 전액
+function getEntryEventShares(e) {
+  if (e.allocations.length === 0) {
+    const key = getEntryEventKey(e);
+    return key ? [{ eventKey: key, entry: e }] : [];
+  }
+  if (e.kind === "transfer") return [];
+  return e.allocations
+    .filter((line) => reportMap[line.eventKey])
+    .map((line) => ({ eventKey: line.eventKey, entry: { ...e, ...getAllocationAmounts(e, line) } }));
+}
+
+// 내역에 금액이 있는 필드만 (배분 입력/검사 대상)
+function getEntryUsedAmountFields(e) {
+  return Object.keys(e).filter((field) => AMOUNT_FIELD_PATTERN.test(field) && toFloat(e[field]) !== 0);
+}
+
+function getAllocationAmounts(e, line) {
+  const amounts = {};
+  for (const field of getEntryUsedAmountFields(e)) {
+    amounts[field] = line.percent !== null ? (toFloat(e[field]) * line.percent) / 100 : toFloat(line.amounts[field]);
+  }
+  return amounts;
+}
+
+// 금액 필드 표시 이름 (예: bbExpense -> "BB출금")
+function getAmountFieldLabel(field) {
+  const id = field.replace(/(Income|Expense)$/, "");
+  const account = accounts.find((a) => a.id === id);
+  return `${account ? account.shortName : id.toUpperCase()}${field.endsWith("Income") ? "입금" : "출금"}`;
+}
+
+// 배분 줄 검사: 행사 중복/누락, 비율 범위, 필드별 합계가 내역 금액과 같은지. 문제가 없으면 ""
+// eventNames: 고를 수 있는 행사 (키 -> 이름), 기본은 정산서가 있는 행사
+function validateAllocations(e, lines, eventNames = null) {
+  if (lines.length === 0) return "";
+  const nameOf = (key) => (eventNames ? eventNames.get(key) : reportMap[key]?.eventName);
+  const seen = new Set();
+  for (const line of lines) {
+    if (nameOf(line.eventKey) === undefined) return "배분할 행사를 고르세요.";
+    if (seen.has(line.eventKey)) return `${nameOf(line.eventKey)} 행사가 두 번 있습니다.`;
+    seen.add(line.eventKey);
+    if (line.percent !== null && (line.percent <= 0 || line.percent > 100)) return "비율은 0보다 크고 100 이하여야 합니다.";
+  }
+  const diffs = [];
+  for (const field of getEntryUsedAmountFields(e)) {
+    const allocated = lines.reduce((sum, line) => sum + getAllocationAmounts(e, line)[field], 0);
+    const rest = toFloat(e[field]) - allocated;
+    if (!isSameAmount(rest, 0)) diffs.push(`${getAmountFieldLabel(field)} ${formatNumberKRW(Math.abs(rest))} ${rest > 0 ? "남음" : "초과"}`);
+  }
+  return diffs.length > 0 ? `배분 합계가 내역 금액과 다릅니다: ${diffs.join(", ")}` : "";
+}
+
+function describeAllocations(e) {
+  return e.allocations
+    .map((line) => `${reportMap[line.eventKey]?.eventName || line.eventKey}${line.percent !== null ? ` ${line.percent}%` : ""}`)
+    .join(", ");
+}
+
+function setEntryAllocations(id, lines) {
+  const now = Date.now();
+  entries = entries.map((e) => (e.id === id ? { ...e, allocations: lines, updatedAt: now } : e));
+  saveEntries(entries);
+}
+
+// 배분 대화상자에서 고치는 중인 줄 (입력 중에는 표를 다시 그리지 않고 값만 읽음)
+let allocationDraft = null;
+
+function renderAllocationRows() {
+  const { entry, lines, events } = allocationDraft;
+  const fields = getEntryUsedAmountFields(entry);
+
+  $("allocationTable").querySelector("thead").innerHTML = `
+    <tr>
+      <th>행사</th>
+      <th class="num">비율(%)</th>
+      ${fields.map((field) => `<th class="num">${escapeHtml(getAmountFieldLabel(field))}</th>`).join("")}
+      <th class="actions">작업</th>
+    </tr>
+  `;
+  const tbody = $("allocationTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  lines.forEach((line, index) => {
+    const amounts = getAllocationAmounts(entry, line);
+    const tr = document.createElement("tr");
+    tr.dataset.index = String(index);
+    tr.innerHTML = `
+      <td>
+        <select class="input input--sm" data-field="eventKey">
+          <option value="">행사 선택</option>
+          ${events
+            .map((ev) => `<option value="${escapeHtml(ev.key)}" ${ev.key === line.eventKey ? "selected" : ""}>${escapeHtml(ev.name)} (${escapeHtml(ev.month)})</option>`)
+            .join("")}
+        </select>
+      </td>
+      <td><input class="input input--sm num" type="number" step="any" placeholder="직접" value="${line.percent ?? ""}" data-field="percent" /></td>
+      ${fields
+        .map(
+          (field) =>
+            `<td><input class="input input--sm num" type="number" step="any" value="${amounts[field]}" data-field="${field}" ${line.percent !== null ? "disabled" : ""} /></td>`,
+        )
+        .join("")}
+      <td class="actions">
+        <button class="miniBtn miniBtn--danger" data-action="allocation-remove" data-index="${index}" type="button">삭제</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  });
+  updateAllocationStatus();
+}
+
+// 표의 입력값을 읽어 줄을 갱신하고, 비율 줄의 금액 칸과 검사 결과만 다시 표시
+function readAllocationRows() {
+  const { entry } = allocationDraft;
+  const rows = [...$("allocationTable").querySelectorAll("tbody tr")];
+  allocationDraft.lines = rows.map((tr) => {
+    const value = (field) => tr.querySelector(`[data-field="${field}"]`).value;
+    const percentInput = safeTrim(value("percent"));
+    const line = { eventKey: value("eventKey"), percent: percentInput ? toFloat(percentInput) : null, amounts: {} };
+    for (const field of getEntryUsedAmountFields(entry)) line.amounts[field] = toFloat(value(field));
+    if (line.percent !== null) {
+      const amounts = getAllocationAmounts(entry, line);
+      for (const [field, amount] of Object.entries(amounts)) {
+        const input = tr.querySelector(`[data-field="${field}"]`);
+        input.value = String(amount);
+        input.disabled = true;
+      }
+    } else {
+      for (const input of tr.querySelectorAll("input[data-field]:not([data-field=percent])")) input.disabled = false;
+    }
+    return line;
+  });
+  updateAllocationStatus();
+}
+
+function updateAllocationStatus() {
+  const { entry, lines, events } = allocationDraft;
+  const error = validateAllocations(entry, lines, new Map(events.map((ev) => [ev.key, ev.name])));
+  $("allocationError").textContent = error;
+  $("allocationError").hidden = !error;
+  $("allocationConfirm").disabled = Boolean(error);
+  $("allocationConfirm").textContent = lines.length === 0 ? "배분 해제" : "저장";
+}
+
+function openAllocationDialog(entry) {
+  const dialog = $("allocationDialog");
+  const events = getEventNamesFromEntries().sort((a, b) =>
+    a.month !== b.month ? (a.month < b.month ? 1 : -1) : a.name.localeCompare(b.name, "ko"),
+  );
+  allocationDraft = { entry, events, lines: entry.allocations.map((l) => ({ ...l, amounts: { ...l.amounts } })) };
+  // 새로 배분할 때는 지금 연결된 행사를 첫 줄로
+  if (allocationDraft.lines.length === 0) {
+    const key = getEntryEventKey(entry);
+    allocationDraft.lines.push({ eventKey: key, percent: null, amounts: getAllocationAmounts(entry, { percent: 100 }) });
+  }
+  const total = getEntryUsedAmountFields(entry)
+    .map((field) => `${getAmountFieldLabel(field)} ${formatNumberKRW(toFloat(entry[field]))}`)
+    .join(" · ");
+  $("allocationTitle").textContent = `행사별 배분 - ${entry.date} ${entry.client || ""} ${entry.eventDetail || ""}`.trim();
+  $("allocationBody").textContent = `내역 금액: ${total || "없음"}. 비율을 입력하면 모든 금액에 같은 비율이 적용되고, 비우면 금액을 직접 나눕니다.`;
+  renderAllocationRows();
+
+  dialog.returnValue = "";
+  dialog.showModal();
+  return new Promise((resolve) => {
+    const onClose = () => {
+      dialog.removeEventListener("close", onClose);
+      const { lines, events } = allocationDraft;
+      allocationDraft = null;
+      if (dialog.returnValue !== "ok") return resolve(null);
+      // 배분 몫은 정산서가 있는 행사에만 들어가므로 고른 행사의 정산서를 만들어 둠
+      for (const line of lines) ensureReportDefaults(line.eventKey, events.find((ev) => ev.key === line.eventKey)?.name || "");
+      resolve(lines);
+    };
+    dialog.addEventListener("close", onClose);
+  });
 }
 
 function ensureReportDefaults(eventKey, eventName) {
@@ -396,6 +1578,9 @@ function ensureReportDefaults(eventKey, eventName) {
       fixedPriceKRWExpense: 0, // 원화 확정가 (지출)
       bahtExchangeRateExpense: 0, // 바트환산 (지출)
       fixedPriceBahtExpense: 0, // 바트 확정가 (지출)
+      usdToThbRate: 0, // 달러환산 (1달러당 바트)
+      rateSource: "", // 환율 출처 ("" = 직접 입력)
+      rateDate: "", // 적용한 환율표 날짜
       
       additionalItems: [], // { id, name, income, expense }
       // 가이드 정산
@@ -407,51 +1592,608 @@ function ensureReportDefaults(eventKey, eventName) {
       guideDailyFee: 0,
       guideCommission: 0,
       otherPayment: 0,
-      guideOptions: [], // { id, optionName, salePrice, costPrice, profit, vendor }
+      guideOptions: [], // { id, optionName, salePrice, costPrice, profit, vendor, vendorId }
+      guideId: "", // 가이드 탭의 가이드 id
+      guideDailyRate: 0, // 가이드를 고를 때 복사한 1일 일비
+      guideCommissionType: "percent", // "percent" = 옵션 수익의 %, "fixed" = 고정 금액
+      guideCommissionValue: 0,
+      tourDays: 0, // 투어 일수 (0이면 행사 기간 일수)
+      guideOverrides: [], // 직접 입력한 자동 계산 필드 (GUIDE_AUTO_FIELDS)
+      guidePaidDate: "", // 가이드 지급일 ("" = 미지급)
     };
     saveReportMap(reportMap);
   }
 }
 
+// 항목 수정으로 정산서 키가 바뀐 경우 정산서/수익 데이터를 새 키로 옮김
+// - 이전 키에 남은 항목이 없고 새 키에 데이터가 없으면 이동
+// - 그 외에는 이전 데이터를 그대로 두고 새 키에 기본값만 생성
+function relinkEventData(oldKey, newKey, eventName) {
+  if (!newKey) return;
+  if (oldKey === newKey) {
+    // 대소문자/공백만 바뀐 경우: 표시용 행사명만 갱신
+    if (reportMap[newKey]) {
+      reportMap[newKey].eventName = eventName;
+      saveReportMap(reportMap);
+    }
+    if (profitState.incomes[newKey]) {
+      profitState.incomes[newKey].eventName = eventName;
+      saveProfitState(profitState);
+    }
+    return;
+  }
+
+  // 기간을 지정해 만든 행사는 항목이 모두 빠져도 그대로 둠
+  const oldOrphaned = oldKey && !reportMap[oldKey]?.startDate && getEntriesByEventKey(oldKey).length === 0;
+
+  if (oldOrphaned) {
+    // 이전 행사에 남은 항목이 없으면 새 키로 이동 (새 키에 이미 데이터가 있으면 병합)
+    moveEventData(oldKey, newKey, eventName);
+  } else {
+    ensureReportDefaults(newKey, eventName);
+  }
+}
+
+// 정산서 필드 표시 이름 (병합 미리보기 등)
+const REPORT_FIELD_LABELS = {
+  fixedPriceKRWIncome: "원화 확정가(입금)",
+  bahtExchangeRateIncome: "바트환산(입금)",
+  fixedPriceBahtIncome: "바트 확정가(입금)",
+  fixedPriceKRWExpense: "원화 확정가(지출)",
+  bahtExchangeRateExpense: "바트환산(지출)",
+  fixedPriceBahtExpense: "바트 확정가(지출)",
+  usdToThbRate: "달러환산",
+  tourFee: "투어피",
+  optionSales: "옵션판매",
+  otherIncome: "기타입금",
+  eventCost: "행사비",
+  optionCost: "옵션원가",
+  guideDailyFee: "가이드일비",
+  guideCommission: "가이드 컴",
+  otherPayment: "기타지급",
+};
+
+// 두 정산서 병합: 숫자 필드는 대상(target) 값이 있으면 대상 우선, 없으면 원본(source) 값
+// 추가 항목/가이드 옵션은 합침. 양쪽 모두 값이 있는 필드는 conflicts로 알려줌
+function mergeReportRecords(target, source) {
+  const t = normalizeReportRecord(target);
+  const s = normalizeReportRecord(source);
+  const record = { ...s, ...t };
+  const conflicts = [];
+
+  for (const field of REPORT_NUMBER_FIELDS) {
+    if (t[field] !== 0 && s[field] !== 0 && t[field] !== s[field]) {
+      conflicts.push({ field, label: REPORT_FIELD_LABELS[field], kept: t[field], dropped: s[field] });
+    }
+    record[field] = t[field] !== 0 ? t[field] : s[field];
+  }
+  record.additionalItems = [...t.additionalItems, ...s.additionalItems];
+  record.guideOptions = [...t.guideOptions, ...s.guideOptions];
+  return { record, conflicts };
+}
+
+// 수익 탭 행사 수입 병합: 포함 여부는 둘 중 하나라도 포함이면 포함, 직접 수정 금액은 대상 우선
+function mergeProfitIncomes(target, source) {
+  if (!target) return source;
+  if (!source) return target;
+  const override = target.amountOverride ?? source.amountOverride ?? null;
+  return { ...source, ...target, enabled: Boolean(target.enabled || source.enabled), amountOverride: override };
+}
+
+// 정산서/수익 데이터를 oldKey에서 newKey로 이동 (newKey에 이미 있으면 병합)
+function moveEventData(oldKey, newKey, eventName) {
+  if (oldKey === newKey) return;
+
+  // 이전 행사로 직접 지정/배분된 항목은 새 행사로 다시 지정 (배분 줄이 겹치면 합침)
+  const linked = (e) => e.eventKey === oldKey || e.allocations.some((l) => l.eventKey === oldKey);
+  if (entries.some(linked)) {
+    entries = entries.map((e) =>
+      linked(e) ? { ...e, eventKey: e.eventKey === oldKey ? newKey : e.eventKey, allocations: moveAllocations(e, oldKey, newKey) } : e,
+    );
+    saveEntries(entries);
+  }
+
+  if (reportMap[oldKey] || reportMap[newKey]) {
+    const merged = reportMap[newKey] && reportMap[oldKey]
+      ? mergeReportRecords(reportMap[newKey], reportMap[oldKey]).record
+      : reportMap[newKey] || reportMap[oldKey];
+    reportMap[newKey] = { ...merged, eventName };
+    delete reportMap[oldKey];
+  } else {
+    ensureReportDefaults(newKey, eventName);
+  }
+  saveReportMap(reportMap);
+
+  const income = mergeProfitIncomes(profitState.incomes[newKey], profitState.incomes[oldKey]);
+  if (income) {
+    profitState.incomes[newKey] = { ...income, eventName };
+    delete profitState.incomes[oldKey];
+    saveProfitState(profitState);
+  }
+
+  if (selectedEventKey === oldKey) selectedEventKey = newKey;
+}
+
+// 행사명 변경/병합 계획 (미리보기용, 데이터는 바꾸지 않음)
+function planEventRename(oldKey, newName) {
+  const name = safeTrim(newName);
+  const month = oldKey.includes("::") ? oldKey.split("::")[0] : "";
+  // 배분한 내역은 행사명 대신 배분 줄의 행사 키가 옮겨짐 (moveEventData)
+  const list = getEntriesByEventKey(oldKey).filter((e) => e.allocations.length === 0);
+  const plan = { oldKey, newKey: "", newName: name, entryIds: list.map((e) => e.id), merge: false, error: "" };
+
+  if (!name) {
+    plan.error = "새 행사명을 입력하세요.";
+    return plan;
+  }
+  const lockedMonth = (isEventLocked(oldKey) && getEventSettlementMonth(oldKey)) || list.map(getEntryLockedMonth).find(Boolean);
+  if (lockedMonth) {
+    plan.error = formatMonthLockedError(lockedMonth);
+    return plan;
+  }
+  // 같은 정산 월에 같은 이름의 행사가 있으면 그 행사로 병합
+  const settlementMonth = getEventSettlementMonth(oldKey);
+  const target = getEventNamesFromEntries().find(
+    (ev) => ev.key !== oldKey && ev.month === settlementMonth && ev.name.toLowerCase() === name.toLowerCase(),
+  );
+  plan.newKey = target ? target.key : safeEventKey(name, month);
+  plan.merge = Boolean(target);
+  // 병합 시 대상 행사의 표시 이름으로 통일
+  if (target) plan.newName = reportMap[plan.newKey]?.eventName || target.name;
+  return plan;
+}
+
+// 배분 줄의 행사 키를 oldKey에서 newKey로 (newKey 줄이 이미 있으면 금액으로 합침)
+function moveAllocations(e, oldKey, newKey) {
+  const moving = e.allocations.find((l) => l.eventKey === oldKey);
+  if (!moving) return e.allocations;
+  const existing = e.allocations.find((l) => l.eventKey === newKey);
+  if (!existing) return e.allocations.map((l) => (l === moving ? { ...l, eventKey: newKey } : l));
+  const a = getAllocationAmounts(e, existing);
+  const b = getAllocationAmounts(e, moving);
+  const amounts = Object.fromEntries(Object.keys(a).map((field) => [field, a[field] + b[field]]));
+  return e.allocations
+    .filter((l) => l !== moving)
+    .map((l) => (l === existing ? { eventKey: newKey, percent: null, amounts } : l));
+}
+
+function applyEventRename(plan) {
+  const ids = new Set(plan.entryIds);
+  const now = Date.now();
+  entries = entries.map((e) => (ids.has(e.id) ? { ...e, eventName: plan.newName, updatedAt: now } : e));
+  saveEntries(entries);
+
+  if (plan.newKey === plan.oldKey) {
+    relinkEventData(plan.oldKey, plan.newKey, plan.newName);
+  } else {
+    moveEventData(plan.oldKey, plan.newKey, plan.newName);
+  }
+}
+
+function describeEventRenamePlan(plan) {
+  if (plan.error) return plan.error;
+  const lines = [`내역 ${plan.entryIds.length}건의 행사명을 "${plan.newName}"(으)로 바꿉니다.`];
+  if (plan.newKey === plan.oldKey) {
+    lines.push("표시 이름만 바뀌며 정산서 입력값은 그대로 유지됩니다.");
+  } else if (!plan.merge) {
+    lines.push("정산서 입력값(확정가, 추가 항목, 가이드 정산)과 수익 탭 설정도 함께 옮겨집니다.");
+  } else {
+    lines.push(...describeEventMerge(plan.oldKey, plan.newKey, plan.newName));
+  }
+  return lines.join("\n");
+}
+
+// 행사 병합 미리보기 (moveEventData로 oldKey를 newKey에 합칠 때 합쳐지는 것과 버려지는 값)
+function describeEventMerge(oldKey, newKey, newName) {
+  const target = reportMap[newKey] || {};
+  const source = reportMap[oldKey] || {};
+  const lines = [`같은 월의 기존 행사 "${target.eventName || newName}"와(과) 병합됩니다.`];
+  lines.push(
+    `추가 항목 ${(target.additionalItems || []).length}+${(source.additionalItems || []).length}개, ` +
+      `가이드 옵션 ${(target.guideOptions || []).length}+${(source.guideOptions || []).length}개를 합칩니다.`,
+  );
+  const conflicts = reportMap[newKey] && reportMap[oldKey] ? mergeReportRecords(target, source).conflicts : [];
+  if (conflicts.length === 0) {
+    lines.push("겹치는 입력값은 없습니다.");
+  } else {
+    lines.push("양쪽에 모두 값이 있는 항목은 기존 행사 값을 유지합니다:");
+    for (const c of conflicts) {
+      lines.push(`- ${c.label}: ${formatNumberKRW(c.kept)} 유지 (${formatNumberKRW(c.dropped)} 버림)`);
+    }
+  }
+  const targetIncome = profitState.incomes[newKey];
+  const sourceIncome = profitState.incomes[oldKey];
+  if (targetIncome?.amountOverride != null && sourceIncome?.amountOverride != null) {
+    lines.push(`- 수익 탭 직접 수정 금액: ${formatNumberKRW(targetIncome.amountOverride)} 유지 (${formatNumberKRW(sourceIncome.amountOverride)} 버림)`);
+  }
+  return lines;
+}
+
+// 내역 수정으로 행사의 마지막 내역이 다른 기존 행사로 옮겨지면 relinkEventData가 두 정산서를 병합함
+// 그 경우의 미리보기 문구, 병합이 아니면 null (수정 내용 저장 전에 호출)
+function describeEntryEventMerge(editing, entry) {
+  const oldKey = getEntryEventKey(editing);
+  const newKey = getEntryEventKey(entry);
+  if (!oldKey || !newKey || oldKey === newKey) return null;
+  const oldOrphaned = !reportMap[oldKey]?.startDate && getEntriesByEventKey(oldKey).every((e) => e.id === editing.id);
+  const bothReports = reportMap[oldKey] && reportMap[newKey];
+  const bothIncomes = profitState.incomes[oldKey] && profitState.incomes[newKey];
+  if (!oldOrphaned || !(bothReports || bothIncomes)) return null;
+  return [
+    `이 내역이 "${reportMap[oldKey]?.eventName || editing.eventName}"의 마지막 내역이라, 저장하면 정산서 입력값과 수익 탭 설정이 옮겨지는 행사로 합쳐집니다.`,
+    ...describeEventMerge(oldKey, newKey, entry.eventName),
+  ];
+}
+
+function openRenameEventDialog() {
+  const ev = getEventNamesFromEntries().find((e) => e.key === selectedEventKey);
+  if (!ev) return;
+  const dialog = $("renameEventDialog");
+  const input = $("renameEventInput");
+
+  $("renameEventTitle").textContent = `행사명 변경/병합 - ${ev.month} ${ev.name}`;
+  input.value = ev.name;
+  $("renameEventOptions").innerHTML = getEventNamesFromEntries()
+    .filter((e) => e.month === ev.month && e.key !== ev.key)
+    .map((e) => `<option value="${escapeHtml(e.name)}"></option>`)
+    .join("");
+
+  const update = () => {
+    const plan = planEventRename(ev.key, input.value);
+    $("renameEventPreview").textContent = describeEventRenamePlan(plan);
+    $("renameEventConfirm").disabled = Boolean(plan.error) || plan.newName === ev.name;
+    $("renameEventConfirm").textContent = plan.merge ? "병합" : "변경";
+  };
+  input.oninput = update;
+  update();
+
+  dialog.returnValue = "";
+  dialog.showModal();
+  return new Promise((resolve) => {
+    const onClose = () => {
+      dialog.removeEventListener("close", onClose);
+      resolve(dialog.returnValue === "ok" ? planEventRename(ev.key, input.value) : null);
+    };
+    dialog.addEventListener("close", onClose);
+  });
+}
+
+// 정산 월이 마감된 정산서는 바꾸지 않음
 function updateReportField(eventKey, updates) {
-  if (!reportMap[eventKey]) return;
+  if (!reportMap[eventKey] || isEventLocked(eventKey)) return;
   Object.assign(reportMap[eventKey], updates);
   saveReportMap(reportMap);
 }
 
+function showEventPeriodError(message) {
+  $("eventPeriodError").textContent = message;
+  $("eventPeriodError").hidden = !message;
+}
+
+// 행사 기간 검사: 시작일/종료일은 함께 입력하고, 같은 행사명의 다른 기간과 겹치지 않아야 함
+function validateEventPeriod(eventKey, eventName, startDate, endDate) {
+  if (!startDate && !endDate) return "";
+  if (!startDate || !endDate) return "시작일과 종료일을 모두 입력하세요.";
+  if (startDate > endDate) return "종료일이 시작일보다 빠릅니다.";
+  const overlap = (getEventPeriodIndex()[safeTrim(eventName).toLowerCase()] || []).find(
+    (p) => p.key !== eventKey && p.startDate <= endDate && startDate <= p.endDate,
+  );
+  if (overlap) return `같은 행사명의 다른 행사(${formatEventPeriod(reportMap[overlap.key])})와 기간이 겹칩니다.`;
+  return "";
+}
+
+// 행사 기간 저장. 기간 안의 항목이 옮겨와 비게 되는 같은 행사명의 정산서는 확인 후 이 행사로 병합
+async function setEventPeriod(eventKey, startDate, endDate) {
+  const r = reportMap[eventKey];
+  if (!r) return false;
+  const error = isEventLocked(eventKey)
+    ? formatMonthLockedError(getEventSettlementMonth(eventKey))
+    : validateEventPeriod(eventKey, r.eventName, startDate, endDate);
+  showEventPeriodError(error);
+  if (error) return false;
+  if (r.startDate === startDate && r.endDate === endDate) return true;
+
+  const name = safeTrim(r.eventName).toLowerCase();
+  const linkedBefore = getEventNamesFromEntries()
+    .filter((ev) => ev.key !== eventKey && safeTrim(ev.name).toLowerCase() === name && reportMap[ev.key])
+    .map((ev) => ev.key);
+  const prev = { startDate: r.startDate, endDate: r.endDate };
+  updateReportField(eventKey, { startDate, endDate });
+
+  const emptied = linkedBefore.filter((key) => getEntriesByEventKey(key).length === 0);
+  if (emptied.length === 0) return true;
+
+  const lines = [
+    `기간 안의 내역이 이 행사로 옮겨져 ${emptied.map((key) => `${getEventSettlementMonth(key)} 정산서`).join(", ")}에 남는 내역이 없습니다.`,
+    "남는 정산서의 입력값(확정가, 추가 항목, 가이드 정산)과 수익 탭 설정을 이 행사로 합칩니다.",
+  ];
+  for (const key of emptied) {
+    for (const c of mergeReportRecords(reportMap[eventKey], reportMap[key]).conflicts) {
+      lines.push(`- ${c.label}: ${formatNumberKRW(c.kept)} 유지 (${formatNumberKRW(c.dropped)} 버림)`);
+    }
+  }
+  const ok = await openConfirm({ title: "행사 기간 저장", body: lines.join("\n"), danger: false });
+  if (!ok) {
+    updateReportField(eventKey, prev);
+    return false;
+  }
+  for (const key of emptied) moveEventData(key, eventKey, r.eventName);
+  return true;
+}
+
+// 기간을 지정해 새 행사 만들기 (내역이 없어도 목록에 표시, 항목 입력 시 직접 지정 가능)
+function planNewEvent(name, startInput, endInput) {
+  const eventName = safeTrim(name);
+  const start = parseInputDate(startInput);
+  const end = parseInputDate(endInput);
+  const plan = { key: "", eventName, startDate: start.date, endDate: end.date, error: "" };
+  if (!eventName) plan.error = "행사명을 입력하세요.";
+  else if (!start.date || !end.date) plan.error = start.error || end.error || "시작일과 종료일을 모두 입력하세요.";
+  if (plan.error) return plan;
+
+  plan.key = safeEventKey(eventName, getYearMonth(plan.startDate));
+  if (reportMap[plan.key]?.startDate) {
+    plan.error = `같은 월에 시작하는 "${reportMap[plan.key].eventName}" 행사가 이미 있습니다.`;
+    return plan;
+  }
+  plan.error = validateEventPeriod(plan.key, eventName, plan.startDate, plan.endDate);
+  return plan;
+}
+
+function openNewEventDialog() {
+  const dialog = $("newEventDialog");
+  const nameInput = $("newEventName");
+  const startInput = $("newEventStart");
+  const endInput = $("newEventEnd");
+  nameInput.value = "";
+  startInput.value = "";
+  endInput.value = "";
+
+  const update = () => {
+    const plan = planNewEvent(nameInput.value, startInput.value, endInput.value);
+    const touched = safeTrim(nameInput.value) || safeTrim(startInput.value) || safeTrim(endInput.value);
+    $("newEventError").textContent = touched ? plan.error : "";
+    $("newEventError").hidden = !touched || !plan.error;
+    $("newEventConfirm").disabled = Boolean(plan.error);
+  };
+  nameInput.oninput = update;
+  startInput.oninput = update;
+  endInput.oninput = update;
+  update();
+
+  dialog.returnValue = "";
+  dialog.showModal();
+  return new Promise((resolve) => {
+    const onClose = () => {
+      dialog.removeEventListener("close", onClose);
+      resolve(dialog.returnValue === "ok" ? planNewEvent(nameInput.value, startInput.value, endInput.value) : null);
+    };
+    dialog.addEventListener("close", onClose);
+  });
+}
+
+// 환율 기준일: 행사 시작일 > 가장 이른 내역 날짜 > 정산서 키 월의 1일
+function getEventDate(eventKey) {
+  const r = reportMap[eventKey];
+  if (r?.startDate) return r.startDate;
+  const dates = getEntriesByEventKey(eventKey).map((e) => e.date).filter(isValidDateString).sort();
+  if (dates.length > 0) return dates[0];
+  return `${eventKey.split("::")[0]}-01`;
+}
+
+// 고른 출처의 행사일 기준 환율을 정산서에 복사해 저장 (환율표가 나중에 바뀌어도 정산서 값은 유지)
+// 바트 확정가는 비워 원화 확정가 × 바트환산으로 다시 계산되게 함. 실패 시 오류 메시지
+function applyRateSource(eventKey, source) {
+  if (!reportMap[eventKey]) return "";
+  if (!source) {
+    updateReportField(eventKey, { rateSource: "", rateDate: "" });
+    return "";
+  }
+  const date = getEventDate(eventKey);
+  const krw = findExchangeRate(source, "krwToThb", date);
+  const usd = findExchangeRate(source, "usdToThb", date);
+  if (!krw && !usd) return `환율표에 ${source}의 ${date} 또는 그 이전 환율이 없습니다.`;
+
+  const updates = { rateSource: source, rateDate: [krw?.date, usd?.date].filter(Boolean).sort().pop() };
+  if (krw) {
+    Object.assign(updates, {
+      bahtExchangeRateIncome: krw.krwToThb,
+      bahtExchangeRateExpense: krw.krwToThb,
+      fixedPriceBahtIncome: 0,
+      fixedPriceBahtExpense: 0,
+    });
+  }
+  if (usd) updates.usdToThbRate = usd.usdToThb;
+  updateReportField(eventKey, updates);
+  return "";
+}
+
+// 고른 가이드의 일비 요율/컴 규칙을 정산서에 복사해 저장 ("" = 가이드 선택 해제)
+function applyGuideProfile(eventKey, guideId) {
+  const guide = guides.find((g) => g.id === guideId);
+  if (!guide) {
+    updateReportField(eventKey, { guideId: "" });
+    return;
+  }
+  updateReportField(eventKey, {
+    guideId: guide.id,
+    guideDailyRate: guide.dailyFee,
+    guideCommissionType: guide.commissionType,
+    guideCommissionValue: guide.commissionValue,
+  });
+}
+
+function formatGuideCommission(type, value) {
+  return type === "fixed" ? `${formatNumberKRW(value)} 고정` : `옵션 수익의 ${value}%`;
+}
+
+// 가이드 정산 계산: values는 화면/정산서에 쓰는 최종 값, calculated는 자동 계산할 수 있는 필드의 계산값
+function computeGuideSettlement(r) {
+  const options = r.guideOptions || [];
+  const overrides = r.guideOverrides || [];
+  const values = {};
+  for (const field of [...GUIDE_INCOME_FIELDS, ...GUIDE_EXPENSE_FIELDS]) values[field] = toFloat(r[field]);
+  const calculated = {};
+  const apply = (field, value) => {
+    calculated[field] = value;
+    if (!overrides.includes(field)) values[field] = value;
+  };
+
+  apply("optionSales", options.reduce((sum, o) => sum + toFloat(o.salePrice), 0));
+  apply("optionCost", options.reduce((sum, o) => sum + toFloat(o.costPrice), 0));
+  const optionProfit = values.optionSales - values.optionCost;
+  const tourDays = toFloat(r.tourDays) || countEventDays(r);
+  if (r.guideId) {
+    apply("guideDailyFee", toFloat(r.guideDailyRate) * tourDays);
+    const rule = toFloat(r.guideCommissionValue);
+    apply("guideCommission", r.guideCommissionType === "fixed" ? rule : (optionProfit * rule) / 100);
+  }
+
+  const income = GUIDE_INCOME_FIELDS.reduce((sum, field) => sum + values[field], 0);
+  const expense = GUIDE_EXPENSE_FIELDS.reduce((sum, field) => sum + values[field], 0);
+  return {
+    values,
+    calculated,
+    auto: GUIDE_AUTO_FIELDS.filter((field) => field in calculated && !overrides.includes(field)),
+    tourDays,
+    optionProfit,
+    income,
+    expense,
+    profit: income - expense,
+  };
+}
+
+// 자동 계산 필드 -> 입력칸 id (입력칸 아래 "<id>Mode"에 자동/직접 입력 표시)
+const GUIDE_AUTO_INPUTS = {
+  optionSales: "reportOptionSales",
+  optionCost: "reportOptionCost",
+  guideDailyFee: "reportGuideDailyFee",
+  guideCommission: "reportGuideCommission",
+};
+
+function renderReportGuideFields(r, guide) {
+  const select = $("reportGuide");
+  const known = guides.some((g) => g.id === r.guideId);
+  select.innerHTML = `<option value="">선택 안 함</option>${guides
+    .filter((g) => g.active || g.id === r.guideId)
+    .map((g) => `<option value="${g.id}">${escapeHtml(g.name)}${g.active ? "" : " (사용 안 함)"}</option>`)
+    .join("")}${r.guideId && !known ? `<option value="${escapeHtml(r.guideId)}">(삭제된 가이드)</option>` : ""}`;
+  select.value = r.guideId || "";
+  $("btnReapplyGuideRate").hidden = !known;
+
+  const periodDays = countEventDays(r);
+  $("reportTourDays").value = toFloat(r.tourDays) || "";
+  $("reportTourDays").placeholder = periodDays ? `행사 기간 ${periodDays}일` : "일수";
+
+  const n = formatNumberKRW;
+  const notes = {
+    optionSales: "옵션 상세 판매가 합계",
+    optionCost: "옵션 상세 원가 합계",
+    guideDailyFee: `일비 ${n(toFloat(r.guideDailyRate))} × ${guide.tourDays}일`,
+    guideCommission:
+      r.guideCommissionType === "fixed"
+        ? `${n(toFloat(r.guideCommissionValue))} 고정`
+        : `옵션 수익 ${n(guide.optionProfit)}의 ${toFloat(r.guideCommissionValue)}%`,
+  };
+  for (const [field, id] of Object.entries(GUIDE_AUTO_INPUTS)) {
+    let html;
+    if (guide.auto.includes(field)) {
+      html = `자동 · ${notes[field]}`;
+    } else if (field in guide.calculated) {
+      html = `직접 입력 · 자동 ${n(guide.calculated[field])} <button class="linkBtn" data-guide-auto="${field}" type="button">자동으로</button>`;
+    } else {
+      html = "직접 입력 · 가이드를 고르면 자동 계산";
+    }
+    $(`${id}Mode`).innerHTML = html;
+  }
+
+  let info;
+  if (r.guideId) {
+    const name = getGuideName(r.guideId) || "삭제된 가이드";
+    info = `${name} 요율 적용: 일비 ${n(toFloat(r.guideDailyRate))} · 컴 ${formatGuideCommission(r.guideCommissionType, toFloat(r.guideCommissionValue))}. 가이드 탭에서 요율을 고쳐도 이 정산서 값은 바뀌지 않습니다.`;
+    if (guide.tourDays === 0) info += " 투어 일수를 입력하거나 행사 기간을 지정하면 가이드일비가 계산됩니다.";
+  } else if (guides.length > 0) {
+    info = "가이드를 고르면 가이드일비(일비 × 투어 일수)와 가이드 컴이 가이드 요율로 자동 계산됩니다.";
+  } else {
+    info = "가이드 탭에서 가이드별 일비/컴 규칙을 등록하면 가이드일비와 가이드 컴을 자동 계산할 수 있습니다.";
+  }
+  $("reportGuideInfo").textContent = info;
+}
+
+function showReportRateError(message) {
+  $("reportRateError").textContent = message;
+  $("reportRateError").hidden = !message;
+}
+
+function renderReportRateFields(eventKey, r, summary) {
+  const sources = getRateSources();
+  if (r.rateSource && !sources.includes(r.rateSource)) sources.push(r.rateSource);
+  const select = $("reportRateSource");
+  select.innerHTML = `<option value="">직접 입력</option>${sources
+    .map((s) => `<option value="${escapeHtml(s)}">${escapeHtml(s)}</option>`)
+    .join("")}`;
+  select.value = r.rateSource || "";
+  $("btnReapplyRate").hidden = !r.rateSource;
+
+  $("reportUsdToThbRate").value = toFloat(r.usdToThbRate);
+  $("reportUsdTotal").textContent =
+    `입금 ${formatNumberKRW(summary.usdIncomeFromEntries)} → ${formatNumberKRW(summary.usdIncomeBaht)} · ` +
+    `지출 ${formatNumberKRW(summary.usdExpenseFromEntries)} → ${formatNumberKRW(summary.usdExpenseBaht)}`;
+
+  let info;
+  if (r.rateSource) {
+    info = `${r.rateSource} ${r.rateDate || "-"} 환율 적용 (기준일 ${getEventDate(eventKey)}). 환율표를 고쳐도 이 정산서 값은 바뀌지 않습니다.`;
+  } else if (sources.length > 0) {
+    info = "환율 출처를 고르면 행사일 기준 환율표 값으로 바트환산/달러환산이 채워집니다.";
+  } else {
+    info = "계좌 탭의 환율표에 환율을 입력하면 출처를 골라 바트환산/달러환산을 채울 수 있습니다.";
+  }
+  if (summary.missingUsdRate) info += " 달러 내역이 있지만 달러환산이 없어 총 입금/지출에서 빠져 있습니다.";
+  $("reportRateInfo").textContent = info;
+  $("reportRateInfo").classList.toggle("status--error", summary.missingUsdRate);
+}
+
 function computeEventSummary(eventKey) {
   const list = getEntriesByEventKey(eventKey);
   const r = reportMap[eventKey] || {};
 
-  // 원화 입금/지출 합계 (입력/저장 탭에서 가져온 값)
-  const krwIncomeFromEntries = list.reduce((sum, e) => sum + (e.krwIncome || 0), 0);
-  const krwExpenseFromEntries = list.reduce((sum, e) => sum + (e.krwExpense || 0), 0);
+  // 원화 입금/지출 합계 (입력/저장 탭에서 가져온 값, 통화가 KRW인 계좌)
+  const krwIncomeFromEntries = sumEntriesByCurrency(list, "KRW", "Income");
+  const krwExpenseFromEntries = sumEntriesByCurrency(list, "KRW", "Expense");
   
-  // 바트 입금가 = 방콕뱅크 입금 + 카시컨 입금
-  const bahtIncomeFromEntries = list.reduce((sum, e) => {
-    return sum + (e.bbIncome || 0) + (e.kbIncome || 0);
-  }, 0);
+  // 바트 입금가 = 바트(THB) 계좌 입금 합계 (기본: 방콕뱅크 + 카시컨)
+  const bahtIncomeFromEntries = sumEntriesByCurrency(list, "THB", "Income");
   
-  // 바트 지출가 = 방콕뱅크 지출 + 카시컨 지출
-  const bahtExpenseFromEntries = list.reduce((sum, e) => {
-    return sum + (e.bbExpense || 0) + (e.kbExpense || 0);
-  }, 0);
+  // 바트 지출가 = 바트(THB) 계좌 지출 합계
+  const bahtExpenseFromEntries = sumEntriesByCurrency(list, "THB", "Expense");
   
-  // 바트 확정가 (입금) - 정산서에서 입력한 값
-  const bahtFixedIncome = toFloat(r.fixedPriceBahtIncome);
+  // 원화 확정가 - 정산서에서 입력한 값, 없으면 원화 계좌 합계
+  const krwFixedIncome = toFloat(r.fixedPriceKRWIncome) || krwIncomeFromEntries;
+  const krwFixedExpense = toFloat(r.fixedPriceKRWExpense) || krwExpenseFromEntries;
+
+  // 바트 확정가 (입금) - 정산서에서 입력한 값, 없으면 원화 확정가 × 바트환산
+  const bahtFixedIncome = toFloat(r.fixedPriceBahtIncome) || krwFixedIncome * toFloat(r.bahtExchangeRateIncome);
   
-  // 바트 확정가 (지출) - 정산서에서 입력한 값
-  const bahtFixedExpense = toFloat(r.fixedPriceBahtExpense);
+  // 바트 확정가 (지출) - 정산서에서 입력한 값, 없으면 원화 확정가 × 바트환산
+  const bahtFixedExpense = toFloat(r.fixedPriceBahtExpense) || krwFixedExpense * toFloat(r.bahtExchangeRateExpense);
+
+  // 달러 계좌 합계를 정산서의 달러환산으로 바트 환산 (환율이 없으면 0으로 두고 경고)
+  const usdIncomeFromEntries = sumEntriesByCurrency(list, "USD", "Income");
+  const usdExpenseFromEntries = sumEntriesByCurrency(list, "USD", "Expense");
+  const usdRate = toFloat(r.usdToThbRate);
+  const usdIncomeBaht = usdIncomeFromEntries * usdRate;
+  const usdExpenseBaht = usdExpenseFromEntries * usdRate;
+  const missingUsdRate = usdRate <= 0 && (usdIncomeFromEntries !== 0 || usdExpenseFromEntries !== 0);
 
   // 추가 항목 합계
   const additionalIncome = (r.additionalItems || []).reduce((sum, item) => sum + toFloat(item.income), 0);
   const additionalExpense = (r.additionalItems || []).reduce((sum, item) => sum + toFloat(item.expense), 0);
 
-  // 총 입금 = 바트 확정가(입금) + BB+KB + 추가항목
-  const totalIncome = bahtFixedIncome + bahtIncomeFromEntries + additionalIncome;
+  // 총 입금 = 바트 확정가(입금) + 바트 계좌 + 달러 계좌(바트 환산) + 추가항목
+  const totalIncome = bahtFixedIncome + bahtIncomeFromEntries + usdIncomeBaht + additionalIncome;
   
-  // 총 지출액 = 바트 확정가(지출) + BB지출 + KB지출 + 추가항목
-  const totalExpense = bahtFixedExpense + bahtExpenseFromEntries + additionalExpense;
+  // 총 지출액 = 바트 확정가(지출) + 바트 계좌 지출 + 달러 계좌 지출(바트 환산) + 추가항목
+  const totalExpense = bahtFixedExpense + bahtExpenseFromEntries + usdExpenseBaht + additionalExpense;
   
   const totalProfit = totalIncome - totalExpense;
 
@@ -462,7 +2204,16 @@ function computeEventSummary(eventKey) {
     bahtIncomeFromEntries,
     bahtExpenseFromEntries,
     krwIncomeFromEntries,
-    krwExpenseFromEntries
+    krwExpenseFromEntries,
+    krwFixedIncome,
+    krwFixedExpense,
+    bahtFixedIncome,
+    bahtFixedExpense,
+    usdIncomeFromEntries,
+    usdExpenseFromEntries,
+    usdIncomeBaht,
+    usdExpenseBaht,
+    missingUsdRate,
   };
 }
 
@@ -493,12 +2244,14 @@ function renderEventList() {
     
     for (const ev of byMonth[ym]) {
       const summary = computeEventSummary(ev.key);
+      const period = formatEventPeriod(reportMap[ev.key]);
       const item = document.createElement("div");
       item.className = `listItem ${selectedEventKey === ev.key ? "listItem--active" : ""}`;
       item.dataset.key = ev.key;
       item.innerHTML = `
         <div class="listItem__title">${escapeHtml(ev.name)}</div>
         <div class="listItem__meta">
+          ${period ? `<span>${period}</span>` : ""}
           <span>수익: ${formatNumberKRW(summary.totalProfit)}</span>
         </div>
       `;
@@ -512,6 +2265,9 @@ function renderEventList() {
 function renderReportDetail() {
   if (!selectedEventKey) {
     $("reportTitle").textContent = "행사를 선택하세요";
+    $("btnRenameEvent").hidden = true;
+    $("btnEventAudit").hidden = true;
+    $("eventPeriodFields").hidden = true;
     $("reportCount").textContent = "0건";
     $("reportTable").querySelector("tbody").innerHTML = "";
     $("sumIncome").textContent = "0";
@@ -526,6 +2282,7 @@ function renderReportDetail() {
     $("guideSummaryIncome").textContent = "0";
     $("guideSummaryExpense").textContent = "0";
     $("guideSummaryProfit").textContent = "0";
+    renderReportLock();
     return;
   }
 
@@ -534,9 +2291,18 @@ function renderReportDetail() {
   if (!event) return;
 
   $("reportTitle").textContent = event.name;
+  $("btnRenameEvent").hidden = false;
+  $("btnEventAudit").hidden = false;
 
   const list = getEntriesByEventKey(selectedEventKey);
   const r = reportMap[selectedEventKey] || {};
+
+  // 행사 기간 / 정산 월
+  $("eventPeriodFields").hidden = false;
+  $("eventStartDate").value = r.startDate || "";
+  $("eventEndDate").value = r.endDate || "";
+  $("eventSettlementMonth").value = getEventSettlementMonth(selectedEventKey);
+  showEventPeriodError("");
   const summary = computeEventSummary(selectedEventKey);
 
   // 원화 입금/지출 합계 계산 (입력/저장 탭에서 가져온 값)
@@ -577,30 +2343,32 @@ function renderReportDetail() {
   $("reportFixedPriceBahtExpense").value = bahtExpenseDefault;
   $("reportBahtExpenseTotal").textContent = formatNumberKRW(summary.bahtExpenseFromEntries);
 
+  // 환율 (정산 통화: 바트)
+  renderReportRateFields(selectedEventKey, r, summary);
+
   // 추가 항목 테이블 렌더링
   renderAdditionalItems();
 
-  // 가이드 정산 필드
-  $("reportTourFee").value = toFloat(r.tourFee);
-  $("reportOptionSales").value = toFloat(r.optionSales);
-  $("reportOtherIncome").value = toFloat(r.otherIncome);
-  $("reportEventCost").value = toFloat(r.eventCost);
-  $("reportOptionCost").value = toFloat(r.optionCost);
-  $("reportGuideDailyFee").value = toFloat(r.guideDailyFee);
-  $("reportGuideCommission").value = toFloat(r.guideCommission);
-  $("reportOtherPayment").value = toFloat(r.otherPayment);
+  // 가이드 정산 필드 (옵션판매/옵션원가/가이드일비/가이드 컴은 직접 입력하지 않았으면 자동 계산값)
+  const guide = computeGuideSettlement(r);
+  $("reportTourFee").value = guide.values.tourFee;
+  $("reportOptionSales").value = guide.values.optionSales;
+  $("reportOtherIncome").value = guide.values.otherIncome;
+  $("reportEventCost").value = guide.values.eventCost;
+  $("reportOptionCost").value = guide.values.optionCost;
+  $("reportGuideDailyFee").value = guide.values.guideDailyFee;
+  $("reportGuideCommission").value = guide.values.guideCommission;
+  $("reportOtherPayment").value = guide.values.otherPayment;
+  renderReportGuideFields(r, guide);
 
   // 가이드 옵션 테이블
   renderGuideOptions();
+  renderReportLock();
 
   // 가이드 정산 요약
-  const guideIncome = toFloat(r.tourFee) + toFloat(r.optionSales) + toFloat(r.otherIncome);
-  const guideExpense = toFloat(r.eventCost) + toFloat(r.optionCost) + toFloat(r.guideDailyFee) + toFloat(r.guideCommission) + toFloat(r.otherPayment);
-  const guideProfit = guideIncome - guideExpense;
-
-  $("guideSummaryIncome").textContent = formatNumberKRW(guideIncome);
-  $("guideSummaryExpense").textContent = formatNumberKRW(guideExpense);
-  $("guideSummaryProfit").textContent = formatNumberKRW(guideProfit);
+  $("guideSummaryIncome").textContent = formatNumberKRW(guide.income);
+  $("guideSummaryExpense").textContent = formatNumberKRW(guide.expense);
+  $("guideSummaryProfit").textContent = formatNumberKRW(guide.profit);
 
   // 요약
   $("sumIncome").textContent = formatNumberKRW(summary.totalIncome);
@@ -614,21 +2382,26 @@ function renderReportDetail() {
   $("reportCount").textContent = `${sorted.length}건`;
 
   for (const e of sorted) {
-    // 각 항목의 입금 = 바트확정가(입금) + BB입금 + KB입금
-    const itemIncome = bahtIncomeDefault + (e.bbIncome || 0) + (e.kbIncome || 0);
-    // 각 항목의 지출 = 바트확정가(지출) + BB지출 + KB지출
-    const itemExpense = bahtExpenseDefault + (e.bbExpense || 0) + (e.kbExpense || 0);
+    // 각 항목의 입금 = 바트확정가(입금) + 바트 계좌 입금
+    const itemIncome = bahtIncomeDefault + sumEntriesByCurrency([e], "THB", "Income");
+    // 각 항목의 지출 = 바트확정가(지출) + 바트 계좌 지출
+    const itemExpense = bahtExpenseDefault + sumEntriesByCurrency([e], "THB", "Expense");
+    // 배분 몫은 내역 전체 금액이 아니므로 여기서 고치지 않음 (입력 탭의 배분에서 수정)
+    const lockedMonth = getEntryLockedMonth(e);
+    const shareAttr = e.allocations.length > 0
+      ? `disabled title="배분 몫은 입력 탭의 배분에서 수정하세요"`
+      : lockedMonth ? `disabled title="${lockedMonth} 마감"` : "";
     
     const tr = document.createElement("tr");
     tr.innerHTML = `
       <td>${e.date}</td>
       <td>${escapeHtml(e.client)}</td>
-      <td>${escapeHtml(e.eventDetail || "")}</td>
+      <td>${escapeHtml(e.eventDetail || "")}${e.allocations.length > 0 ? ` <span class="status--muted">(배분 몫)</span>` : ""}</td>
       <td class="num">
-        <input class="input input--sm num" type="number" step="any" value="${itemIncome}" data-action="entry-income" data-id="${e.id}" />
+        <input class="input input--sm num" type="number" step="any" value="${itemIncome}" data-action="entry-income" data-id="${e.id}" ${shareAttr} />
       </td>
       <td class="num">
-        <input class="input input--sm num" type="number" step="any" value="${itemExpense}" data-action="entry-expense" data-id="${e.id}" />
+        <input class="input input--sm num" type="number" step="any" value="${itemExpense}" data-action="entry-expense" data-id="${e.id}" ${shareAttr} />
       </td>
       <td>${escapeHtml(e.memo || "")}</td>
     `;
@@ -636,6 +2409,24 @@ function renderReportDetail() {
   }
 }
 
+// 정산 월이 마감된 정산서는 입력칸/버튼을 모두 잠금 (잠근 칸만 표시해 두었다가 풀 때 되돌림)
+function renderReportLock() {
+  const month = selectedEventKey ? getEventSettlementMonth(selectedEventKey) : "";
+  const locked = isMonthClosed(month);
+  $("reportLockNotice").hidden = !locked;
+  $("reportLockNotice").textContent = locked ? `${month} 마감: 읽기 전용입니다. 수정하려면 수익 탭의 월 마감에서 해제하세요.` : "";
+  for (const el of $("reportDetail").querySelectorAll("input, select, button")) {
+    if (el.dataset.lockExempt) continue;
+    if (locked) {
+      if (!el.disabled) el.dataset.locked = "true";
+      el.disabled = true;
+    } else if (el.dataset.locked) {
+      el.disabled = false;
+      delete el.dataset.locked;
+    }
+  }
+}
+
 function renderAdditionalItems() {
   if (!selectedEventKey) return;
   
@@ -676,6 +2467,11 @@ function renderGuideOptions() {
       <td><input class="input input--sm num" type="number" value="${opt.costPrice || 0}" data-action="guide-option-cost" data-id="${opt.id}" /></td>
       <td class="num">${formatNumberKRW((opt.salePrice || 0) - (opt.costPrice || 0))}</td>
       <td><input class="input input--sm" value="${escapeHtml(opt.vendor || '')}" data-action="guide-option-vendor" data-id="${opt.id}" /></td>
+      <td>
+        <select class="input input--sm" data-action="guide-option-vendor-id" data-id="${opt.id}">
+          ${renderVendorOptions(opt.vendorId)}
+        </select>
+      </td>
       <td class="actions">
         <button class="miniBtn miniBtn--danger" data-action="guide-option-delete" data-id="${opt.id}" type="button">삭제</button>
       </td>
@@ -684,68 +2480,622 @@ function renderGuideOptions() {
   }
 }
 
-// --- 수익 탭 ---
-function loadProfitState() {
-  try {
-    const raw = localStorage.getItem(PROFIT_STORAGE_KEY);
-    if (!raw) return { incomes: {}, expenses: [] };
-    const parsed = JSON.parse(raw);
-    if (!parsed || typeof parsed !== "object") return { incomes: {}, expenses: [] };
-    return {
-      incomes: parsed.incomes || {},
-      expenses: Array.isArray(parsed.expenses) ? parsed.expenses : [],
-    };
-  } catch {
-    return { incomes: {}, expenses: [] };
+// --- 정산서 인쇄 ---
+// 선택한 행사의 정산서를 인쇄용 문서로 만들어 미리보기 (브라우저 인쇄 창의 "PDF로 저장"으로 PDF 저장)
+// 입금/지출 구성 [이름, 입금, 지출, 환율 여부] (정산서 화면의 총 입금/총 지출 계산 순서와 같음)
+function computeSettlementBreakdown(eventKey, summary) {
+  const r = reportMap[eventKey] || {};
+  const items = r.additionalItems || [];
+  const rows = [
+    ["원화 확정가", summary.krwFixedIncome, summary.krwFixedExpense, false],
+    ["바트환산 (1원당 바트)", toFloat(r.bahtExchangeRateIncome), toFloat(r.bahtExchangeRateExpense), true],
+    ["바트 확정가", summary.bahtFixedIncome, summary.bahtFixedExpense, false],
+    ["바트 계좌", summary.bahtIncomeFromEntries, summary.bahtExpenseFromEntries, false],
+  ];
+  if (summary.usdIncomeFromEntries !== 0 || summary.usdExpenseFromEntries !== 0) {
+    rows.push([`달러 계좌 (1달러당 ${toFloat(r.usdToThbRate)}바트)`, summary.usdIncomeBaht, summary.usdExpenseBaht, false]);
+  }
+  if (items.length > 0) {
+    rows.push([
+      "추가 항목",
+      items.reduce((sum, item) => sum + toFloat(item.income), 0),
+      items.reduce((sum, item) => sum + toFloat(item.expense), 0),
+      false,
+    ]);
   }
+  return rows;
 }
 
-function saveProfitState(state) {
-  localStorage.setItem(PROFIT_STORAGE_KEY, JSON.stringify(state));
+function buildSettlementDocument(eventKey) {
+  const event = getEventNamesFromEntries().find((e) => e.key === eventKey);
+  const r = reportMap[eventKey] || {};
+  const list = [...getEntriesByEventKey(eventKey)].sort((a, b) => (a.date > b.date ? 1 : a.date < b.date ? -1 : 0));
+  const summary = computeEventSummary(eventKey);
+  const n = formatNumberKRW;
+
+  const clients = [...new Set(list.map((e) => safeTrim(e.client)).filter(Boolean))];
+  const dates = list.map((e) => e.date).filter(isValidDateString);
+  const period = r.startDate && r.endDate
+    ? `${r.startDate} ~ ${r.endDate}`
+    : dates.length === 0 ? "-" : dates[0] === dates.at(-1) ? dates[0] : `${dates[0]} ~ ${dates.at(-1)}`;
+
+  const items = r.additionalItems || [];
+  const additionalIncome = items.reduce((sum, item) => sum + toFloat(item.income), 0);
+  const additionalExpense = items.reduce((sum, item) => sum + toFloat(item.expense), 0);
+  const breakdown = computeSettlementBreakdown(eventKey, summary).map(([label, income, expense, rate]) =>
+    rate ? [label, String(income), String(expense)] : [label, n(income), n(expense)],
+  );
+
+  // 내역은 금액이 있는 계좌 열만
+  const usedAccounts = accounts.filter((a) => list.some((e) => entryTouchesAccount(e, a.id)));
+  const amountCell = (v) => `<td class="num">${v === 0 ? "" : n(v)}</td>`;
+  const entryRows = list
+    .map(
+      (e) => `
+        <tr>
+          <td>${e.date}</td>
+          <td>${escapeHtml(e.client)}</td>
+          <td>${escapeHtml(e.eventDetail || "")}${e.allocations.length > 0 ? " (배분 몫)" : ""}</td>
+          ${usedAccounts.map((a) => amountCell(getEntryAmount(e, a.id, "Income")) + amountCell(getEntryAmount(e, a.id, "Expense"))).join("")}
+          <td>${escapeHtml(e.memo || "")}</td>
+        </tr>`,
+    )
+    .join("");
+
+  const options = r.guideOptions || [];
+  const guide = computeGuideSettlement(r);
+  const guideFields = [...GUIDE_INCOME_FIELDS, ...GUIDE_EXPENSE_FIELDS];
+  const guideName = r.guideId ? getGuideName(r.guideId) || "삭제된 가이드" : "";
+  const hasGuide = Boolean(guideName) || options.length > 0 || guideFields.some((field) => guide.values[field] !== 0);
+  const guideRows = (fields, kind) =>
+    fields
+      .filter((field) => guide.values[field] !== 0)
+      .map((field) => `<tr><td>${kind}</td><td>${REPORT_FIELD_LABELS[field]}</td><td class="num">${n(guide.values[field])}</td></tr>`)
+      .join("");
+
+  return `
+    <header class="printDoc__head">
+      <h2 class="printDoc__title">정산서</h2>
+      <span>정산 월 ${escapeHtml(getEventSettlementMonth(eventKey) || "-")}</span>
+    </header>
+    <dl class="printDoc__meta">
+      <dt>행사명</dt><dd>${escapeHtml(event?.name || r.eventName || "-")}</dd>
+      <dt>행사 기간</dt><dd>${period}</dd>
+      <dt>거래처</dt><dd>${escapeHtml(clients.join(", ") || "-")}</dd>
+      <dt>내역</dt><dd>${list.length}건</dd>
+    </dl>
+
+    <section class="printDoc__section">
+      <h3>입금 / 지출</h3>
+      <table>
+        <thead><tr><th>구분</th><th class="num">입금</th><th class="num">지출</th></tr></thead>
+        <tbody>${breakdown.map(([label, income, expense]) => `<tr><td>${label}</td><td class="num">${income}</td><td class="num">${expense}</td></tr>`).join("")}</tbody>
+        <tfoot><tr><td>합계 (바트)</td><td class="num">${n(summary.totalIncome)}</td><td class="num">${n(summary.totalExpense)}</td></tr></tfoot>
+      </table>
+      ${summary.missingUsdRate ? `<p class="printDoc__note">달러 내역이 있지만 달러환산이 없어 합계에서 빠져 있습니다.</p>` : ""}
+    </section>
+
+    ${list.length === 0 ? "" : `
+    <section class="printDoc__section">
+      <h3>내역</h3>
+      <table>
+        <thead><tr><th>날짜</th><th>거래처</th><th>행사내역</th>${usedAccounts.map((a) => `<th class="num">${escapeHtml(a.shortName)} 입금</th><th class="num">${escapeHtml(a.shortName)} 지출</th>`).join("")}<th>비고</th></tr></thead>
+        <tbody>${entryRows}</tbody>
+      </table>
+    </section>`}
+
+    ${items.length === 0 ? "" : `
+    <section class="printDoc__section">
+      <h3>추가 항목</h3>
+      <table>
+        <thead><tr><th>항목</th><th class="num">입금</th><th class="num">지출</th></tr></thead>
+        <tbody>${items.map((item) => `<tr><td>${escapeHtml(item.name || "")}</td>${amountCell(toFloat(item.income))}${amountCell(toFloat(item.expense))}</tr>`).join("")}</tbody>
+        <tfoot><tr><td>합계</td><td class="num">${n(additionalIncome)}</td><td class="num">${n(additionalExpense)}</td></tr></tfoot>
+      </table>
+    </section>`}
+
+    ${!hasGuide ? "" : `
+    <section class="printDoc__section">
+      <h3>가이드 정산</h3>
+      ${!guideName ? "" : `<p>가이드 ${escapeHtml(guideName)} · 투어 ${guide.tourDays}일 · 일비 ${n(toFloat(r.guideDailyRate))} · 컴 ${formatGuideCommission(r.guideCommissionType, toFloat(r.guideCommissionValue))}</p>`}
+      <table>
+        <thead><tr><th>구분</th><th>항목</th><th class="num">금액</th></tr></thead>
+        <tbody>${guideRows(GUIDE_INCOME_FIELDS, "입금")}${guideRows(GUIDE_EXPENSE_FIELDS, "지급")}</tbody>
+        <tfoot><tr><td colspan="2">입금 ${n(guide.income)} - 지급 ${n(guide.expense)}</td><td class="num">${n(guide.profit)}</td></tr></tfoot>
+      </table>
+      ${options.length === 0 ? "" : `
+      <table>
+        <thead><tr><th>옵션명</th><th class="num">판매가</th><th class="num">원가</th><th class="num">수익</th><th>업체</th></tr></thead>
+        <tbody>${options.map((o) => `<tr><td>${escapeHtml(o.optionName || "")}</td><td class="num">${n(toFloat(o.salePrice))}</td><td class="num">${n(toFloat(o.costPrice))}</td><td class="num">${n(toFloat(o.salePrice) - toFloat(o.costPrice))}</td><td>${escapeHtml([getVendorName(o.vendorId), o.vendor].filter(Boolean).join(" · "))}</td></tr>`).join("")}</tbody>
+      </table>`}
+    </section>`}
+
+    <section class="printDoc__section printDoc__totals">
+      <div class="printDoc__total"><span>총 입금</span><strong>${n(summary.totalIncome)}</strong></div>
+      <div class="printDoc__total"><span>총 지출</span><strong>${n(summary.totalExpense)}</strong></div>
+      <div class="printDoc__total"><span>총 수익</span><strong>${n(summary.totalProfit)}</strong></div>
+    </section>
+
+    <footer class="printDoc__foot">발행일 ${formatLocalDate(new Date())} · Soo Money Check</footer>
+  `;
 }
 
-function syncProfitIncomes() {
-  const events = getEventNamesFromEntries();
-  for (const ev of events) {
-    if (!profitState.incomes[ev.key]) {
-      profitState.incomes[ev.key] = {
-        eventName: ev.name,
-        month: ev.month,
-        enabled: true,
-        amountOverride: null,
-      };
-    } else {
-      profitState.incomes[ev.key].month = ev.month;
-    }
-  }
-  saveProfitState(profitState);
+function openSettlementPrint(eventKey) {
+  openPrintDocument("정산서 인쇄", buildSettlementDocument(eventKey));
 }
 
-function renderProfitTab() {
-  syncProfitIncomes();
+// --- 정산서 CSV ---
+// 섹션별 CSV: "[섹션명]" 줄 다음에 그 섹션의 머리글과 행, 마지막에 소계. 불러오기는 정산서/확정가/추가 항목/가이드 섹션으로 정산서를 다시 만듦
+// (내역과 합계 섹션은 확인용이라 불러올 때 읽지 않음)
+const SETTLEMENT_CSV_FORMAT = "soo_money_check_settlement";
+// 2: 가이드/투어 일수/요율과 가이드 정산 "입력"(자동/직접) 열 추가
+// 3: 가이드 지급일 추가
+const SETTLEMENT_CSV_VERSION = 3;
+// 소계/합계 줄의 첫 칸
+const SETTLEMENT_CSV_TOTAL_LABELS = ["소계", "합계", "입금 소계", "지급 소계", "가이드 수익", "총 수익"];
+// 섹션 끝의 소계/합계 줄 수. 끝의 이 줄만 합계로 보고(불러올 때 건너뜀, 시트에서 굵게) 같은 이름의 항목은 그대로 둠
+const SETTLEMENT_CSV_TOTAL_ROWS = { 내역: 1, "추가 항목": 1, "가이드 정산": 3, "가이드 옵션": 1, 합계: 2 };
+
+// 섹션 본문 줄(rows) 끝에 있는 소계/합계 줄 수
+function countSettlementTotalRows(section, rows) {
+  const max = SETTLEMENT_CSV_TOTAL_ROWS[section] || 0;
+  let n = 0;
+  while (n < max && n < rows.length && SETTLEMENT_CSV_TOTAL_LABELS.includes(safeTrim(rows[rows.length - 1 - n][0]))) n++;
+  return n;
+}
 
-  // 수입 테이블 (월별 그룹화)
-  const incomeBody = $("profitIncomeTable").querySelector("tbody");
-  incomeBody.innerHTML = "";
+function buildSettlementCsvRows(eventKey) {
+  const event = getEventNamesFromEntries().find((e) => e.key === eventKey);
+  const r = reportMap[eventKey] || {};
+  const list = [...getEntriesByEventKey(eventKey)].sort((a, b) => (a.date > b.date ? 1 : a.date < b.date ? -1 : 0));
+  const summary = computeEventSummary(eventKey);
+  const rows = [];
+  const section = (name, header, body) => {
+    if (rows.length > 0) rows.push([]);
+    rows.push([`[${name}]`], header, ...body);
+  };
 
-  const incomesByMonth = {};
-  for (const [key, v] of Object.entries(profitState.incomes)) {
-    const ym = v.month || "기타";
-    if (!incomesByMonth[ym]) incomesByMonth[ym] = [];
-    incomesByMonth[ym].push({ key, ...v });
-  }
+  section("정산서", ["항목", "값"], [
+    ["형식", SETTLEMENT_CSV_FORMAT],
+    ["버전", SETTLEMENT_CSV_VERSION],
+    ["행사 키", eventKey],
+    ["행사명", event?.name || r.eventName || ""],
+    ["정산 월", r.settlementMonth || ""],
+    ["행사 시작일", r.startDate || ""],
+    ["행사 종료일", r.endDate || ""],
+    ["환율 출처", r.rateSource || ""],
+    ["환율표 날짜", r.rateDate || ""],
+    ["달러환산 (1달러당 바트)", toFloat(r.usdToThbRate)],
+    ["가이드", getGuideName(r.guideId)],
+    ["투어 일수", toFloat(r.tourDays)],
+    ["가이드 일비 요율", toFloat(r.guideDailyRate)],
+    ["가이드 컴 방식", r.guideCommissionType === "fixed" ? "고정 금액" : "옵션 수익 %"],
+    ["가이드 컴 값", toFloat(r.guideCommissionValue)],
+    ["가이드 지급일", r.guidePaidDate || ""],
+  ]);
+
+  section("확정가", ["구분", "원화 확정가", "바트환산 (1원당 바트)", "바트 확정가"], [
+    ["입금", toFloat(r.fixedPriceKRWIncome), toFloat(r.bahtExchangeRateIncome), toFloat(r.fixedPriceBahtIncome)],
+    ["지출", toFloat(r.fixedPriceKRWExpense), toFloat(r.bahtExchangeRateExpense), toFloat(r.fixedPriceBahtExpense)],
+  ]);
+
+  const usedAccounts = accounts.filter((a) => list.some((e) => entryTouchesAccount(e, a.id)));
+  const flows = usedAccounts.flatMap((a) => [[a.id, "Income"], [a.id, "Expense"]]);
+  section(
+    "내역",
+    ["날짜", "거래처", "행사내역", ...usedAccounts.flatMap((a) => [`${a.shortName} 입금`, `${a.shortName} 지출`]), "비고"],
+    [
+      ...list.map((e) => [e.date, e.client, e.eventDetail, ...flows.map(([id, flow]) => getEntryAmount(e, id, flow)), e.memo]),
+      ["소계", "", "", ...flows.map(([id, flow]) => list.reduce((sum, e) => sum + getEntryAmount(e, id, flow), 0)), ""],
+    ],
+  );
 
-  const months = Object.keys(incomesByMonth).sort().reverse();
+  const items = r.additionalItems || [];
+  section("추가 항목", ["항목", "입금", "지출"], [
+    ...items.map((item) => [item.name, toFloat(item.income), toFloat(item.expense)]),
+    ["소계", items.reduce((sum, item) => sum + toFloat(item.income), 0), items.reduce((sum, item) => sum + toFloat(item.expense), 0)],
+  ]);
+
+  const guide = computeGuideSettlement(r);
+  const guideRow = (kind, field) => [kind, REPORT_FIELD_LABELS[field], guide.values[field], guide.auto.includes(field) ? "자동" : "직접"];
+  section("가이드 정산", ["구분", "항목", "금액", "입력"], [
+    ...GUIDE_INCOME_FIELDS.map((field) => guideRow("입금", field)),
+    ...GUIDE_EXPENSE_FIELDS.map((field) => guideRow("지급", field)),
+    ["입금 소계", "", guide.income, ""],
+    ["지급 소계", "", guide.expense, ""],
+    ["가이드 수익", "", guide.profit, ""],
+  ]);
+
+  const options = r.guideOptions || [];
+  const sale = options.reduce((sum, o) => sum + toFloat(o.salePrice), 0);
+  const cost = options.reduce((sum, o) => sum + toFloat(o.costPrice), 0);
+  section("가이드 옵션", ["옵션명", "판매가", "원가", "수익", "업체", "업체 (거래처)"], [
+    ...options.map((o) => [o.optionName, toFloat(o.salePrice), toFloat(o.costPrice), toFloat(o.salePrice) - toFloat(o.costPrice), o.vendor, getVendorName(o.vendorId)]),
+    ["소계", sale, cost, sale - cost, "", ""],
+  ]);
+
+  section("합계", ["구분", "입금", "지출"], [
+    ...computeSettlementBreakdown(eventKey, summary).map(([label, income, expense]) => [label, income, expense]),
+    ["합계", summary.totalIncome, summary.totalExpense],
+    ["총 수익", summary.totalProfit, ""],
+  ]);
+  return rows;
+}
+
+function exportSettlementCsv(eventKey) {
+  const name = getEventNamesFromEntries().find((e) => e.key === eventKey)?.name || "정산서";
+  const escapeCell = (v) => {
+    const s = String(v ?? "");
+    if (/[",\n\r]/.test(s)) return `"${s.replaceAll('"', '""')}"`;
+    return s;
+  };
+  const lines = buildSettlementCsvRows(eventKey).map((r) => r.map(escapeCell).join(","));
+  downloadTextFile(`정산서_${name}.csv`, "\uFEFF" + lines.join("\n"));
+}
+
+// 정산서 CSV -> { error, key, record }
+function parseSettlementCsv(text) {
+  const sections = {};
+  let current = null;
+  for (const row of parseCsv(text)) {
+    const cells = row.map((c) => safeTrim(c));
+    const marker = /^\[(.+)\]$/.exec(cells[0]);
+    if (marker) {
+      current = sections[marker[1]] = { header: null, rows: [] };
+    } else if (current && !current.header) {
+      current.header = cells;
+    } else if (current) {
+      current.rows.push(cells);
+    }
+  }
+  for (const [name, section] of Object.entries(sections)) {
+    section.rows = section.rows.slice(0, section.rows.length - countSettlementTotalRows(name, section.rows));
+  }
+
+  const meta = Object.fromEntries((sections["정산서"]?.rows || []).map(([label, value]) => [label, value ?? ""]));
+  if (meta["형식"] !== SETTLEMENT_CSV_FORMAT) return { error: "정산서 CSV 파일이 아닙니다. 정산서 저장(CSV)으로 만든 파일만 불러올 수 있습니다." };
+  const version = Number(meta["버전"]);
+  if (!Number.isInteger(version) || version < 1 || version > SETTLEMENT_CSV_VERSION) {
+    return { error: `지원하지 않는 정산서 CSV 버전입니다: ${meta["버전"]}` };
+  }
+  const key = meta["행사 키"] || "";
+  const eventName = meta["행사명"] || "";
+  if (!/^\d{4}-\d{2}::./.test(key)) return { error: `행사 키가 올바르지 않습니다: ${key || "(없음)"}` };
+  if (!eventName) return { error: "행사명이 없습니다." };
+
+  const errors = [];
+  const number = (value, where) => {
+    const n = parseCsvNumber(value);
+    if (n === null) errors.push(`${where}: 숫자가 아닙니다 (${value})`);
+    return n ?? 0;
+  };
+  const date = (value, where) => {
+    if (value && !isValidDateString(value)) errors.push(`${where}: 날짜 형식이 아닙니다 (${value})`);
+    return value;
+  };
+  // 업체 (거래처) 열은 거래처 이름/별칭으로 찾음 (열이 없는 예전 파일은 연결 안 함)
+  const vendor = (name, where) => {
+    if (!name) return "";
+    const client = findClientByName(name);
+    if (!client) errors.push(`${where}: 등록되지 않은 거래처 (${name})`);
+    return client ? client.id : "";
+  };
+
+  const record = {
+    eventName,
+    settlementMonth: meta["정산 월"] || "",
+    startDate: date(meta["행사 시작일"] || "", "행사 시작일"),
+    endDate: date(meta["행사 종료일"] || "", "행사 종료일"),
+    rateSource: meta["환율 출처"] || "",
+    rateDate: date(meta["환율표 날짜"] || "", "환율표 날짜"),
+    usdToThbRate: number(meta["달러환산 (1달러당 바트)"], "달러환산"),
+  };
+  if (record.settlementMonth && !/^\d{4}-\d{2}$/.test(record.settlementMonth)) errors.push(`정산 월 형식이 아닙니다 (${record.settlementMonth})`);
+
+  // 가이드는 이름으로 찾음. 버전 1 파일은 가이드 항목이 없어 예전 정산서처럼 다룸 (normalizeReportRecord)
+  if (version >= 2) {
+    const guideName = meta["가이드"] || "";
+    const guide = guideName ? findGuideByName(guideName) : null;
+    if (guideName && !guide) errors.push(`등록되지 않은 가이드: ${guideName}`);
+    Object.assign(record, {
+      guideId: guide ? guide.id : "",
+      tourDays: number(meta["투어 일수"], "투어 일수"),
+      guideDailyRate: number(meta["가이드 일비 요율"], "가이드 일비 요율"),
+      guideCommissionType: meta["가이드 컴 방식"] === "고정 금액" ? "fixed" : "percent",
+      guideCommissionValue: number(meta["가이드 컴 값"], "가이드 컴 값"),
+    });
+  }
+  // 가이드 지급일이 없는 예전 파일은 지금 정산서의 지급 기록을 그대로 둠
+  record.guidePaidDate =
+    version >= 3 ? date(meta["가이드 지급일"] || "", "가이드 지급일") : reportMap[key]?.guidePaidDate || "";
+
+  for (const [flow, label] of [["Income", "입금"], ["Expense", "지출"]]) {
+    const row = (sections["확정가"]?.rows || []).find((r) => r[0] === label) || [];
+    record[`fixedPriceKRW${flow}`] = number(row[1], `확정가 ${label} 원화 확정가`);
+    record[`bahtExchangeRate${flow}`] = number(row[2], `확정가 ${label} 바트환산`);
+    record[`fixedPriceBaht${flow}`] = number(row[3], `확정가 ${label} 바트 확정가`);
+  }
+
+  const guideRows = sections["가이드 정산"]?.rows || [];
+  const manualFields = [];
+  for (const field of [...GUIDE_INCOME_FIELDS, ...GUIDE_EXPENSE_FIELDS]) {
+    const row = guideRows.find((r) => r[1] === REPORT_FIELD_LABELS[field]);
+    record[field] = number(row?.[2], `가이드 정산 ${REPORT_FIELD_LABELS[field]}`);
+    if (row?.[3] !== "자동") manualFields.push(field);
+  }
+
+  record.additionalItems = (sections["추가 항목"]?.rows || []).map((r, i) => ({
+    id: makeId(),
+    name: r[0] || "",
+    income: number(r[1], `추가 항목 ${i + 1}행 입금`),
+    expense: number(r[2], `추가 항목 ${i + 1}행 지출`),
+  }));
+  record.guideOptions = (sections["가이드 옵션"]?.rows || []).map((r, i) => ({
+    id: makeId(),
+    optionName: r[0] || "",
+    salePrice: number(r[1], `가이드 옵션 ${i + 1}행 판매가`),
+    costPrice: number(r[2], `가이드 옵션 ${i + 1}행 원가`),
+    vendor: r[4] || "",
+    vendorId: vendor(r[5], `가이드 옵션 ${i + 1}행`),
+  }));
+  // 직접 입력 표시는 자동 계산되는 필드에만 (가이드가 없으면 가이드일비/가이드 컴은 원래 직접 입력)
+  if (version >= 2) {
+    const { calculated } = computeGuideSettlement(record);
+    record.guideOverrides = manualFields.filter((field) => field in calculated);
+  }
+
+  if (errors.length > 0) return { error: errors.slice(0, 5).join(" / ") };
+  return { error: "", key, record: normalizeReportRecord(record) };
+}
+
+// 불러올 정산서 검사: 마감된 월, 같은 행사명의 다른 기간과 겹침
+function validateSettlementImport(key, record) {
+  const lockedMonth = [getEventSettlementMonth(key), record.settlementMonth || key.split("::")[0]].find(isMonthClosed);
+  if (lockedMonth) return formatMonthLockedError(lockedMonth);
+  return validateEventPeriod(key, record.eventName, record.startDate, record.endDate);
+}
+
+// 파일 내용으로 정산서를 통째로 바꿈 (이전 값은 변경 기록에 남음)
+function importSettlementRecord(key, record) {
+  reportMap[key] = record;
+  saveReportMap(reportMap);
+}
+
+// --- 수익 탭 ---
+function loadProfitState() {
+  try {
+    const raw = localStorage.getItem(PROFIT_STORAGE_KEY);
+    if (!raw) return { incomes: {}, expenses: [] };
+    return normalizeProfitState(JSON.parse(raw));
+  } catch (err) {
+    reportStorageError("수익", PROFIT_STORAGE_KEY, err);
+    return { incomes: {}, expenses: [] };
+  }
+}
+
+// 저장/백업 데이터를 수익 탭 상태로 정리 (loadProfitState, 백업 복원 공용)
+function normalizeProfitState(parsed) {
+  if (!isPlainObject(parsed)) return { incomes: {}, expenses: [] };
+
+  const incomes = {};
+  for (const [key, v] of Object.entries(isPlainObject(parsed.incomes) ? parsed.incomes : {})) {
+    if (!isPlainObject(v)) continue;
+    const override = v.amountOverride;
+    incomes[key] = {
+      ...v,
+      eventName: String(v.eventName ?? ""),
+      month: String(v.month ?? ""),
+      enabled: v.enabled === undefined ? true : Boolean(v.enabled),
+      amountOverride: override === null || override === undefined || override === "" ? null : toFloat(override),
+    };
+  }
+
+  const expenses = (Array.isArray(parsed.expenses) ? parsed.expenses : [])
+    .filter(isPlainObject)
+    .map((e) => ({ ...e, id: String(e.id ?? makeId()), label: String(e.label ?? ""), amount: toFloat(e.amount) }));
+
+  return { incomes, expenses };
+}
+
+function saveProfitState(state) {
+  localStorage.setItem(PROFIT_STORAGE_KEY, JSON.stringify(state));
+  recordProfitAudit(state);
+}
+
+// --- 월 마감 ---
+// 마감한 월(YYYY-MM)의 내역, 정산서(정산 월 기준), 수익 탭 수입은 읽기 전용. 마감/해제는 기록으로 남김
+/** @typedef {{
+ *  closed: Object<string, { closedAt: number }>, // 마감한 월 -> 마감 시각
+ *  log: { id: string, month: string, action: "close" | "reopen", reason: string, at: number }[]
+ * }} MonthCloseState
+ */
+
+/** @returns {MonthCloseState} */
+function loadMonthCloseState() {
+  try {
+    const raw = localStorage.getItem(MONTH_CLOSE_STORAGE_KEY);
+    if (!raw) return { closed: {}, log: [] };
+    return normalizeMonthCloseState(JSON.parse(raw));
+  } catch (err) {
+    reportStorageError("월 마감", MONTH_CLOSE_STORAGE_KEY, err);
+    return { closed: {}, log: [] };
+  }
+}
+
+/** @returns {MonthCloseState} */
+function normalizeMonthCloseState(parsed) {
+  const src = isPlainObject(parsed) ? parsed : {};
+  const closed = {};
+  for (const [month, v] of Object.entries(isPlainObject(src.closed) ? src.closed : {})) {
+    if (/^\d{4}-\d{2}$/.test(month)) closed[month] = { closedAt: Number(isPlainObject(v) ? v.closedAt ?? 0 : 0) };
+  }
+  const log = (Array.isArray(src.log) ? src.log : [])
+    .filter(isPlainObject)
+    .map((l) => ({
+      id: String(l.id ?? makeId()),
+      month: String(l.month ?? ""),
+      action: l.action === "reopen" ? "reopen" : "close",
+      reason: String(l.reason ?? ""),
+      at: Number(l.at ?? 0),
+    }));
+  return { closed, log };
+}
+
+function saveMonthCloseState(state) {
+  localStorage.setItem(MONTH_CLOSE_STORAGE_KEY, JSON.stringify(state));
+}
+
+function isMonthClosed(ym) {
+  return Boolean(ym && monthCloseState.closed[ym]);
+}
+
+function isEventLocked(eventKey) {
+  return isMonthClosed(getEventSettlementMonth(eventKey));
+}
+
+// 내역이 마감된 월에 걸려 있으면 그 월: 내역 날짜의 월, 또는 내역이 들어가는 정산서의 정산 월
+function getEntryLockedMonth(e) {
+  const months = [getYearMonth(e.date), ...getEntryEventShares(e).map((s) => getEventSettlementMonth(s.eventKey))];
+  return months.find(isMonthClosed) || "";
+}
+
+function formatMonthLockedError(ym) {
+  return `${ym}은(는) 마감된 월이라 수정할 수 없습니다. 수익 탭의 월 마감에서 해제하세요.`;
+}
+
+function closeMonth(ym) {
+  const now = Date.now();
+  monthCloseState = {
+    closed: { ...monthCloseState.closed, [ym]: { closedAt: now } },
+    log: [...monthCloseState.log, { id: makeId(), month: ym, action: "close", reason: "", at: now }],
+  };
+  saveMonthCloseState(monthCloseState);
+}
+
+function reopenMonth(ym, reason) {
+  const closed = { ...monthCloseState.closed };
+  delete closed[ym];
+  monthCloseState = {
+    closed,
+    log: [...monthCloseState.log, { id: makeId(), month: ym, action: "reopen", reason, at: Date.now() }],
+  };
+  saveMonthCloseState(monthCloseState);
+}
+
+// 전체 교체(전체 삭제, 백업 덮어쓰기, 스냅샷 복원)는 마감된 월의 내역과 마감 자체를 바꾸므로 마감된 월이 있으면 막음
+function formatClosedMonthsReplaceError(action) {
+  const months = Object.keys(monthCloseState.closed).sort();
+  if (months.length === 0) return "";
+  return `마감된 월(${months.join(", ")})이 있어 ${action}할 수 없습니다. 수익 탭의 월 마감에서 먼저 해제하세요.`;
+}
+
+// 마감 해제: 사유를 입력해야 확인 가능. 사유 문자열 또는 null(취소)
+function openReopenMonthDialog(ym) {
+  const dialog = $("reopenMonthDialog");
+  const input = $("reopenMonthReason");
+  $("reopenMonthTitle").textContent = `${ym} 마감 해제`;
+  input.value = "";
+  $("reopenMonthConfirm").disabled = true;
+  input.oninput = () => {
+    $("reopenMonthConfirm").disabled = !safeTrim(input.value);
+  };
+
+  dialog.returnValue = "";
+  dialog.showModal();
+  return new Promise((resolve) => {
+    const onClose = () => {
+      dialog.removeEventListener("close", onClose);
+      resolve(dialog.returnValue === "ok" && safeTrim(input.value) ? safeTrim(input.value) : null);
+    };
+    dialog.addEventListener("close", onClose);
+  });
+}
+
+function showMonthCloseError(message) {
+  $("monthCloseError").textContent = message;
+  $("monthCloseError").hidden = !message;
+}
+
+function renderMonthCloseCard() {
+  const closedMonths = Object.keys(monthCloseState.closed).sort().reverse();
+  $("monthCloseCount").textContent = `${closedMonths.length}개월 마감`;
+
+  const tbody = $("monthCloseTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const ym of closedMonths) {
+    const entryCount = entries.filter((e) => getYearMonth(e.date) === ym).length;
+    const eventCount = getEventNamesFromEntries().filter((ev) => ev.month === ym).length;
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td class="compact">${ym}</td>
+      <td class="compact">${new Date(monthCloseState.closed[ym].closedAt).toLocaleString("ko-KR")}</td>
+      <td class="num compact">${entryCount}건</td>
+      <td class="num compact">${eventCount}건</td>
+      <td class="actions">
+        <button class="miniBtn" data-action="month-reopen" data-month="${ym}" type="button">마감 해제</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  const logBody = $("monthCloseLogTable").querySelector("tbody");
+  logBody.innerHTML = "";
+  for (const l of [...monthCloseState.log].reverse()) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td class="compact">${new Date(l.at).toLocaleString("ko-KR")}</td>
+      <td class="compact">${escapeHtml(l.month)}</td>
+      <td class="compact ${l.action === "reopen" ? "status--error" : ""}">${l.action === "reopen" ? "마감 해제" : "마감"}</td>
+      <td>${escapeHtml(l.reason || "-")}</td>
+    `;
+    logBody.appendChild(tr);
+  }
+  $("monthCloseLogEmpty").hidden = monthCloseState.log.length > 0;
+}
+
+function syncProfitIncomes() {
+  const events = getEventNamesFromEntries();
+  for (const ev of events) {
+    if (!profitState.incomes[ev.key]) {
+      profitState.incomes[ev.key] = {
+        eventName: ev.name,
+        month: ev.month,
+        enabled: true,
+        amountOverride: null,
+      };
+    } else {
+      profitState.incomes[ev.key].month = ev.month;
+    }
+  }
+  saveProfitState(profitState);
+}
+
+function renderProfitTab() {
+  syncProfitIncomes();
+
+  // 수입 테이블 (월별 그룹화)
+  const incomeBody = $("profitIncomeTable").querySelector("tbody");
+  incomeBody.innerHTML = "";
+
+  const incomesByMonth = {};
+  for (const [key, v] of Object.entries(profitState.incomes)) {
+    const ym = v.month || "기타";
+    if (!incomesByMonth[ym]) incomesByMonth[ym] = [];
+    incomesByMonth[ym].push({ key, ...v });
+  }
+
+  const months = Object.keys(incomesByMonth).sort().reverse();
   let enabledCount = 0;
+  // 내역이 남아 있는 행사 키 (행마다 다시 구하지 않도록 한 번만)
+  const eventKeys = new Set(getEventNamesFromEntries().map((e) => e.key));
 
   for (const ym of months) {
     const headerTr = document.createElement("tr");
-    headerTr.innerHTML = `<td colspan="3" class="month-header">${ym}</td>`;
+    headerTr.innerHTML = `<td colspan="3" class="month-header">${ym}${isMonthClosed(ym) ? " · 마감" : ""}</td>`;
     incomeBody.appendChild(headerTr);
 
     for (const item of incomesByMonth[ym]) {
-      const exists = getEventNamesFromEntries().some((e) => e.key === item.key);
-      if (!exists) continue;
+      if (!eventKeys.has(item.key)) continue;
 
       const computed = computeEventSummary(item.key).totalProfit;
       const override = item.amountOverride !== null && item.amountOverride !== undefined ? toFloat(item.amountOverride) : null;
@@ -754,14 +3104,15 @@ function renderProfitTab() {
 
       if (enabled) enabledCount++;
 
+      const locked = isMonthClosed(item.month) ? `disabled title="마감된 월"` : "";
       const tr = document.createElement("tr");
       tr.innerHTML = `
         <td class="actions">
-          <input class="checkbox" type="checkbox" ${enabled ? "checked" : ""} data-action="income-toggle" data-key="${item.key}" />
+          <input class="checkbox" type="checkbox" ${enabled ? "checked" : ""} data-action="income-toggle" data-key="${item.key}" ${locked} />
         </td>
         <td>${escapeHtml(item.eventName || "")}</td>
         <td class="num">
-          <input class="input input--sm num" type="number" step="any" value="${amount}" data-action="income-amount" data-key="${item.key}" />
+          <input class="input input--sm num" type="number" step="any" value="${amount}" data-action="income-amount" data-key="${item.key}" ${locked} />
         </td>
       `;
       incomeBody.appendChild(tr);
@@ -789,8 +3140,7 @@ function renderProfitTab() {
   // 요약 계산
   let totalIncome = 0;
   for (const [key, v] of Object.entries(profitState.incomes)) {
-    const exists = getEventNamesFromEntries().some((e) => e.key === key);
-    if (!exists || !v.enabled) continue;
+    if (!eventKeys.has(key) || !v.enabled) continue;
     const computed = computeEventSummary(key).totalProfit;
     const override = v.amountOverride !== null && v.amountOverride !== undefined ? toFloat(v.amountOverride) : null;
     const amount = override !== null ? override : computed;
@@ -803,6 +3153,8 @@ function renderProfitTab() {
   $("profitSumIncome").textContent = formatNumberKRW(totalIncome);
   $("profitSumExpense").textContent = formatNumberKRW(totalExpense);
   $("profitSumTotal").textContent = formatNumberKRW(totalProfit);
+
+  renderMonthCloseCard();
 }
 
 // CSV 내보내기 (수익 탭)
@@ -847,163 +3199,3842 @@ function exportProfitCsv() {
   downloadTextFile("수익.csv", "\uFEFF" + lines.map((r) => r.map(escapeCell).join(",")).join("\n"));
 }
 
-// --- UI 전체 렌더링 ---
-function rerenderAll() {
-  renderEntryTable(entries);
-  renderMonthlyExportButtons();
-  renderEventList();
-  renderReportDetail();
-  renderProfitTab();
-}
+// --- 엑셀(XLSX) 저장 ---
+// 외부 라이브러리 없이 XLSX(무압축 ZIP + SpreadsheetML)를 만듦
+// 셀: 문자열/숫자/null 또는 { v, header, bold }. 숫자는 천 단위 구분 서식의 숫자 셀로 저장
+/** @typedef {{
+ *  name: string,
+ *  rows: any[][],
+ *  merges?: string[], // 예: "A1:A2"
+ *  freezeRows?: number // 고정할 머리글 행 수
+ * }} XlsxSheet
+ */
 
-function rerenderAllPreserveFocus() {
-  const activeEl = document.activeElement;
-  const activeId = activeEl?.id || null;
-  const activeDataAction = activeEl?.dataset?.action || null;
-  const activeDataId = activeEl?.dataset?.id || null;
-  const activeDataKey = activeEl?.dataset?.key || null;
+// styles.xml의 cellXfs 순서와 같음
+const XLSX_STYLE = { text: 0, header: 1, int: 2, dec: 3, boldText: 4, boldInt: 5, boldDec: 6 };
+const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
 
-  rerenderAll();
+let crc32Table = null;
 
-  // 포커스 복원 시도
-  if (activeId) {
-    try {
-      $(activeId)?.focus();
-    } catch {}
-  } else if (activeDataAction) {
-    const selector = `[data-action="${activeDataAction}"]${activeDataId ? `[data-id="${activeDataId}"]` : ""}${activeDataKey ? `[data-key="${activeDataKey}"]` : ""}`;
-    const el = document.querySelector(selector);
-    if (el instanceof HTMLElement) el.focus();
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crc32Table[n] = c >>> 0;
+    }
   }
+  let crc = 0xffffffff;
+  for (const b of bytes) crc = crc32Table[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
 }
 
-function switchTab(tab) {
-  const isEntry = tab === "entry";
-  const isReport = tab === "report";
-  const isProfit = tab === "profit";
-
-  $("tabEntry").classList.toggle("tab--active", isEntry);
-  $("tabEntry").setAttribute("aria-selected", isEntry ? "true" : "false");
-  $("panelEntry").classList.toggle("panel--active", isEntry);
+// 무압축(stored) ZIP. files: { name, data: Uint8Array }[]
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // 파일 이름 UTF-8
+    local.setUint32(14, crc, true);
+    local.setUint32(18, file.data.length, true);
+    local.setUint32(22, file.data.length, true);
+    local.setUint16(26, name.length, true);
+    chunks.push(new Uint8Array(local.buffer), name, file.data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, file.data.length, true);
+    entry.setUint32(24, file.data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), name);
+    offset += 30 + name.length + file.data.length;
+  }
+  const centralSize = central.reduce((sum, c) => sum + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let at = 0;
+  for (const p of parts) {
+    out.set(p, at);
+    at += p.length;
+  }
+  return out;
+}
 
-  $("tabReport").classList.toggle("tab--active", isReport);
-  $("tabReport").setAttribute("aria-selected", isReport ? "true" : "false");
-  $("panelReport").classList.toggle("panel--active", isReport);
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
 
-  $("tabProfit").classList.toggle("tab--active", isProfit);
-  $("tabProfit").setAttribute("aria-selected", isProfit ? "true" : "false");
-  $("panelProfit").classList.toggle("panel--active", isProfit);
+// 0 -> A, 26 -> AA
+function xlsxColumnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
 }
 
-// --- 초기화 ---
-let entries = loadEntries();
-let reportMap = loadReportMap();
-let profitState = loadProfitState();
+// 시트 이름: 31자 이하, []:*?/\ 제외, 앞뒤 작은따옴표 제외, 예약된 이름(History)과 통합 문서 안에서 중복 없음
+function makeXlsxSheetName(name, used) {
+  const trim = (s) => s.replace(/^[\s']+|[\s']+$/g, "");
+  const base = trim(trim(String(name).replace(/[\[\]:*?/\\]/g, " ").replace(/\s+/g, " ")).slice(0, 31)) || "Sheet";
+  const taken = (s) => used.has(s.toLowerCase()) || s.toLowerCase() === "history";
+  let result = base;
+  for (let n = 2; taken(result); n++) result = `${base.slice(0, 31 - String(n).length - 1)}~${n}`;
+  used.add(result.toLowerCase());
+  return result;
+}
 
-function init() {
-  // 탭 전환
-  $("tabEntry").addEventListener("click", () => {
-    switchTab("entry");
-    rerenderAllPreserveFocus();
-  });
-  $("tabReport").addEventListener("click", () => {
-    switchTab("report");
-    rerenderAllPreserveFocus();
-  });
-  $("tabProfit").addEventListener("click", () => {
-    switchTab("profit");
-    rerenderAllPreserveFocus();
-  });
+// 열 너비: 내용 길이 기준 (한글 등 넓은 글자는 2칸)
+function getXlsxTextWidth(value) {
+  const text = typeof value === "number" ? formatNumberKRW(value) : String(value ?? "");
+  let width = 0;
+  for (const ch of text) width += ch.charCodeAt(0) > 0x2e80 ? 2 : 1;
+  return width;
+}
 
-  // 폼 제출
-  const form = $("entryForm");
-  form.addEventListener("submit", (ev) => {
-    ev.preventDefault();
-    const fd = new FormData(form);
-    
-    let dateInput = String(fd.get("date") || "");
-    const date = parseInputDate(dateInput);
-    
-    const client = safeTrim(fd.get("client"));
-    const eventName = safeTrim(fd.get("eventName"));
-    const eventDetail = safeTrim(fd.get("eventDetail"));
-    const krwIncome = toFloat(fd.get("krwIncome"));
-    const krwExpense = toFloat(fd.get("krwExpense"));
-    const bbIncome = toFloat(fd.get("bbIncome"));
-    const bbExpense = toFloat(fd.get("bbExpense"));
-    const kbIncome = toFloat(fd.get("kbIncome"));
-    const kbExpense = toFloat(fd.get("kbExpense"));
-    const usdIncome = toFloat(fd.get("usdIncome"));
-    const usdExpense = toFloat(fd.get("usdExpense"));
-    const memo = safeTrim(fd.get("memo"));
+function buildXlsxSheetXml(sheet) {
+  const widths = [];
+  const rowsXml = sheet.rows
+    .map((row, r) => {
+      const cells = row
+        .map((raw, c) => {
+          const cell = raw !== null && typeof raw === "object" ? raw : { v: raw };
+          if (cell.v === null || cell.v === undefined || cell.v === "") return "";
+          widths[c] = Math.max(widths[c] || 0, getXlsxTextWidth(cell.v));
+          const ref = `${xlsxColumnName(c)}${r + 1}`;
+          if (typeof cell.v === "number" && Number.isFinite(cell.v)) {
+            const style = Number.isInteger(cell.v)
+              ? cell.bold ? XLSX_STYLE.boldInt : XLSX_STYLE.int
+              : cell.bold ? XLSX_STYLE.boldDec : XLSX_STYLE.dec;
+            return `<c r="${ref}" s="${style}"><v>${cell.v}</v></c>`;
+          }
+          const style = cell.header ? XLSX_STYLE.header : cell.bold ? XLSX_STYLE.boldText : XLSX_STYLE.text;
+          return `<c r="${ref}" s="${style}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell.v)}</t></is></c>`;
+        })
+        .join("");
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join("");
+
+  const freeze = sheet.freezeRows
+    ? `<sheetViews><sheetView workbookViewId="0"><pane ySplit="${sheet.freezeRows}" topLeftCell="A${sheet.freezeRows + 1}" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>`
+    : "";
+  const cols = widths.length
+    ? `<cols>${[...widths].map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${Math.min(Math.max((w || 0) + 2, 8), 60)}" customWidth="1"/>`).join("")}</cols>`
+    : "";
+  const merges = sheet.merges?.length
+    ? `<mergeCells count="${sheet.merges.length}">${sheet.merges.map((ref) => `<mergeCell ref="${ref}"/>`).join("")}</mergeCells>`
+    : "";
+  return (
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">${freeze}${cols}<sheetData>${rowsXml}</sheetData>${merges}</worksheet>`
+  );
+}
 
-    if (!date) return;
+/** @param {XlsxSheet[]} sheets @returns {Uint8Array} */
+function buildXlsx(sheets) {
+  const encoder = new TextEncoder();
+  const used = new Set();
+  const names = sheets.map((s) => makeXlsxSheetName(s.name, used));
+  const xml = (body) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>${body}`;
+  const styles = xml(
+    `<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+      `<numFmts count="1"><numFmt numFmtId="164" formatCode="#,##0.0###"/></numFmts>` +
+      `<fonts count="2"><font><sz val="11"/><name val="맑은 고딕"/></font><font><b/><sz val="11"/><name val="맑은 고딕"/></font></fonts>` +
+      `<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>` +
+      `<fill><patternFill patternType="solid"><fgColor rgb="FFE7E6F7"/><bgColor indexed="64"/></patternFill></fill></fills>` +
+      `<borders count="2"><border><left/><right/><top/><bottom/><diagonal/></border>` +
+      `<border><left style="thin"><color rgb="FFBFBFBF"/></left><right style="thin"><color rgb="FFBFBFBF"/></right><top style="thin"><color rgb="FFBFBFBF"/></top><bottom style="thin"><color rgb="FFBFBFBF"/></bottom><diagonal/></border></borders>` +
+      `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>` +
+      `<cellXfs count="7">` +
+      `<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>` +
+      `<xf numFmtId="0" fontId="1" fillId="2" borderId="1" xfId="0" applyFont="1" applyFill="1" applyBorder="1" applyAlignment="1"><alignment horizontal="center" vertical="center"/></xf>` +
+      `<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+      `<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+      `<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>` +
+      `<xf numFmtId="3" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>` +
+      `<xf numFmtId="164" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>` +
+      `</cellXfs></styleSheet>`,
+  );
+  const files = [
+    {
+      name: "[Content_Types].xml",
+      text: xml(
+        `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+          `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+          `<Default Extension="xml" ContentType="application/xml"/>` +
+          `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+          `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>` +
+          names.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("") +
+          `</Types>`,
+      ),
+    },
+    {
+      name: "_rels/.rels",
+      text: xml(
+        `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+          `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+          `</Relationships>`,
+      ),
+    },
+    {
+      name: "xl/workbook.xml",
+      text: xml(
+        `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>` +
+          names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("") +
+          `</sheets></workbook>`,
+      ),
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      text: xml(
+        `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+          names.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("") +
+          `<Relationship Id="rId${names.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+          `</Relationships>`,
+      ),
+    },
+    { name: "xl/styles.xml", text: styles },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, text: buildXlsxSheetXml(sheet) })),
+  ];
+  return buildZip(files.map((file) => ({ name: file.name, data: encoder.encode(file.text) })));
+}
 
-    const entry = {
-      id: makeId(),
-      date,
-      client,
-      eventName,
-      eventDetail,
-      krwIncome,
-      krwExpense,
-      bbIncome,
-      bbExpense,
-      kbIncome,
-      kbExpense,
-      usdIncome,
-      usdExpense,
-      memo,
-      createdAt: Date.now(),
-    };
+// 월별 장부 시트: 입력 탭 표처럼 계좌 이름 아래 입금/출금/잔액 두 줄 머리글
+function buildLedgerSheet(ym, monthEntries, ledgerAccounts, balanceMap) {
+  const h = (v) => ({ v, header: true });
+  const fixed = ["월일", "거래처", "행사명", "내용"];
+  const tail = ["구분", "분류", "태그"];
+  const tailStart = fixed.length + ledgerAccounts.length * 3;
+  const rows = [
+    [...fixed.map(h), ...ledgerAccounts.flatMap((a) => [h(a.name), h(""), h("")]), ...tail.map(h)],
+    [...fixed.map(() => h("")), ...ledgerAccounts.flatMap(() => [h("입금"), h("출금"), h("잔액")]), ...tail.map(() => h(""))],
+  ];
+  const col = xlsxColumnName;
+  const merges = [
+    ...[...fixed.keys(), ...tail.map((_, i) => tailStart + i)].map((c) => `${col(c)}1:${col(c)}2`),
+    ...ledgerAccounts.map((_, i) => `${col(fixed.length + i * 3)}1:${col(fixed.length + i * 3 + 2)}1`),
+  ];
+
+  const amountOrBlank = (v) => (v === 0 ? null : v);
+  for (const e of monthEntries) {
+    const balance = balanceMap[e.id] || {};
+    rows.push([
+      e.date.substring(5),
+      e.client || "",
+      e.eventName || "",
+      e.eventDetail || "",
+      ...ledgerAccounts.flatMap((a) => [
+        amountOrBlank(getEntryAmount(e, a.id, "Income")),
+        amountOrBlank(getEntryAmount(e, a.id, "Expense")),
+        balance[a.id] === undefined ? null : balance[a.id],
+      ]),
+      e.kind === "transfer" ? "이체" : "",
+      getCategoryName(e.categoryId),
+      e.tags.join(", "),
+    ]);
+  }
+  const sum = (id, flow) => ({ v: monthEntries.reduce((s, e) => s + getEntryAmount(e, id, flow), 0), bold: true });
+  rows.push([{ v: "합계", bold: true }, "", "", "", ...ledgerAccounts.flatMap((a) => [sum(a.id, "Income"), sum(a.id, "Expense"), null])]);
+  return { name: ym, rows, merges, freezeRows: 2 };
+}
 
-    entries = [entry, ...entries];
-    saveEntries(entries);
-    
-    // 행사명과 거래처가 모두 있는 경우만 정산서 생성 (월별로 분리)
-    if (eventName && client) {
-      const ym = getYearMonth(date);
-      ensureReportDefaults(safeEventKey(entry.eventName, ym), entry.eventName);
-    }
-    
-    rerenderAllPreserveFocus();
-    form.reset();
-    
-    // 기본값 유지
-    for (const field of ["krwIncome", "krwExpense", "bbIncome", "bbExpense", "kbIncome", "kbExpense", "usdIncome", "usdExpense"]) {
-      form.querySelector(`input[name="${field}"]`).value = "0";
+// 정산서 시트: 정산서 CSV와 같은 섹션 (파일 형식 표시 줄은 뺌)
+function buildSettlementSheet(event) {
+  const rows = [];
+  let section = "";
+  let body = [];
+  // 섹션이 끝날 때 본문을 넣으며 끝의 소계/합계 줄은 굵게
+  const flush = () => {
+    const totalFrom = body.length - countSettlementTotalRows(section, body);
+    body.forEach((row, i) => rows.push(i >= totalFrom ? row.map((v) => ({ v, bold: true })) : row));
+    body = [];
+  };
+  let headerNext = false;
+  for (const row of buildSettlementCsvRows(event.key)) {
+    if (row[0] === "형식" || row[0] === "버전") continue;
+    const marker = /^\[(.+)\]$/.exec(String(row[0] ?? ""));
+    if (marker) {
+      flush();
+      section = marker[1];
+      rows.push([{ v: marker[1], bold: true }]);
+      headerNext = true;
+    } else if (headerNext) {
+      rows.push(row.map((v) => ({ v, header: true })));
+      headerNext = false;
+    } else if (row.length === 0) {
+      flush();
+      rows.push(row);
+    } else {
+      body.push(row);
     }
-  });
+  }
+  flush();
+  return { name: `${event.month} ${event.name}`, rows };
+}
 
-  $("btnResetForm").addEventListener("click", () => {
-    form.reset();
-    for (const field of ["krwIncome", "krwExpense", "bbIncome", "bbExpense", "kbIncome", "kbExpense", "usdIncome", "usdExpense"]) {
-      form.querySelector(`input[name="${field}"]`).value = "0";
-    }
-  });
+function buildProfitSheet() {
+  const h = (v) => ({ v, header: true });
+  const rows = [[h("구분"), h("월"), h("항목"), h("금액")]];
+  const events = getEventNamesFromEntries();
+  let totalIncome = 0;
+  const incomes = Object.entries(profitState.incomes)
+    .filter(([key, v]) => v.enabled && events.some((e) => e.key === key))
+    .sort(([, a], [, b]) => (a.month < b.month ? 1 : a.month > b.month ? -1 : 0));
+  for (const [key, v] of incomes) {
+    const override = v.amountOverride !== null && v.amountOverride !== undefined ? toFloat(v.amountOverride) : null;
+    const amount = override !== null ? override : computeEventSummary(key).totalProfit;
+    totalIncome += amount;
+    rows.push(["수입", v.month || "기타", v.eventName || "", amount]);
+  }
+  rows.push([{ v: "수입 합계", bold: true }, "", "", { v: totalIncome, bold: true }]);
+  for (const exp of profitState.expenses) rows.push(["지출", "", exp.label || "", toFloat(exp.amount)]);
+  const totalExpense = profitState.expenses.reduce((sum, e) => sum + toFloat(e.amount), 0);
+  rows.push([{ v: "지출 합계", bold: true }, "", "", { v: totalExpense, bold: true }]);
+  rows.push([{ v: "최종 수익", bold: true }, "", "", { v: totalIncome - totalExpense, bold: true }]);
+  return { name: "수익", rows, freezeRows: 1 };
+}
 
-  // 입력/저장 CSV 내보내기
-  $("btnExportEntryCsv").addEventListener("click", () => {
-    exportEntryCsv(entries);
-  });
+// 통합 문서: 월별 장부 시트(최근 월부터) + 행사별 정산서 시트 + 수익 요약
+function exportWorkbookXlsx() {
+  const grouped = groupByMonth(sortEntries(entries));
+  const ledgerAccounts = getLedgerAccounts(entries);
+  const balanceMap = computeBalanceMap(entries);
+  const events = [...getEventNamesFromEntries()].sort((a, b) => (a.month === b.month ? a.name.localeCompare(b.name) : a.month < b.month ? 1 : -1));
+  const sheets = [
+    ...Object.keys(grouped)
+      .sort()
+      .reverse()
+      .map((ym) => buildLedgerSheet(ym, grouped[ym], ledgerAccounts, balanceMap)),
+    ...events.map(buildSettlementSheet),
+    buildProfitSheet(),
+  ];
+  const stamp = new Date().toISOString().slice(0, 10).replaceAll("-", "");
+  downloadFile(`soo_money_check_${stamp}.xlsx`, buildXlsx(sheets), XLSX_MIME);
+}
 
-  // 삭제 버튼
-  $("entryTable").addEventListener("click", async (ev) => {
-    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
-    if (!btn) return;
-    if (btn.dataset.action !== "delete") return;
-    const id = btn.dataset.id;
-    if (!id) return;
+// --- 거래처 목록 ---
+/** @typedef {{
+ *  id: string,
+ *  name: string,
+ *  aliases: string[],
+ *  contactName: string,
+ *  phone: string,
+ *  email: string,
+ *  memo: string,
+ *  defaultCategoryId: string, // 새 내역에 미리 채울 분류 id
+ *  isVendor: boolean, // 업체(지급처): 가이드 옵션의 업체로 고를 수 있고 업체 미지급에 표시
+ *  createdAt: number
+ * }} Client
+ */
 
-    const ok = await openConfirm({
+// 거래처명 비교용 (공백 제거 + 소문자): "○○업체" == "○○ 업체"
+function normalizeClientKey(name) {
+  return safeTrim(name).replace(/\s+/g, "").toLowerCase();
+}
+
+/** @returns {Client} */
+function emptyClient() {
+  return { id: makeId(), name: "", aliases: [], contactName: "", phone: "", email: "", memo: "", defaultCategoryId: "", isVendor: false, createdAt: Date.now() };
+}
+
+/** @returns {Client[]} */
+function loadClients() {
+  try {
+    const raw = localStorage.getItem(CLIENT_STORAGE_KEY);
+    if (!raw) return [];
+    return normalizeClients(JSON.parse(raw));
+  } catch (err) {
+    reportStorageError("거래처", CLIENT_STORAGE_KEY, err);
+    return [];
+  }
+}
+
+/** @returns {Client[]} */
+function normalizeClients(parsed) {
+  if (!Array.isArray(parsed)) return [];
+  return parsed
+    .filter(isPlainObject)
+    .map((c) => ({
+      ...c,
+      id: String(c.id ?? makeId()),
+      name: safeTrim(c.name),
+      aliases: (Array.isArray(c.aliases) ? c.aliases : []).map(safeTrim).filter(Boolean),
+      contactName: String(c.contactName ?? ""),
+      phone: String(c.phone ?? ""),
+      email: String(c.email ?? ""),
+      memo: String(c.memo ?? ""),
+      defaultCategoryId: String(c.defaultCategoryId ?? ""),
+      isVendor: Boolean(c.isVendor),
+      createdAt: Number(c.createdAt ?? Date.now()),
+    }))
+    .filter((c) => c.name);
+}
+
+function saveClients(list) {
+  localStorage.setItem(CLIENT_STORAGE_KEY, JSON.stringify(list));
+}
+
+// 거래처명/별칭 -> 거래처
+function findClientByName(name) {
+  const key = normalizeClientKey(name);
+  if (!key) return null;
+  return clients.find((c) => [c.name, ...c.aliases].some((n) => normalizeClientKey(n) === key)) || null;
+}
+
+// 입력된 거래처명을 등록된 대표 이름으로 변환 (미등록이면 입력값 그대로)
+function resolveClientName(name) {
+  const client = findClientByName(name);
+  return client ? client.name : safeTrim(name);
+}
+
+function getEntriesByClient(client) {
+  const keys = new Set([client.name, ...client.aliases].map(normalizeClientKey));
+  return entries.filter((e) => keys.has(normalizeClientKey(e.client)));
+}
+
+// 목록에 없는 거래처명 (내역에만 있음)
+function getUnregisteredClientNames() {
+  const names = new Map();
+  for (const e of entries) {
+    const name = safeTrim(e.client);
+    if (!name || findClientByName(name)) continue;
+    const key = normalizeClientKey(name);
+    if (!names.has(key)) names.set(key, { name, count: 0 });
+    names.get(key).count++;
+  }
+  return [...names.values()].sort((a, b) => a.name.localeCompare(b.name, "ko"));
+}
+
+// 거래처명은 없지만 행사명이 있어 정산서에서 빠지는 내역
+function getEntriesMissingClient() {
+  return entries.filter((e) => !safeTrim(e.client) && safeTrim(e.eventName));
+}
+
+// 이름/별칭이 다른 거래처와 겹치는지 확인
+function validateClient(client) {
+  if (!client.name) return "거래처명을 입력하세요.";
+  for (const n of [client.name, ...client.aliases]) {
+    const other = findClientByName(n);
+    if (other && other.id !== client.id) return `"${n}"은(는) 이미 "${other.name}"의 이름/별칭입니다.`;
+  }
+  return "";
+}
+
+// 입력 폼 자동완성 목록 (등록 거래처 + 별칭 + 미등록 거래처명)
+function renderClientOptions() {
+  const datalist = $("clientOptions");
+  const options = [];
+  for (const c of [...clients].sort((a, b) => a.name.localeCompare(b.name, "ko"))) {
+    options.push(`<option value="${escapeHtml(c.name)}"></option>`);
+    for (const alias of c.aliases) {
+      options.push(`<option value="${escapeHtml(alias)}" label="${escapeHtml(`${alias} → ${c.name}`)}"></option>`);
+    }
+  }
+  for (const u of getUnregisteredClientNames()) {
+    options.push(`<option value="${escapeHtml(u.name)}" label="${escapeHtml(`${u.name} (미등록)`)}"></option>`);
+  }
+  datalist.innerHTML = options.join("");
+}
+
+// 거래처별 행사 요약: 확정가 대비 입금액
+function computeClientEvents(list) {
+  const byKey = {};
+  for (const e of list) {
+    for (const { eventKey: key, entry } of getEntryEventShares(e)) {
+      if (!byKey[key]) {
+        byKey[key] = { key, name: reportMap[key]?.eventName || e.eventName, month: getEventSettlementMonth(key), krwPaid: 0, bahtPaid: 0 };
+      }
+      byKey[key].krwPaid += sumEntriesByCurrency([entry], "KRW", "Income");
+      byKey[key].bahtPaid += sumEntriesByCurrency([entry], "THB", "Income");
+    }
+  }
+  return Object.values(byKey)
+    .map((ev) => {
+      const r = reportMap[ev.key] || {};
+      return { ...ev, krwConfirmed: toFloat(r.fixedPriceKRWIncome), bahtConfirmed: toFloat(r.fixedPriceBahtIncome) };
+    })
+    .sort((a, b) => (a.month < b.month ? 1 : a.month > b.month ? -1 : a.name.localeCompare(b.name, "ko")));
+}
+
+// 거래처 탭 선택 상태: 등록 거래처 id 또는 "name:미등록이름" / UNASSIGNED_CLIENT
+const UNASSIGNED_CLIENT = "__unassigned__";
+let selectedClientId = null;
+
+function renderClientList() {
+  const container = $("clientList");
+  container.innerHTML = "";
+  $("clientCount").textContent = `${clients.length}곳`;
+
+  const sorted = [...clients].sort((a, b) => a.name.localeCompare(b.name, "ko"));
+  for (const c of sorted) {
+    const count = getEntriesByClient(c).length;
+    const item = document.createElement("div");
+    item.className = `listItem ${selectedClientId === c.id ? "listItem--active" : ""}`;
+    item.dataset.clientId = c.id;
+    item.innerHTML = `
+      <div class="listItem__title">${escapeHtml(c.name)}</div>
+      <div class="listItem__meta">
+        <span>내역 ${count}건</span>
+        ${c.isVendor ? "<span>업체</span>" : ""}
+        ${c.aliases.length ? `<span>별칭 ${escapeHtml(c.aliases.join(", "))}</span>` : ""}
+      </div>
+    `;
+    container.appendChild(item);
+  }
+
+  const unregistered = getUnregisteredClientNames();
+  const missing = getEntriesMissingClient();
+  if (unregistered.length === 0 && missing.length === 0) return;
+
+  const group = document.createElement("div");
+  group.className = "list-month-group";
+  group.innerHTML = `<div class="list-month-header">목록에 없음</div>`;
+  for (const u of unregistered) {
+    const id = `name:${u.name}`;
+    const item = document.createElement("div");
+    item.className = `listItem ${selectedClientId === id ? "listItem--active" : ""}`;
+    item.dataset.clientId = id;
+    item.innerHTML = `
+      <div class="listItem__title">${escapeHtml(u.name)}</div>
+      <div class="listItem__meta"><span>미등록 · 내역 ${u.count}건</span></div>
+    `;
+    group.appendChild(item);
+  }
+  if (missing.length > 0) {
+    const item = document.createElement("div");
+    item.className = `listItem ${selectedClientId === UNASSIGNED_CLIENT ? "listItem--active" : ""}`;
+    item.dataset.clientId = UNASSIGNED_CLIENT;
+    item.innerHTML = `
+      <div class="listItem__title">거래처 미지정</div>
+      <div class="listItem__meta"><span class="status--error">정산서 제외 ${missing.length}건</span></div>
+    `;
+    group.appendChild(item);
+  }
+  container.appendChild(group);
+}
+
+function fillClientForm(client) {
+  $("clientName").value = client.name;
+  $("clientAliases").value = client.aliases.join(", ");
+  $("clientContactName").value = client.contactName;
+  $("clientPhone").value = client.phone;
+  $("clientEmail").value = client.email;
+  $("clientMemo").value = client.memo;
+  $("clientDefaultCategory").innerHTML = renderCategoryOptions(client.defaultCategoryId, "없음");
+  $("clientDefaultCategory").value = client.defaultCategoryId;
+  $("clientIsVendor").checked = client.isVendor;
+  $("clientFormError").textContent = "";
+}
+
+function renderClientDetail() {
+  const client = clients.find((c) => c.id === selectedClientId) || null;
+  const unregisteredName = selectedClientId?.startsWith("name:") ? selectedClientId.slice(5) : "";
+  const isUnassigned = selectedClientId === UNASSIGNED_CLIENT;
+
+  $("clientForm").hidden = !client && selectedClientId !== "new";
+  $("btnDeleteClient").hidden = !client;
+  $("btnRegisterClient").hidden = !unregisteredName;
+  $("clientUnassignedHint").hidden = !isUnassigned;
+
+  let list = [];
+  if (client) {
+    $("clientDetailTitle").textContent = client.name;
+    list = getEntriesByClient(client);
+  } else if (unregisteredName) {
+    $("clientDetailTitle").textContent = `${unregisteredName} (미등록)`;
+    list = entries.filter((e) => normalizeClientKey(e.client) === normalizeClientKey(unregisteredName));
+  } else if (isUnassigned) {
+    $("clientDetailTitle").textContent = "거래처 미지정";
+    list = getEntriesMissingClient();
+  } else {
+    $("clientDetailTitle").textContent = selectedClientId === "new" ? "새 거래처" : "거래처를 선택하세요";
+  }
+
+  // 계좌별 합계
+  const ledgerAccounts = getLedgerAccounts();
+  $("clientTotals").innerHTML = ledgerAccounts.map((a) => {
+    const income = list.reduce((sum, e) => sum + getEntryAmount(e, a.id, "Income"), 0);
+    const expense = list.reduce((sum, e) => sum + getEntryAmount(e, a.id, "Expense"), 0);
+    return `
+      <div class="filterTotals__item">
+        <div class="filterTotals__label">${escapeHtml(a.name)}</div>
+        <div class="filterTotals__value">입금 ${formatNumberKRW(income)} · 출금 ${formatNumberKRW(expense)}</div>
+      </div>
+    `;
+  }).join("");
+
+  // 행사별 확정가 대비 입금
+  const eventBody = $("clientEventTable").querySelector("tbody");
+  eventBody.innerHTML = "";
+  const events = computeClientEvents(list);
+  $("clientEventCount").textContent = `${events.length}건`;
+  for (const ev of events) {
+    const krwDue = ev.krwConfirmed > 0 ? ev.krwConfirmed - ev.krwPaid : null;
+    const bahtDue = ev.bahtConfirmed > 0 ? ev.bahtConfirmed - ev.bahtPaid : null;
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td class="compact">${escapeHtml(ev.month)}</td>
+      <td class="compact"><button class="linkBtn" data-action="open-event" data-key="${escapeHtml(ev.key)}" type="button">${escapeHtml(ev.name)}</button></td>
+      <td class="num compact">${ev.krwConfirmed > 0 ? formatNumberKRW(ev.krwConfirmed) : "-"}</td>
+      <td class="num compact">${formatNumberKRW(ev.krwPaid)}</td>
+      <td class="num compact ${krwDue > 0 ? "status--error" : ""}">${krwDue === null ? "-" : formatNumberKRW(krwDue)}</td>
+      <td class="num compact">${ev.bahtConfirmed > 0 ? formatNumberKRW(ev.bahtConfirmed) : "-"}</td>
+      <td class="num compact">${formatNumberKRW(ev.bahtPaid)}</td>
+      <td class="num compact ${bahtDue > 0 ? "status--error" : ""}">${bahtDue === null ? "-" : formatNumberKRW(bahtDue)}</td>
+    `;
+    eventBody.appendChild(tr);
+  }
+
+  // 내역
+  $("clientEntryTable").querySelector("thead").innerHTML = `
+    <tr>
+      <th>날짜</th>
+      <th>거래처</th>
+      <th>행사명</th>
+      <th>내용</th>
+      ${ledgerAccounts.map((a) => `<th class="num">${escapeHtml(a.name)}</th>`).join("")}
+      <th class="actions">작업</th>
+    </tr>
+  `;
+  const entryBody = $("clientEntryTable").querySelector("tbody");
+  entryBody.innerHTML = "";
+  const sorted = sortEntries(list);
+  $("clientEntryCount").textContent = `${sorted.length}건`;
+  for (const e of sorted) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td class="compact">${escapeHtml(e.date)}</td>
+      <td class="compact">${escapeHtml(e.client || "-")}</td>
+      <td class="compact">${escapeHtml(e.eventName || "-")}</td>
+      <td class="compact">${escapeHtml(e.eventDetail || "-")}</td>
+      ${ledgerAccounts.map((a) => `<td class="num compact">${formatNumberKRW(getEntryAmount(e, a.id, "Income") - getEntryAmount(e, a.id, "Expense"))}</td>`).join("")}
+      <td class="actions">
+        <button class="miniBtn" data-action="edit" data-id="${e.id}" type="button">수정</button>
+      </td>
+    `;
+    entryBody.appendChild(tr);
+  }
+}
+
+function renderClientTab() {
+  renderClientOptions();
+  renderClientList();
+  renderClientDetail();
+}
+
+// 거래처 저장: 대표 이름이 바뀌면 기존 내역의 거래처명도 새 이름으로 변경
+function saveClientFromForm() {
+  const existing = clients.find((c) => c.id === selectedClientId) || null;
+  const next = {
+    ...(existing || emptyClient()),
+    name: safeTrim($("clientName").value),
+    aliases: $("clientAliases").value.split(",").map(safeTrim).filter(Boolean),
+    contactName: safeTrim($("clientContactName").value),
+    phone: safeTrim($("clientPhone").value),
+    email: safeTrim($("clientEmail").value),
+    memo: safeTrim($("clientMemo").value),
+    defaultCategoryId: $("clientDefaultCategory").value,
+    isVendor: $("clientIsVendor").checked,
+  };
+  next.aliases = [...new Set(next.aliases.filter((a) => normalizeClientKey(a) !== normalizeClientKey(next.name)))];
+
+  const error = validateClient(next);
+  $("clientFormError").textContent = error;
+  if (error) return false;
+
+  if (existing && existing.name !== next.name) {
+    const now = Date.now();
+    entries = entries.map((e) => (safeTrim(e.client) === existing.name ? { ...e, client: next.name, updatedAt: now } : e));
+    saveEntries(entries);
+    if (!next.aliases.includes(existing.name)) next.aliases.push(existing.name);
+  }
+
+  clients = existing ? clients.map((c) => (c.id === next.id ? next : c)) : [...clients, next];
+  saveClients(clients);
+  selectedClientId = next.id;
+  return true;
+}
+
+// --- 분류/태그 ---
+// 분류는 목록에서 관리(계좌처럼 내역이 있으면 삭제 대신 사용 중지), 태그는 내역마다 자유 입력
+/** @typedef {{
+ *  id: string,
+ *  name: string,
+ *  active: boolean, // false면 입력 폼 선택지에서 숨김
+ *  createdAt: number
+ * }} Category
+ */
+
+const DEFAULT_CATEGORY_NAMES = ["숙박", "차량", "식사", "입장료", "가이드", "항공", "기타"];
+// 분류 필터/집계에서 분류가 없는 내역 (삭제되어 목록에 없는 분류 포함)
+const UNCATEGORIZED = "__none__";
+
+/** @returns {Category[]} */
+function defaultCategories() {
+  return DEFAULT_CATEGORY_NAMES.map((name, i) => ({ id: makeId(), name, active: true, createdAt: i }));
+}
+
+/** @returns {Category[]} */
+function loadCategories() {
+  try {
+    const raw = localStorage.getItem(CATEGORY_STORAGE_KEY);
+    if (!raw) return defaultCategories();
+    return normalizeCategories(JSON.parse(raw));
+  } catch (err) {
+    reportStorageError("분류", CATEGORY_STORAGE_KEY, err);
+    return defaultCategories();
+  }
+}
+
+/** @returns {Category[]} */
+function normalizeCategories(parsed) {
+  if (!Array.isArray(parsed)) return [];
+  return parsed
+    .filter(isPlainObject)
+    .map((c) => ({
+      id: String(c.id ?? makeId()),
+      name: safeTrim(c.name),
+      active: c.active !== false,
+      createdAt: Number(c.createdAt ?? Date.now()),
+    }))
+    .filter((c) => c.name);
+}
+
+function saveCategories(list) {
+  localStorage.setItem(CATEGORY_STORAGE_KEY, JSON.stringify(list));
+}
+
+function findCategoryByName(name) {
+  const key = safeTrim(name).toLowerCase();
+  return categories.find((c) => c.name.toLowerCase() === key) || null;
+}
+
+function getCategoryName(id) {
+  return categories.find((c) => c.id === id)?.name || "";
+}
+
+// 필터/집계용 분류 키: 목록에 있는 분류 id 또는 UNCATEGORIZED
+function getEntryCategoryKey(e) {
+  return categories.some((c) => c.id === e.categoryId) ? e.categoryId : UNCATEGORIZED;
+}
+
+function formatTags(tags) {
+  return tags.map((t) => `#${t}`).join(" ");
+}
+
+function categoryHasEntries(id) {
+  return entries.some((e) => e.categoryId === id);
+}
+
+// 분류 선택지 (사용 중인 분류 + 현재 값). emptyLabel은 선택 안 함 항목 이름
+function renderCategoryOptions(current, emptyLabel) {
+  return `<option value="">${emptyLabel}</option>${categories
+    .filter((c) => c.active || c.id === current)
+    .map((c) => `<option value="${c.id}">${escapeHtml(c.name)}${c.active ? "" : " (사용 안 함)"}</option>`)
+    .join("")}`;
+}
+
+// 입력 폼 분류 선택지 (선택값 유지)
+function renderEntryCategoryOptions() {
+  const select = $("entryForm").querySelector('select[name="categoryId"]');
+  const current = select.value;
+  const editing = editingEntryId ? entries.find((e) => e.id === editingEntryId) : null;
+  select.innerHTML = renderCategoryOptions(current || editing?.categoryId || "", "미분류");
+  select.value = categories.some((c) => c.id === current) ? current : "";
+}
+
+function getClientDefaultCategoryId(clientName) {
+  const id = findClientByName(clientName)?.defaultCategoryId || "";
+  return categories.some((c) => c.id === id && c.active) ? id : "";
+}
+
+// 등록 거래처에 기본 분류가 없으면 처음 저장한 분류를 기본값으로 기억
+function rememberClientCategory(clientName, categoryId) {
+  const client = findClientByName(clientName);
+  if (!client || !categoryId || client.defaultCategoryId) return;
+  clients = clients.map((c) => (c.id === client.id ? { ...c, defaultCategoryId: categoryId } : c));
+  saveClients(clients);
+}
+
+function validateCategory(category) {
+  if (!category.name) return "분류 이름을 입력하세요.";
+  const dup = findCategoryByName(category.name);
+  if (dup && dup.id !== category.id) return `"${category.name}" 분류가 이미 있습니다.`;
+  return "";
+}
+
+function showCategoryError(message) {
+  $("categoryError").textContent = message;
+  $("categoryError").hidden = !message;
+}
+
+function addCategoryFromForm() {
+  const category = { id: makeId(), name: safeTrim($("categoryName").value), active: true, createdAt: Date.now() };
+  const error = validateCategory(category);
+  if (error) return error;
+  categories = [...categories, category];
+  saveCategories(categories);
+  $("categoryForm").reset();
+  return "";
+}
+
+function updateCategory(id, updates) {
+  const current = categories.find((c) => c.id === id);
+  if (!current) return "";
+  const next = { ...current, ...updates, id, name: safeTrim(updates.name ?? current.name) };
+  const error = validateCategory(next);
+  if (error) return error;
+  categories = categories.map((c) => (c.id === id ? next : c));
+  saveCategories(categories);
+  return "";
+}
+
+// 분류 집계 조건 (월은 YYYY-MM, 태그는 정확히 일치)
+function emptyCategoryReportFilter() {
+  return { fromMonth: "", toMonth: "", tag: "" };
+}
+
+let categoryReportFilter = emptyCategoryReportFilter();
+
+// 분류 -> 월 -> 통화별 입금/출금. 이체/환전은 수입·지출이 아니므로 제외
+function computeCategoryReport(list, filter) {
+  const tag = safeTrim(filter.tag).replace(/^#+/, "").toLowerCase();
+  const rows = list.filter((e) => {
+    if (e.kind === "transfer" || !isValidDateString(e.date)) return false;
+    const ym = getYearMonth(e.date);
+    if (filter.fromMonth && ym < filter.fromMonth) return false;
+    if (filter.toMonth && ym > filter.toMonth) return false;
+    if (tag && !e.tags.some((t) => t.toLowerCase() === tag)) return false;
+    return true;
+  });
+  const currencies = ACCOUNT_CURRENCIES.map((c) => c.id)
+    .concat(accounts.map((a) => a.currency))
+    .filter((c, i, all) => all.indexOf(c) === i)
+    .filter((c) => ["Income", "Expense"].some((flow) => sumEntriesByCurrency(rows, c, flow) !== 0));
+
+  const total = (list) =>
+    Object.fromEntries(
+      currencies.map((c) => [c, { income: sumEntriesByCurrency(list, c, "Income"), expense: sumEntriesByCurrency(list, c, "Expense") }]),
+    );
+  const groups = [...categories.map((c) => ({ key: c.id, name: c.name })), { key: UNCATEGORIZED, name: "미분류" }]
+    .map((g) => {
+      const list = rows.filter((e) => getEntryCategoryKey(e) === g.key);
+      const byMonth = groupByMonth(list);
+      const months = Object.keys(byMonth)
+        .sort()
+        .map((ym) => ({ month: ym, count: byMonth[ym].length, totals: total(byMonth[ym]) }));
+      return { ...g, count: list.length, months, totals: total(list) };
+    })
+    .filter((g) => g.count > 0);
+  return { currencies, groups, totals: total(rows), count: rows.length };
+}
+
+function renderCategoryReport() {
+  const report = computeCategoryReport(entries, categoryReportFilter);
+  $("categoryReportCount").textContent = `${report.count}건`;
+
+  $("categoryReportTable").querySelector("thead").innerHTML = `
+    <tr>
+      <th rowspan="2">분류</th>
+      <th rowspan="2">월</th>
+      <th rowspan="2" class="num">건수</th>
+      ${report.currencies.map((c) => `<th colspan="2" class="currency-header">${escapeHtml(c)}</th>`).join("")}
+    </tr>
+    <tr>
+      ${report.currencies.map(() => `<th class="num">입금</th><th class="num">출금</th>`).join("")}
+    </tr>
+  `;
+  const cells = (totals) =>
+    report.currencies
+      .map((c) => `<td class="num compact">${formatNumberKRW(totals[c].income)}</td><td class="num compact">${formatNumberKRW(totals[c].expense)}</td>`)
+      .join("");
+
+  const tbody = $("categoryReportTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const g of report.groups) {
+    const headerTr = document.createElement("tr");
+    headerTr.innerHTML = `<td colspan="2" class="month-header">${escapeHtml(g.name)}</td><td class="num month-header">${g.count}</td>${cells(g.totals)}`;
+    tbody.appendChild(headerTr);
+    for (const m of g.months) {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `<td></td><td class="compact">${m.month}</td><td class="num compact">${m.count}</td>${cells(m.totals)}`;
+      tbody.appendChild(tr);
+    }
+  }
+  if (report.groups.length > 0) {
+    const totalTr = document.createElement("tr");
+    totalTr.innerHTML = `<td colspan="2"><strong>합계</strong></td><td class="num compact">${report.count}</td>${cells(report.totals)}`;
+    tbody.appendChild(totalTr);
+  }
+  return report;
+}
+
+function exportCategoryReportCsv() {
+  const report = computeCategoryReport(entries, categoryReportFilter);
+  const header = ["분류", "월", "건수", ...report.currencies.flatMap((c) => [`${c}입금`, `${c}출금`])];
+  const amounts = (totals) => report.currencies.flatMap((c) => [totals[c].income, totals[c].expense]);
+  const rows = [header];
+  for (const g of report.groups) {
+    for (const m of g.months) rows.push([g.name, m.month, m.count, ...amounts(m.totals)]);
+    rows.push([g.name, "소계", g.count, ...amounts(g.totals)]);
+  }
+  rows.push(["합계", "", report.count, ...amounts(report.totals)]);
+  const { fromMonth, toMonth } = categoryReportFilter;
+  const period = fromMonth || toMonth ? `_${fromMonth || "처음"}~${toMonth || "끝"}` : "";
+  const escapeCell = (v) => {
+    const s = String(v ?? "");
+    if (/[",\n\r]/.test(s)) return `"${s.replaceAll('"', '""')}"`;
+    return s;
+  };
+  downloadTextFile(`분류별집계${period}.csv`, "\uFEFF" + rows.map((r) => r.map(escapeCell).join(",")).join("\n"));
+}
+
+function renderCategoryTab() {
+  const countMap = {};
+  for (const e of entries) countMap[e.categoryId] = (countMap[e.categoryId] || 0) + 1;
+
+  $("categoryCount").textContent = `${categories.length}개`;
+  const tbody = $("categoryTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const c of categories) {
+    const tr = document.createElement("tr");
+    if (!c.active) tr.className = "row--inactive";
+    tr.innerHTML = `
+      <td><input class="input input--sm" value="${escapeHtml(c.name)}" data-action="category-name" data-id="${c.id}" /></td>
+      <td class="actions">
+        <input class="checkbox" type="checkbox" ${c.active ? "checked" : ""} data-action="category-active" data-id="${c.id}" />
+      </td>
+      <td class="num compact">${countMap[c.id] || 0}건</td>
+      <td class="actions">
+        <button class="miniBtn miniBtn--danger" data-action="category-delete" data-id="${c.id}" type="button">삭제</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  renderCategoryReport();
+}
+
+// --- 가이드 ---
+// 가이드별 일비 요율과 컴 규칙. 정산서에서 가이드를 고르면 요율을 정산서에 복사해 가이드일비/가이드 컴을 자동 계산
+/** @typedef {{
+ *  id: string,
+ *  name: string,
+ *  dailyFee: number, // 1일 일비
+ *  commissionType: "percent" | "fixed", // 옵션 수익의 % 또는 행사당 고정 금액
+ *  commissionValue: number,
+ *  active: boolean, // false면 정산서 선택지에서 숨김
+ *  createdAt: number
+ * }} Guide
+ */
+
+/** @returns {Guide[]} */
+function loadGuides() {
+  try {
+    const raw = localStorage.getItem(GUIDE_STORAGE_KEY);
+    if (!raw) return [];
+    return normalizeGuides(JSON.parse(raw));
+  } catch (err) {
+    reportStorageError("가이드", GUIDE_STORAGE_KEY, err);
+    return [];
+  }
+}
+
+/** @returns {Guide[]} */
+function normalizeGuides(parsed) {
+  if (!Array.isArray(parsed)) return [];
+  return parsed
+    .filter(isPlainObject)
+    .map((g) => ({
+      id: String(g.id ?? makeId()),
+      name: safeTrim(g.name),
+      dailyFee: toFloat(g.dailyFee),
+      commissionType: g.commissionType === "fixed" ? "fixed" : "percent",
+      commissionValue: toFloat(g.commissionValue),
+      active: g.active !== false,
+      createdAt: Number(g.createdAt ?? Date.now()),
+    }))
+    .filter((g) => g.name);
+}
+
+function saveGuides(list) {
+  localStorage.setItem(GUIDE_STORAGE_KEY, JSON.stringify(list));
+}
+
+function findGuideByName(name) {
+  const key = safeTrim(name).toLowerCase();
+  return guides.find((g) => g.name.toLowerCase() === key) || null;
+}
+
+function getGuideName(id) {
+  return guides.find((g) => g.id === id)?.name || "";
+}
+
+function countGuideReports(id) {
+  return Object.values(reportMap).filter((r) => r.guideId === id).length;
+}
+
+function validateGuide(guide) {
+  if (!guide.name) return "가이드 이름을 입력하세요.";
+  const dup = findGuideByName(guide.name);
+  if (dup && dup.id !== guide.id) return `"${guide.name}" 가이드가 이미 있습니다.`;
+  if (guide.dailyFee < 0 || guide.commissionValue < 0) return "일비와 컴은 0 이상이어야 합니다.";
+  if (guide.commissionType === "percent" && guide.commissionValue > 100) return "컴 비율은 100% 이하로 입력하세요.";
+  return "";
+}
+
+function showGuideError(message) {
+  $("guideError").textContent = message;
+  $("guideError").hidden = !message;
+}
+
+function addGuideFromForm() {
+  const guide = {
+    id: makeId(),
+    name: safeTrim($("guideName").value),
+    dailyFee: toFloat($("guideDailyFee").value),
+    commissionType: $("guideCommissionType").value === "fixed" ? "fixed" : "percent",
+    commissionValue: toFloat($("guideCommissionValue").value),
+    active: true,
+    createdAt: Date.now(),
+  };
+  const error = validateGuide(guide);
+  if (error) return error;
+  guides = [...guides, guide];
+  saveGuides(guides);
+  $("guideForm").reset();
+  return "";
+}
+
+// 요율을 고쳐도 이미 가이드를 고른 정산서는 그대로 (정산서의 "요율 다시 적용"으로 반영)
+function updateGuide(id, updates) {
+  const current = guides.find((g) => g.id === id);
+  if (!current) return "";
+  const next = normalizeGuides([{ ...current, ...updates, id }])[0] || { ...current, name: "" };
+  const error = validateGuide(next);
+  if (error) return error;
+  guides = guides.map((g) => (g.id === id ? next : g));
+  saveGuides(guides);
+  return "";
+}
+
+function renderGuideTab() {
+  $("guideCount").textContent = `${guides.length}명`;
+  const tbody = $("guideTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const g of guides) {
+    const tr = document.createElement("tr");
+    if (!g.active) tr.className = "row--inactive";
+    tr.innerHTML = `
+      <td><input class="input input--sm" value="${escapeHtml(g.name)}" data-action="guide-name" data-id="${g.id}" /></td>
+      <td><input class="input input--sm num" type="number" min="0" step="any" value="${g.dailyFee}" data-action="guide-dailyFee" data-id="${g.id}" /></td>
+      <td>
+        <select class="input input--sm" data-action="guide-commissionType" data-id="${g.id}">
+          <option value="percent" ${g.commissionType === "percent" ? "selected" : ""}>옵션 수익 %</option>
+          <option value="fixed" ${g.commissionType === "fixed" ? "selected" : ""}>고정 금액</option>
+        </select>
+      </td>
+      <td><input class="input input--sm num" type="number" min="0" step="any" value="${g.commissionValue}" data-action="guide-commissionValue" data-id="${g.id}" /></td>
+      <td class="actions">
+        <input class="checkbox" type="checkbox" ${g.active ? "checked" : ""} data-action="guide-active" data-id="${g.id}" />
+      </td>
+      <td class="num compact">${countGuideReports(g.id)}건</td>
+      <td class="actions">
+        <button class="miniBtn miniBtn--danger" data-action="guide-delete" data-id="${g.id}" type="button">삭제</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+// --- 가이드 지급 ---
+// 정산 월 기준으로 가이드를 고른 행사를 모아 지급액(가이드일비 + 가이드 컴 + 기타지급)과 지급 여부를 봄
+function emptyGuidePayoutFilter() {
+  return { guideId: "", fromMonth: "", toMonth: "", status: "" };
+}
+
+let guidePayoutFilter = emptyGuidePayoutFilter();
+
+// status: "" = 전체, "paid" = 지급, "unpaid" = 미지급. unassigned는 기간 안의 가이드 미지정 행사 수
+function computeGuidePayouts(filter) {
+  const rows = [];
+  let unassigned = 0;
+  for (const ev of getEventNamesFromEntries()) {
+    const month = getEventSettlementMonth(ev.key);
+    if (filter.fromMonth && month < filter.fromMonth) continue;
+    if (filter.toMonth && month > filter.toMonth) continue;
+    const r = reportMap[ev.key];
+    if (!r?.guideId) {
+      unassigned += 1;
+      continue;
+    }
+    if (filter.guideId && r.guideId !== filter.guideId) continue;
+    if ((filter.status === "paid" && !r.guidePaidDate) || (filter.status === "unpaid" && r.guidePaidDate)) continue;
+    const guide = computeGuideSettlement(r);
+    const { guideDailyFee, guideCommission, otherPayment } = guide.values;
+    rows.push({
+      key: ev.key,
+      name: ev.name,
+      month,
+      period: formatEventPeriod(r),
+      guideId: r.guideId,
+      tourDays: guide.tourDays,
+      dailyFee: guideDailyFee,
+      optionProfit: guide.optionProfit,
+      commission: guideCommission,
+      otherPayment,
+      amount: guideDailyFee + guideCommission + otherPayment,
+      paidDate: r.guidePaidDate,
+    });
+  }
+  rows.sort((a, b) => a.month.localeCompare(b.month) || (a.period || "").localeCompare(b.period || "") || a.name.localeCompare(b.name));
+
+  const sum = (list, field) => list.reduce((total, row) => total + row[field], 0);
+  const groups = [...new Set(rows.map((row) => row.guideId))]
+    .map((guideId) => {
+      const list = rows.filter((row) => row.guideId === guideId);
+      return {
+        guideId,
+        name: getGuideName(guideId) || "삭제된 가이드",
+        rows: list,
+        dailyFee: sum(list, "dailyFee"),
+        optionProfit: sum(list, "optionProfit"),
+        commission: sum(list, "commission"),
+        otherPayment: sum(list, "otherPayment"),
+        amount: sum(list, "amount"),
+        paid: sum(list.filter((row) => row.paidDate), "amount"),
+        unpaid: sum(list.filter((row) => !row.paidDate), "amount"),
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return { groups, count: rows.length, unassigned };
+}
+
+// 지급 여부는 정산 값이 아니므로 마감된 월의 정산서에도 기록 (updateReportField의 마감 검사를 거치지 않음)
+function setGuidePaid(eventKeys, paid) {
+  const date = paid ? formatLocalDate(new Date()) : "";
+  for (const key of eventKeys) {
+    if (reportMap[key]) reportMap[key].guidePaidDate = date;
+  }
+  saveReportMap(reportMap);
+}
+
+function formatGuidePayoutPeriod(filter) {
+  if (!filter.fromMonth && !filter.toMonth) return "전체 기간";
+  return `${filter.fromMonth || "처음"} ~ ${filter.toMonth || "현재"}`;
+}
+
+function renderGuidePayouts() {
+  const guideSelect = $("guidePayoutGuide");
+  guideSelect.innerHTML = `<option value="">전체</option>${guides
+    .map((g) => `<option value="${g.id}">${escapeHtml(g.name)}</option>`)
+    .join("")}`;
+  if (!guides.some((g) => g.id === guidePayoutFilter.guideId)) guidePayoutFilter = { ...guidePayoutFilter, guideId: "" };
+  guideSelect.value = guidePayoutFilter.guideId;
+
+  const report = computeGuidePayouts(guidePayoutFilter);
+  const n = formatNumberKRW;
+  $("guidePayoutCount").textContent = `${report.count}건`;
+  const tbody = $("guidePayoutTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const g of report.groups) {
+    const headerTr = document.createElement("tr");
+    headerTr.innerHTML = `
+      <td colspan="4" class="month-header">${escapeHtml(g.name)} · ${g.rows.length}건 · 미지급 ${n(g.unpaid)}</td>
+      <td class="num month-header">${n(g.dailyFee)}</td>
+      <td class="num month-header">${n(g.optionProfit)}</td>
+      <td class="num month-header">${n(g.commission)}</td>
+      <td class="num month-header">${n(g.otherPayment)}</td>
+      <td class="num month-header">${n(g.amount)}</td>
+      <td class="actions month-header">
+        <div class="btnRow">
+          <button class="miniBtn" data-action="payout-print" data-guide-id="${escapeHtml(g.guideId)}" type="button">명세서</button>
+          ${g.rows.some((row) => !row.paidDate) ? `<button class="miniBtn" data-action="payout-pay-all" data-guide-id="${escapeHtml(g.guideId)}" type="button">모두 지급</button>` : ""}
+        </div>
+      </td>
+    `;
+    tbody.appendChild(headerTr);
+    for (const row of g.rows) {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td class="compact">${row.month}</td>
+        <td class="compact"><button class="linkBtn" data-action="open-event" data-key="${escapeHtml(row.key)}" type="button">${escapeHtml(row.name)}</button></td>
+        <td class="compact">${row.period || "-"}</td>
+        <td class="num compact">${row.tourDays}일</td>
+        <td class="num compact">${n(row.dailyFee)}</td>
+        <td class="num compact">${n(row.optionProfit)}</td>
+        <td class="num compact">${n(row.commission)}</td>
+        <td class="num compact">${n(row.otherPayment)}</td>
+        <td class="num compact">${n(row.amount)}</td>
+        <td class="actions">
+          <label class="compact"><input class="checkbox" type="checkbox" ${row.paidDate ? "checked" : ""} data-action="payout-paid" data-key="${escapeHtml(row.key)}" /> ${row.paidDate || "미지급"}</label>
+        </td>
+      `;
+      tbody.appendChild(tr);
+    }
+  }
+
+  $("guidePayoutEmpty").hidden = report.count > 0;
+  $("guidePayoutEmpty").textContent = guides.length === 0 ? "가이드를 등록하고 정산서에서 가이드를 고르면 여기에 모입니다." : "조건에 맞는 행사가 없습니다.";
+  $("guidePayoutInfo").textContent =
+    `${formatGuidePayoutPeriod(guidePayoutFilter)} 정산 월 기준. 지급액 = 가이드일비 + 가이드 컴 + 기타지급.` +
+    (report.unassigned > 0 ? ` 가이드를 고르지 않은 행사 ${report.unassigned}건은 빠져 있습니다.` : "");
+}
+
+// 한 가이드의 지급 명세서 (현재 기간/상태 조건 기준)
+function buildGuidePayoutDocument(guideId) {
+  const filter = { ...guidePayoutFilter, guideId };
+  const group = computeGuidePayouts(filter).groups[0];
+  const guide = guides.find((g) => g.id === guideId);
+  const n = formatNumberKRW;
+  const rows = group?.rows || [];
+  return `
+    <header class="printDoc__head">
+      <h2 class="printDoc__title">가이드 지급 명세서</h2>
+      <span>${escapeHtml(formatGuidePayoutPeriod(filter))}</span>
+    </header>
+    <dl class="printDoc__meta">
+      <dt>가이드</dt><dd>${escapeHtml(getGuideName(guideId) || "삭제된 가이드")}</dd>
+      <dt>행사</dt><dd>${rows.length}건</dd>
+      <dt>현재 요율</dt><dd>${guide ? `일비 ${n(guide.dailyFee)} · 컴 ${formatGuideCommission(guide.commissionType, guide.commissionValue)}` : "-"}</dd>
+      <dt>지급 상태</dt><dd>${filter.status === "paid" ? "지급분만" : filter.status === "unpaid" ? "미지급분만" : "전체"}</dd>
+    </dl>
+
+    <section class="printDoc__section">
+      <h3>행사별 지급</h3>
+      <table>
+        <thead><tr><th>정산 월</th><th>행사</th><th>기간</th><th class="num">일수</th><th class="num">가이드일비</th><th class="num">옵션 수익</th><th class="num">가이드 컴</th><th class="num">기타지급</th><th class="num">지급액</th><th>지급일</th></tr></thead>
+        <tbody>${rows
+          .map(
+            (row) => `
+          <tr>
+            <td>${row.month}</td>
+            <td>${escapeHtml(row.name)}</td>
+            <td>${row.period || "-"}</td>
+            <td class="num">${row.tourDays}</td>
+            <td class="num">${n(row.dailyFee)}</td>
+            <td class="num">${n(row.optionProfit)}</td>
+            <td class="num">${n(row.commission)}</td>
+            <td class="num">${n(row.otherPayment)}</td>
+            <td class="num">${n(row.amount)}</td>
+            <td>${row.paidDate || "미지급"}</td>
+          </tr>`,
+          )
+          .join("")}</tbody>
+        ${!group ? "" : `<tfoot><tr><td colspan="4">합계</td><td class="num">${n(group.dailyFee)}</td><td class="num">${n(group.optionProfit)}</td><td class="num">${n(group.commission)}</td><td class="num">${n(group.otherPayment)}</td><td class="num">${n(group.amount)}</td><td></td></tr></tfoot>`}
+      </table>
+    </section>
+
+    <section class="printDoc__section printDoc__totals">
+      <div class="printDoc__total"><span>지급액 합계</span><strong>${n(group?.amount || 0)}</strong></div>
+      <div class="printDoc__total"><span>지급 완료</span><strong>${n(group?.paid || 0)}</strong></div>
+      <div class="printDoc__total"><span>미지급</span><strong>${n(group?.unpaid || 0)}</strong></div>
+    </section>
+
+    <div class="printDoc__sign"><span>확인일</span><span>가이드 서명</span></div>
+    <footer class="printDoc__foot">발행일 ${formatLocalDate(new Date())} · Soo Money Check</footer>
+  `;
+}
+
+// 인쇄 미리보기 창 (정산서/가이드 지급 명세서 공용)
+function openPrintDocument(title, html) {
+  $("printTitle").textContent = title;
+  $("printDocument").innerHTML = html;
+  // 인쇄 스타일은 이 창이 열려 있을 때만 적용 (다른 화면의 인쇄는 그대로)
+  document.body.classList.add("is-printing");
+  $("printDialog").showModal();
+}
+
+// --- 업체 미지급 ---
+// 업체: 거래처 탭에서 "업체"로 표시한 거래처. 청구는 업체를 고른 가이드 옵션 원가, 지급은 그 거래처의 지출 내역
+// 잔액은 바트 기준: 바트 계좌 지출은 그대로, 원화/달러 계좌 지출은 행사 정산서의 바트환산(지출)/달러환산으로 환산
+function getVendors() {
+  return clients.filter((c) => c.isVendor).sort((a, b) => a.name.localeCompare(b.name, "ko"));
+}
+
+function getVendorName(id) {
+  return id ? clients.find((c) => c.id === id)?.name || "" : "";
+}
+
+// 업체 선택지 (업체로 표시한 거래처 + 현재 값)
+function renderVendorOptions(current) {
+  const list = getVendors();
+  const missing = current && !list.some((c) => c.id === current);
+  return `<option value="">없음</option>${list
+    .map((c) => `<option value="${c.id}" ${c.id === current ? "selected" : ""}>${escapeHtml(c.name)}</option>`)
+    .join("")}${missing ? `<option value="${escapeHtml(current)}" selected>${escapeHtml(getVendorName(current) || "삭제된 거래처")}</option>` : ""}`;
+}
+
+function emptyPayableFilter() {
+  return { vendorId: "", fromMonth: "", toMonth: "", openOnly: false };
+}
+
+let payableFilter = emptyPayableFilter();
+
+// 업체별 > 행사(행사가 없는 지출은 월)별 청구/지급/잔액
+function computeVendorPayables(filter) {
+  const ledgerAccounts = getLedgerAccounts();
+  const eventNames = new Map(getEventNamesFromEntries().map((ev) => [ev.key, ev.name]));
+  const rowMap = new Map();
+  const getRow = (vendorId, eventKey, month) => {
+    const id = `${vendorId}|${eventKey || `month:${month}`}`;
+    if (!rowMap.has(id)) {
+      rowMap.set(id, {
+        vendorId,
+        eventKey,
+        month,
+        name: eventKey ? eventNames.get(eventKey) || reportMap[eventKey]?.eventName || eventKey : "행사 없음",
+        owed: 0,
+        paid: {},
+        paidBaht: 0,
+        missingRate: false,
+      });
+    }
+    return rowMap.get(id);
+  };
+
+  // 청구: 업체를 고른 옵션 원가 (업체를 고르지 않은 옵션은 따로 셈)
+  const unlinked = { count: 0, cost: 0 };
+  for (const [key, r] of Object.entries(reportMap)) {
+    for (const opt of r.guideOptions || []) {
+      if (opt.vendorId) {
+        getRow(opt.vendorId, key, getEventSettlementMonth(key)).owed += toFloat(opt.costPrice);
+      } else if (toFloat(opt.costPrice) !== 0) {
+        unlinked.count += 1;
+        unlinked.cost += toFloat(opt.costPrice);
+      }
+    }
+  }
+
+  // 지급: 업체 거래처의 지출 내역 (배분한 내역은 행사별 몫, 이체/환전 제외)
+  const vendorIds = new Set([...getVendors().map((c) => c.id), ...[...rowMap.values()].map((row) => row.vendorId)]);
+  for (const vendorId of vendorIds) {
+    const vendor = clients.find((c) => c.id === vendorId);
+    if (!vendor) continue;
+    for (const e of getEntriesByClient(vendor)) {
+      if (e.kind === "transfer") continue;
+      const shares = getEntryEventShares(e);
+      for (const { eventKey, entry } of shares.length > 0 ? shares : [{ eventKey: "", entry: e }]) {
+        const row = getRow(vendorId, eventKey, eventKey ? getEventSettlementMonth(eventKey) : String(e.date).slice(0, 7));
+        const r = reportMap[eventKey] || {};
+        for (const a of ledgerAccounts) {
+          const amount = getEntryAmount(entry, a.id, "Expense");
+          if (amount === 0) continue;
+          row.paid[a.id] = (row.paid[a.id] || 0) + amount;
+          const rate =
+            a.currency === "THB" ? 1 : a.currency === "KRW" ? toFloat(r.bahtExchangeRateExpense) : a.currency === "USD" ? toFloat(r.usdToThbRate) : 0;
+          if (rate > 0) row.paidBaht += amount * rate;
+          else row.missingRate = true;
+        }
+      }
+    }
+  }
+
+  const rows = [...rowMap.values()]
+    .map((row) => ({ ...row, balance: row.owed - row.paidBaht }))
+    .filter((row) => {
+      if (filter.vendorId && row.vendorId !== filter.vendorId) return false;
+      if (filter.fromMonth && row.month < filter.fromMonth) return false;
+      if (filter.toMonth && row.month > filter.toMonth) return false;
+      if (filter.openOnly && Math.abs(row.balance) < 0.005) return false;
+      return true;
+    })
+    .sort((a, b) => a.month.localeCompare(b.month) || a.name.localeCompare(b.name, "ko"));
+
+  const total = (list) => {
+    const paid = {};
+    for (const row of list) for (const [id, amount] of Object.entries(row.paid)) paid[id] = (paid[id] || 0) + amount;
+    return {
+      owed: list.reduce((sum, row) => sum + row.owed, 0),
+      paid,
+      paidBaht: list.reduce((sum, row) => sum + row.paidBaht, 0),
+      balance: list.reduce((sum, row) => sum + row.balance, 0),
+      missingRate: list.some((row) => row.missingRate),
+    };
+  };
+  const groups = [...new Set(rows.map((row) => row.vendorId))]
+    .map((vendorId) => {
+      const list = rows.filter((row) => row.vendorId === vendorId);
+      return { vendorId, name: getVendorName(vendorId) || "삭제된 거래처", rows: list, ...total(list) };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name, "ko"));
+  return { accounts: ledgerAccounts, groups, totals: total(rows), count: rows.length, unlinked };
+}
+
+function renderVendorDirectory() {
+  const vendors = getVendors();
+  const balances = computeVendorPayables(emptyPayableFilter()).groups;
+  $("vendorCount").textContent = `${vendors.length}곳`;
+  const tbody = $("vendorTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const c of vendors) {
+    const optionCount = Object.values(reportMap).reduce((sum, r) => sum + (r.guideOptions || []).filter((o) => o.vendorId === c.id).length, 0);
+    const balance = balances.find((g) => g.vendorId === c.id)?.balance || 0;
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td class="compact"><button class="linkBtn" data-action="open-client" data-client-id="${c.id}" type="button">${escapeHtml(c.name)}</button></td>
+      <td class="compact">${escapeHtml(c.contactName || "-")}</td>
+      <td class="compact">${escapeHtml(c.phone || "-")}</td>
+      <td class="num compact">${optionCount}건</td>
+      <td class="num compact">${getEntriesByClient(c).length}건</td>
+      <td class="num compact ${balance > 0 ? "status--error" : ""}">${formatNumberKRW(balance)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+  $("vendorEmpty").hidden = vendors.length > 0;
+}
+
+function renderPayables() {
+  const vendorSelect = $("payableVendor");
+  vendorSelect.innerHTML = `<option value="">전체</option>${getVendors()
+    .map((c) => `<option value="${c.id}">${escapeHtml(c.name)}</option>`)
+    .join("")}`;
+  if (!getVendors().some((c) => c.id === payableFilter.vendorId)) payableFilter = { ...payableFilter, vendorId: "" };
+  vendorSelect.value = payableFilter.vendorId;
+
+  const report = computeVendorPayables(payableFilter);
+  const n = formatNumberKRW;
+  $("payableCount").textContent = `${report.count}건`;
+  $("payableTable").querySelector("thead").innerHTML = `
+    <tr>
+      <th rowspan="2">월</th>
+      <th rowspan="2">행사</th>
+      <th rowspan="2" class="num">청구 (옵션 원가)</th>
+      ${report.accounts.length > 0 ? `<th colspan="${report.accounts.length}" class="currency-header">지급 (지출 내역)</th>` : ""}
+      <th rowspan="2" class="num">지급 (바트 환산)</th>
+      <th rowspan="2" class="num">잔액</th>
+    </tr>
+    <tr>
+      ${report.accounts.map((a) => `<th class="num">${escapeHtml(a.shortName)}</th>`).join("")}
+    </tr>
+  `;
+  const cells = (t, cls = "") => `
+    <td class="num compact ${cls}">${n(t.owed)}</td>
+    ${report.accounts.map((a) => `<td class="num compact ${cls}">${t.paid[a.id] ? n(t.paid[a.id]) : "-"}</td>`).join("")}
+    <td class="num compact ${cls}" ${t.missingRate ? 'title="환율이 없어 환산에서 빠진 지급이 있습니다"' : ""}>${n(t.paidBaht)}${t.missingRate ? " *" : ""}</td>
+    <td class="num compact ${cls} ${t.balance > 0 ? "status--error" : ""}">${n(t.balance)}</td>
+  `;
+
+  const tbody = $("payableTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const g of report.groups) {
+    const headerTr = document.createElement("tr");
+    headerTr.innerHTML = `<td colspan="2" class="month-header">${escapeHtml(g.name)} · ${g.rows.length}건</td>${cells(g, "month-header")}`;
+    tbody.appendChild(headerTr);
+    for (const row of g.rows) {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td class="compact">${escapeHtml(row.month || "-")}</td>
+        <td class="compact">${
+          row.eventKey
+            ? `<button class="linkBtn" data-action="open-event" data-key="${escapeHtml(row.eventKey)}" type="button">${escapeHtml(row.name)}</button>`
+            : escapeHtml(row.name)
+        }</td>
+        ${cells(row)}
+      `;
+      tbody.appendChild(tr);
+    }
+  }
+  if (report.groups.length > 0) {
+    const totalTr = document.createElement("tr");
+    totalTr.innerHTML = `<td colspan="2"><strong>합계</strong></td>${cells(report.totals)}`;
+    tbody.appendChild(totalTr);
+  }
+
+  $("payableEmpty").hidden = report.count > 0;
+  const notes = ["청구는 바트 기준 옵션 원가이며, 잔액이 음수면 선지급입니다."];
+  if (report.totals.missingRate) notes.push("* 표시는 정산서에 바트환산(지출)/달러환산이 없거나 행사가 없는 원화/달러 지급이 있어 환산에서 빠진 금액이 있다는 뜻입니다.");
+  if (report.unlinked.count > 0) notes.push(`업체를 고르지 않은 가이드 옵션 ${report.unlinked.count}건 (원가 ${n(report.unlinked.cost)})은 빠져 있습니다.`);
+  $("payableInfo").textContent = notes.join(" ");
+}
+
+// --- 계좌 탭 ---
+// 이름/약칭 검사 (약칭은 CSV 열 이름이므로 계좌끼리 겹치면 안 됨)
+function validateAccount(account) {
+  if (!safeTrim(account.name)) return "계좌 이름을 입력하세요.";
+  if (!safeTrim(account.shortName)) return "약칭을 입력하세요.";
+  const shortKey = safeTrim(account.shortName).toLowerCase();
+  const dup = accounts.find((a) => a.id !== account.id && a.shortName.toLowerCase() === shortKey);
+  if (dup) return `약칭 "${account.shortName}"은(는) ${dup.name} 계좌에서 사용 중입니다.`;
+  if (!account.active && !accounts.some((a) => a.id !== account.id && a.active)) {
+    return "사용 중인 계좌가 하나 이상 있어야 합니다.";
+  }
+  return "";
+}
+
+function showAccountError(message) {
+  $("accountError").textContent = message;
+  $("accountError").hidden = !message;
+}
+
+// 계좌 정보 변경 (id는 금액 필드 이름이므로 바꾸지 않음). 실패 시 오류 메시지
+function updateAccount(id, updates) {
+  const current = accounts.find((a) => a.id === id);
+  if (!current) return "";
+  const next = { ...current, ...updates, id };
+  next.name = safeTrim(next.name);
+  next.shortName = safeTrim(next.shortName);
+  next.openingBalance = toFloat(next.openingBalance);
+  if (safeTrim(next.openingDate)) {
+    const parsed = parseInputDate(next.openingDate);
+    if (parsed.error) return `기준일: ${parsed.error}`;
+    next.openingDate = parsed.date;
+  } else {
+    next.openingDate = "";
+  }
+  const error = validateAccount(next);
+  if (error) return error;
+  accounts = accounts.map((a) => (a.id === id ? next : a));
+  saveAccounts(accounts);
+  return "";
+}
+
+function addAccountFromForm() {
+  const account = {
+    id: "",
+    name: safeTrim($("accountName").value),
+    shortName: safeTrim($("accountShortName").value) || safeTrim($("accountName").value),
+    currency: $("accountCurrency").value,
+    bank: safeTrim($("accountBank").value),
+    active: true,
+    openingBalance: 0,
+    openingDate: "",
+    createdAt: Date.now(),
+  };
+  const error = validateAccount(account);
+  if (error) return error;
+  account.id = makeAccountId(account.shortName);
+  accounts = [...accounts, account];
+  saveAccounts(accounts);
+  $("accountForm").reset();
+  return "";
+}
+
+function renderAccountTab() {
+  const countMap = Object.fromEntries(accounts.map((a) => [a.id, 0]));
+  for (const e of entries) {
+    for (const a of accounts) if (entryTouchesAccount(e, a.id)) countMap[a.id]++;
+  }
+
+  $("accountCount").textContent = `${accounts.length}개`;
+
+  const tbody = $("accountTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const a of accounts) {
+    const currencyOptions = ACCOUNT_CURRENCIES.some((c) => c.id === a.currency)
+      ? ACCOUNT_CURRENCIES
+      : [...ACCOUNT_CURRENCIES, { id: a.currency, label: a.currency }];
+    const tr = document.createElement("tr");
+    if (!a.active) tr.className = "row--inactive";
+    tr.innerHTML = `
+      <td><input class="input input--sm" value="${escapeHtml(a.name)}" data-action="account-name" data-id="${a.id}" /></td>
+      <td><input class="input input--sm" value="${escapeHtml(a.shortName)}" data-action="account-shortName" data-id="${a.id}" /></td>
+      <td>
+        <select class="input input--sm" data-action="account-currency" data-id="${a.id}">
+          ${currencyOptions.map((c) => `<option value="${escapeHtml(c.id)}" ${c.id === a.currency ? "selected" : ""}>${escapeHtml(c.id)}</option>`).join("")}
+        </select>
+      </td>
+      <td><input class="input input--sm" value="${escapeHtml(a.bank)}" data-action="account-bank" data-id="${a.id}" /></td>
+      <td class="actions">
+        <input class="checkbox" type="checkbox" ${a.active ? "checked" : ""} data-action="account-active" data-id="${a.id}" />
+      </td>
+      <td><input class="input input--sm" type="number" step="any" value="${a.openingBalance}" data-action="account-openingBalance" data-id="${a.id}" /></td>
+      <td><input class="input input--sm" value="${escapeHtml(a.openingDate)}" placeholder="첫 내역부터" data-action="account-openingDate" data-id="${a.id}" /></td>
+      <td class="num compact">${formatNumberKRW(getAccountBalance(a))}</td>
+      <td class="num compact">${countMap[a.id]}건</td>
+      <td class="actions">
+        <button class="miniBtn miniBtn--danger" data-action="account-delete" data-id="${a.id}" type="button">삭제</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+function showRateError(message) {
+  $("rateError").textContent = message;
+  $("rateError").hidden = !message;
+}
+
+function addRateFromForm() {
+  const parsed = parseInputDate($("rateDate").value);
+  if (parsed.error) return parsed.error;
+  const rate = {
+    id: makeId(),
+    date: parsed.date,
+    source: safeTrim($("rateSource").value),
+    krwToThb: toFloat($("rateKrwToThb").value),
+    usdToThb: toFloat($("rateUsdToThb").value),
+    createdAt: Date.now(),
+  };
+  const error = validateRate(rate);
+  if (error) return error;
+  rates = [...rates, rate];
+  saveRates(rates);
+  $("rateDate").value = "";
+  $("rateKrwToThb").value = "";
+  $("rateUsdToThb").value = "";
+  return "";
+}
+
+function renderRateTab() {
+  $("rateCount").textContent = `${rates.length}건`;
+  $("rateSourceList").innerHTML = getRateSources()
+    .map((s) => `<option value="${escapeHtml(s)}"></option>`)
+    .join("");
+
+  const sorted = [...rates].sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+    return a.source.localeCompare(b.source, "ko");
+  });
+  const tbody = $("rateTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const r of sorted) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td class="compact">${escapeHtml(r.date)}</td>
+      <td class="compact">${escapeHtml(r.source)}</td>
+      <td class="num compact">${r.krwToThb > 0 ? r.krwToThb : "-"}</td>
+      <td class="num compact">${r.usdToThb > 0 ? r.usdToThb : "-"}</td>
+      <td class="actions">
+        <button class="miniBtn miniBtn--danger" data-action="rate-delete" data-id="${r.id}" type="button">삭제</button>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+// --- 잔액 대사 ---
+// 은행 명세서 잔액과 계산 잔액을 날짜별로 맞춰 본 기록. 기록 날짜까지가 대사 완료 구간
+/** @typedef {{
+ *  id: string,
+ *  accountId: string,
+ *  date: string, // YYYY-MM-DD (이 날짜까지 대사 완료)
+ *  statementBalance: number, // 명세서 잔액
+ *  computedBalance: number, // 기록 당시 계산 잔액
+ *  createdAt: number
+ * }} Reconciliation
+ */
+
+/** @returns {Reconciliation[]} */
+function loadReconciliations() {
+  try {
+    const raw = localStorage.getItem(RECONCILE_STORAGE_KEY);
+    if (!raw) return [];
+    return normalizeReconciliations(JSON.parse(raw));
+  } catch (err) {
+    reportStorageError("잔액 대사", RECONCILE_STORAGE_KEY, err);
+    return [];
+  }
+}
+
+/** @returns {Reconciliation[]} */
+function normalizeReconciliations(parsed) {
+  if (!Array.isArray(parsed)) return [];
+  return parsed
+    .filter(isPlainObject)
+    .map((r) => ({
+      ...r,
+      id: String(r.id ?? makeId()),
+      accountId: String(r.accountId ?? ""),
+      date: String(r.date ?? ""),
+      statementBalance: toFloat(r.statementBalance),
+      computedBalance: toFloat(r.computedBalance),
+      createdAt: Number(r.createdAt ?? Date.now()),
+    }))
+    .filter((r) => r.accountId && isValidDateString(r.date));
+}
+
+function saveReconciliations(list) {
+  localStorage.setItem(RECONCILE_STORAGE_KEY, JSON.stringify(list));
+}
+
+// 금액 비교 (소수 계산 오차 무시)
+function isSameAmount(a, b) {
+  return Math.abs(a - b) < 0.005;
+}
+
+function getLastReconciliation(accountId) {
+  let last = null;
+  for (const r of reconciliations) {
+    if (r.accountId === accountId && (!last || r.date > last.date)) last = r;
+  }
+  return last;
+}
+
+// 대사 기록 뒤에 수정/추가된 대사 완료 구간의 내역: id -> 안내 문구
+function getEntriesChangedAfterReconcile() {
+  const changed = new Map();
+  for (const r of reconciliations) {
+    const account = accounts.find((a) => a.id === r.accountId);
+    if (!account) continue;
+    for (const e of entries) {
+      if (changed.has(e.id) || e.date > r.date || e.updatedAt <= r.createdAt) continue;
+      if (!entryTouchesAccount(e, account.id) || !countsTowardBalance(account, e)) continue;
+      changed.set(e.id, `${account.name} ${r.date} 대사 이후 수정된 내역입니다.`);
+    }
+  }
+  return changed;
+}
+
+// 대사 표시는 내역 수정으로 보지 않음 (updatedAt을 그대로 두어 "대사 후 수정" 표시에 걸리지 않게)
+function setEntryCleared(id, accountId, cleared) {
+  entries = entries.map((e) => {
+    if (e.id !== id) return e;
+    const rest = e.clearedAccounts.filter((a) => a !== accountId);
+    return { ...e, clearedAccounts: cleared ? [...rest, accountId] : rest };
+  });
+  saveEntries(entries);
+}
+
+function showReconcileError(message) {
+  $("reconcileError").textContent = message;
+  $("reconcileError").hidden = !message;
+}
+
+// 대사 입력값 (날짜가 비었거나 잘못되면 date는 "")
+function readReconcileForm() {
+  const account = accounts.find((a) => a.id === $("reconcileAccount").value) ?? null;
+  const rawDate = safeTrim($("reconcileDate").value);
+  const parsed = rawDate ? parseInputDate(rawDate) : { date: "", error: "" };
+  return {
+    account,
+    date: parsed.date,
+    dateError: parsed.error,
+    statementInput: safeTrim($("reconcileStatementBalance").value),
+    statementBalance: toFloat($("reconcileStatementBalance").value),
+  };
+}
+
+async function completeReconciliation() {
+  const { account, date, dateError, statementInput, statementBalance } = readReconcileForm();
+  if (!account) return;
+  if (!date) {
+    showReconcileError(dateError || "대사 날짜를 입력하세요.");
+    return;
+  }
+  if (!statementInput) {
+    showReconcileError("명세서 잔액을 입력하세요.");
+    return;
+  }
+
+  const computedBalance = getAccountBalance(account, date);
+  if (!isSameAmount(statementBalance, computedBalance)) {
+    const ok = await openConfirm({
+      title: "차이가 있는 대사",
+      body:
+        `${account.name} ${date} 명세서 잔액 ${formatNumberKRW(statementBalance)}, 계산 잔액 ${formatNumberKRW(computedBalance)} ` +
+        `(차이 ${formatNumberKRW(statementBalance - computedBalance)}). 차이가 있는 채로 기록할까요?`,
+      danger: false,
+    });
+    if (!ok) return;
+  }
+
+  reconciliations = [
+    ...reconciliations,
+    { id: makeId(), accountId: account.id, date, statementBalance, computedBalance, createdAt: Date.now() },
+  ];
+  saveReconciliations(reconciliations);
+  $("reconcileStatementBalance").value = "";
+  showReconcileError("");
+  rerenderAllPreserveFocus();
+}
+
+function renderReconcileTab() {
+  const select = $("reconcileAccount");
+  const current = select.value;
+  select.innerHTML = accounts
+    .map((a) => `<option value="${a.id}">${escapeHtml(a.name)} (${escapeHtml(a.currency)})</option>`)
+    .join("");
+  select.value = accounts.some((a) => a.id === current) ? current : (accounts.find((a) => a.active) ?? accounts[0]).id;
+
+  const { account, date, statementInput, statementBalance } = readReconcileForm();
+  const last = getLastReconciliation(account.id);
+  const computed = getAccountBalance(account, date);
+
+  // 지난 대사 이후 내역 + 그 이전 구간에서 아직 확인하지 않은 내역
+  const list = sortEntries(
+    entries.filter(
+      (e) =>
+        entryTouchesAccount(e, account.id) &&
+        countsTowardBalance(account, e) &&
+        (!date || e.date <= date) &&
+        (!last || e.date > last.date || !e.clearedAccounts.includes(account.id)),
+    ),
+  );
+  const uncleared = list.filter((e) => !e.clearedAccounts.includes(account.id));
+  const unclearedSum = uncleared.reduce(
+    (sum, e) => sum + getEntryAmount(e, account.id, "Income") - getEntryAmount(e, account.id, "Expense"),
+    0,
+  );
+
+  $("reconcileComputed").textContent = formatNumberKRW(computed);
+  const difference = statementInput ? statementBalance - computed : null;
+  $("reconcileDifference").textContent = difference === null ? "-" : formatNumberKRW(difference);
+  $("reconcileDifference").className = `summary__value ${difference === null ? "" : isSameAmount(difference, 0) ? "status--ok" : "status--error"}`;
+  $("reconcileUncleared").textContent = `${uncleared.length}건 · ${formatNumberKRW(unclearedSum)}`;
+  $("reconcileLast").textContent = last ? `${last.date}까지 대사 완료` : "대사 기록 없음";
+
+  const tbody = $("reconcileEntryTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const e of list) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td class="actions">
+        <input class="checkbox" type="checkbox" ${e.clearedAccounts.includes(account.id) ? "checked" : ""} data-action="reconcile-clear" data-id="${e.id}" />
+      </td>
+      <td class="compact">${escapeHtml(e.date)}</td>
+      <td class="compact">${escapeHtml(e.client || "-")}</td>
+      <td class="compact">${escapeHtml(e.eventName || "-")}</td>
+      <td class="compact">${escapeHtml(e.eventDetail || "-")}</td>
+      <td class="num compact">${formatNumberKRW(getEntryAmount(e, account.id, "Income"))}</td>
+      <td class="num compact">${formatNumberKRW(getEntryAmount(e, account.id, "Expense"))}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  const history = [...reconciliations].sort((a, b) => (a.date !== b.date ? (a.date < b.date ? 1 : -1) : b.createdAt - a.createdAt));
+  const historyBody = $("reconcileTable").querySelector("tbody");
+  historyBody.innerHTML = "";
+  for (const r of history) {
+    const a = accounts.find((x) => x.id === r.accountId);
+    const now = a ? getAccountBalance(a, r.date) : null;
+    let status;
+    if (now !== null && !isSameAmount(now, r.computedBalance)) {
+      status = `<span class="status--error">대사 후 변경 (현재 ${formatNumberKRW(now)})</span>`;
+    } else if (isSameAmount(r.statementBalance, r.computedBalance)) {
+      status = `<span class="status--ok">일치</span>`;
+    } else {
+      status = `<span class="status--error">차이 있음</span>`;
+    }
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td class="compact">${escapeHtml(r.date)}</td>
+      <td class="compact">${escapeHtml(a ? a.name : r.accountId)}</td>
+      <td class="num compact">${formatNumberKRW(r.statementBalance)}</td>
+      <td class="num compact">${formatNumberKRW(r.computedBalance)}</td>
+      <td class="num compact">${formatNumberKRW(r.statementBalance - r.computedBalance)}</td>
+      <td class="compact">${status}</td>
+      <td class="actions">
+        <button class="miniBtn miniBtn--danger" data-action="reconcile-delete" data-id="${r.id}" type="button">삭제</button>
+      </td>
+    `;
+    historyBody.appendChild(tr);
+  }
+}
+
+// --- 은행 명세서 가져오기 ---
+// 은행에서 내려받은 CSV를 계좌별 열 매핑으로 읽어, 기존 내역과 날짜+금액이 같으면 대사 확인 처리하고
+// 나머지는 대기열에 두었다가 거래처/행사명을 정해 내역으로 만듦
+/** @typedef {{
+ *  headerRow: number, // 머리글 행 번호 (1부터)
+ *  date: string, // 열 이름
+ *  dateOrder: "YMD" | "DMY" | "MDY",
+ *  description: string,
+ *  income: string,
+ *  expense: string // 입금과 같은 열이면 양수=입금, 음수=출금
+ * }} StatementMapping
+ */
+/** @typedef {{
+ *  id: string,
+ *  accountId: string,
+ *  date: string,
+ *  description: string,
+ *  income: number,
+ *  expense: number,
+ *  client: string,
+ *  eventName: string,
+ *  importedAt: number
+ * }} StatementLine
+ */
+
+const STATEMENT_DATE_ORDERS = [
+  { id: "DMY", label: "일/월/년 (31/01/2026)" },
+  { id: "YMD", label: "년-월-일 (2026-01-31)" },
+  { id: "MDY", label: "월/일/년 (01/31/2026)" },
+];
+
+// 열 이름 자동 추측 (영문/태국어/한국어 은행 CSV 머리글)
+const STATEMENT_COLUMN_HINTS = {
+  date: /date|วันที่|날짜|일자/i,
+  description: /desc|detail|particular|narrative|รายการ|내용|적요/i,
+  income: /deposit|credit|ฝาก|입금/i,
+  expense: /withdraw|debit|ถอน|출금/i,
+};
+
+function loadStatementState() {
+  try {
+    const raw = localStorage.getItem(STATEMENT_STORAGE_KEY);
+    if (!raw) return { mappings: {}, queue: [] };
+    return normalizeStatementState(JSON.parse(raw));
+  } catch (err) {
+    reportStorageError("은행 명세서", STATEMENT_STORAGE_KEY, err);
+    return { mappings: {}, queue: [] };
+  }
+}
+
+function normalizeStatementState(parsed) {
+  if (!isPlainObject(parsed)) return { mappings: {}, queue: [] };
+
+  const mappings = {};
+  for (const [accountId, m] of Object.entries(isPlainObject(parsed.mappings) ? parsed.mappings : {})) {
+    if (!isPlainObject(m)) continue;
+    mappings[accountId] = {
+      headerRow: Math.max(1, Math.floor(toFloat(m.headerRow)) || 1),
+      date: String(m.date ?? ""),
+      dateOrder: STATEMENT_DATE_ORDERS.some((o) => o.id === m.dateOrder) ? m.dateOrder : "DMY",
+      description: String(m.description ?? ""),
+      income: String(m.income ?? ""),
+      expense: String(m.expense ?? ""),
+    };
+  }
+
+  const queue = (Array.isArray(parsed.queue) ? parsed.queue : [])
+    .filter(isPlainObject)
+    .map((l) => ({
+      ...l,
+      id: String(l.id ?? makeId()),
+      accountId: String(l.accountId ?? ""),
+      date: String(l.date ?? ""),
+      description: String(l.description ?? ""),
+      income: toFloat(l.income),
+      expense: toFloat(l.expense),
+      client: String(l.client ?? ""),
+      eventName: String(l.eventName ?? ""),
+      importedAt: Number(l.importedAt ?? Date.now()),
+    }))
+    .filter((l) => l.accountId && isValidDateString(l.date));
+
+  return { mappings, queue };
+}
+
+function saveStatementState(state) {
+  localStorage.setItem(STATEMENT_STORAGE_KEY, JSON.stringify(state));
+}
+
+// 명세서 날짜: 구분자(- . / 공백)로 나눈 앞의 세 숫자를 순서대로 읽음 (시간은 무시)
+// 두 자리 연도는 2000년대, 불기(2500년대)는 서기로 바꿈
+function parseStatementDate(value, order) {
+  const parts = safeTrim(value).split(/[-./\s]+/).filter((p) => /^\d+$/.test(p));
+  if (parts.length < 3) return "";
+  const [a, b, c] = parts;
+  let [year, month, day] = order === "YMD" ? [a, b, c] : order === "MDY" ? [c, a, b] : [c, b, a];
+  let y = Number(year);
+  if (y < 100) y += 2000;
+  if (y > 2400) y -= 543;
+  if (!isValidCalendarDate(y, month, day)) return "";
+  return `${y}-${pad2(month)}-${pad2(day)}`;
+}
+
+// 머리글 행과 열 이름을 추측 (저장된 매핑의 열 이름이 머리글에 있으면 그대로 사용)
+function guessStatementMapping(rows, accountId) {
+  const saved = statementState.mappings[accountId];
+  if (saved && rows[saved.headerRow - 1]) {
+    const header = rows[saved.headerRow - 1].map(safeTrim);
+    if (header.includes(saved.date)) return { ...saved };
+  }
+
+  const account = accounts.find((a) => a.id === accountId);
+  const findColumn = (header, key) => header.find((h) => STATEMENT_COLUMN_HINTS[key].test(h)) ?? "";
+  const limit = Math.min(rows.length, 20);
+  let headerRow = 1;
+  for (let i = 0; i < limit; i++) {
+    const header = rows[i].map(safeTrim);
+    if (findColumn(header, "date") && (findColumn(header, "income") || findColumn(header, "expense"))) {
+      headerRow = i + 1;
+      break;
+    }
+  }
+  const header = (rows[headerRow - 1] ?? []).map(safeTrim);
+  return {
+    headerRow,
+    date: findColumn(header, "date"),
+    dateOrder: account && account.currency === "THB" ? "DMY" : "YMD",
+    description: findColumn(header, "description"),
+    income: findColumn(header, "income"),
+    expense: findColumn(header, "expense"),
+  };
+}
+
+// 매핑대로 명세서 줄을 읽고 기존 내역/대기열과 맞춰 봄
+// status: "matched"(내역 있음, entryId) | "queued"(이미 대기열에 있음) | "new" | "error"
+function parseStatementRows(rows, accountId, mapping) {
+  const header = (rows[mapping.headerRow - 1] ?? []).map(safeTrim);
+  const col = (name) => (name ? header.indexOf(name) : -1);
+  const dateCol = col(mapping.date);
+  const descCol = col(mapping.description);
+  const incomeCol = col(mapping.income);
+  const expenseCol = col(mapping.expense);
+  if (dateCol < 0) return { error: "날짜 열을 고르세요.", lines: [] };
+  if (incomeCol < 0 && expenseCol < 0) return { error: "입금 또는 출금 열을 고르세요.", lines: [] };
+
+  const usedEntryIds = new Set();
+  const lines = [];
+  rows.slice(mapping.headerRow).forEach((row, i) => {
+    const cell = (index) => (index >= 0 ? safeTrim(row[index]) : "");
+    const errors = [];
+    const date = parseStatementDate(cell(dateCol), mapping.dateOrder);
+    if (!date) errors.push(`날짜 오류 (${cell(dateCol) || "빈 값"})`);
+
+    const incomeValue = parseCsvNumber(cell(incomeCol));
+    const expenseValue = incomeCol === expenseCol ? 0 : parseCsvNumber(cell(expenseCol));
+    if (incomeValue === null || expenseValue === null) errors.push("금액 숫자 아님");
+    let income = incomeValue ?? 0;
+    let expense = Math.abs(expenseValue ?? 0);
+    if (income < 0) {
+      expense += -income;
+      income = 0;
+    }
+    if (errors.length === 0 && income === 0 && expense === 0) return; // 잔액만 있는 줄 등은 건너뜀
+
+    const line = { row: mapping.headerRow + i + 1, date, description: cell(descCol), income, expense, errors, status: "error", entryId: "" };
+    lines.push(line);
+    if (errors.length > 0) return;
+
+    // 같은 날짜·같은 금액 내역 (대사 확인이 안 된 것 우선, 한 내역은 한 줄에만)
+    const candidates = entries.filter(
+      (e) =>
+        !usedEntryIds.has(e.id) &&
+        e.date === date &&
+        isSameAmount(getEntryAmount(e, accountId, "Income"), income) &&
+        isSameAmount(getEntryAmount(e, accountId, "Expense"), expense),
+    );
+    const match = candidates.find((e) => !e.clearedAccounts.includes(accountId)) ?? candidates[0];
+    if (match) {
+      usedEntryIds.add(match.id);
+      line.status = "matched";
+      line.entryId = match.id;
+      return;
+    }
+    const queued = statementState.queue.some(
+      (q) =>
+        q.accountId === accountId &&
+        q.date === date &&
+        q.description === line.description &&
+        isSameAmount(q.income, income) &&
+        isSameAmount(q.expense, expense),
+    );
+    line.status = queued ? "queued" : "new";
+  });
+  return { error: "", lines };
+}
+
+// 가져오기 대기 중인 명세서 (대화상자가 열려 있는 동안)
+let pendingStatement = null;
+
+function readStatementMappingForm() {
+  return {
+    headerRow: Math.max(1, Math.floor(toFloat($("statementHeaderRow").value)) || 1),
+    date: $("statementDateColumn").value,
+    dateOrder: $("statementDateOrder").value,
+    description: $("statementDescColumn").value,
+    income: $("statementIncomeColumn").value,
+    expense: $("statementExpenseColumn").value,
+  };
+}
+
+function openStatementImport(filename, accountId, text) {
+  const rows = parseCsv(text);
+  pendingStatement = { filename, accountId, rows, mapping: guessStatementMapping(rows, accountId), lines: [] };
+  const account = accounts.find((a) => a.id === accountId);
+  $("statementTitle").textContent = `명세서 가져오기 - ${account ? account.name : accountId} · ${filename}`;
+  $("statementDateOrder").innerHTML = STATEMENT_DATE_ORDERS.map((o) => `<option value="${o.id}">${escapeHtml(o.label)}</option>`).join("");
+  renderStatementPreview();
+
+  const dialog = $("statementDialog");
+  dialog.returnValue = "";
+  dialog.showModal();
+}
+
+// 매핑 선택지와 미리보기 다시 그리기 (매핑을 바꿀 때마다)
+function renderStatementPreview() {
+  if (!pendingStatement) return;
+  const { rows, mapping, accountId } = pendingStatement;
+  const header = (rows[mapping.headerRow - 1] ?? []).map(safeTrim);
+  const columnOptions = `<option value="">(없음)</option>${header
+    .filter(Boolean)
+    .map((h) => `<option value="${escapeHtml(h)}">${escapeHtml(h)}</option>`)
+    .join("")}`;
+
+  $("statementHeaderRow").value = mapping.headerRow;
+  $("statementDateOrder").value = mapping.dateOrder;
+  for (const [id, field] of [
+    ["statementDateColumn", "date"],
+    ["statementDescColumn", "description"],
+    ["statementIncomeColumn", "income"],
+    ["statementExpenseColumn", "expense"],
+  ]) {
+    $(id).innerHTML = columnOptions;
+    $(id).value = header.includes(mapping[field]) ? mapping[field] : "";
+  }
+
+  const parsed = parseStatementRows(rows, accountId, readStatementMappingForm());
+  pendingStatement.lines = parsed.lines;
+  const count = (status) => parsed.lines.filter((l) => l.status === status).length;
+  $("statementSummary").textContent = parsed.error
+    ? parsed.error
+    : `전체 ${parsed.lines.length}줄 · 내역과 일치 ${count("matched")}건 · 대기열 추가 ${count("new")}건 · 이미 대기 중 ${count("queued")}건 · 오류 ${count("error")}건`;
+  const importable = count("matched") + count("new");
+  $("statementConfirm").disabled = Boolean(parsed.error) || importable === 0;
+  $("statementConfirm").textContent = `가져오기 (${importable}건)`;
+
+  const labels = { matched: "내역과 일치 (확인 처리)", new: "대기열로", queued: "이미 대기 중", error: "" };
+  const classes = { matched: "status--ok", new: "", queued: "status--muted", error: "status--error" };
+  const tbody = $("statementPreviewTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const l of parsed.lines) {
+    const matched = l.entryId ? entries.find((e) => e.id === l.entryId) : null;
+    const status = l.status === "error" ? l.errors.join(", ") : labels[l.status];
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td class="num compact">${l.row}</td>
+      <td class="compact">${escapeHtml(l.date || "-")}</td>
+      <td class="compact">${escapeHtml(l.description || "-")}</td>
+      <td class="num compact">${formatNumberKRW(l.income)}</td>
+      <td class="num compact">${formatNumberKRW(l.expense)}</td>
+      <td class="compact ${classes[l.status]}">${escapeHtml(status)}${
+        matched ? ` · ${escapeHtml(matched.client || "-")} / ${escapeHtml(matched.eventName || "-")}` : ""
+      }</td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+// 매핑 저장 + 일치한 내역은 대사 확인 처리 + 새 줄은 대기열에 추가
+function commitStatementImport() {
+  if (!pendingStatement) return;
+  const { accountId, lines } = pendingStatement;
+  const matchedIds = new Set(lines.filter((l) => l.status === "matched").map((l) => l.entryId));
+  const now = Date.now();
+  const newLines = lines
+    .filter((l) => l.status === "new")
+    .map((l, i) => ({
+      id: makeId(),
+      accountId,
+      date: l.date,
+      description: l.description,
+      income: l.income,
+      expense: l.expense,
+      client: "",
+      eventName: "",
+      importedAt: now + i,
+    }));
+
+  statementState = {
+    mappings: { ...statementState.mappings, [accountId]: readStatementMappingForm() },
+    queue: [...statementState.queue, ...newLines],
+  };
+  saveStatementState(statementState);
+  for (const id of matchedIds) setEntryCleared(id, accountId, true);
+  pendingStatement = null;
+  rerenderAllPreserveFocus();
+}
+
+function showStatementError(message) {
+  $("statementError").textContent = message;
+  $("statementError").hidden = !message;
+}
+
+function updateStatementLine(id, updates) {
+  statementState = { ...statementState, queue: statementState.queue.map((l) => (l.id === id ? { ...l, ...updates } : l)) };
+  saveStatementState(statementState);
+}
+
+// 대기열 줄을 내역으로 (명세서에서 온 줄이므로 바로 대사 확인 상태). 실패 시 오류 메시지
+function createEntryFromStatementLine(id) {
+  const line = statementState.queue.find((l) => l.id === id);
+  if (!line) return "";
+  const client = resolveClientName(line.client);
+  const eventName = safeTrim(line.eventName);
+  if (!client || !eventName) return "거래처와 행사명을 입력하세요.";
+  if (isMonthClosed(getYearMonth(line.date))) return formatMonthLockedError(getYearMonth(line.date));
+
+  const now = Date.now();
+  const amounts = {};
+  for (const field of getAmountFields()) amounts[field] = 0;
+  amounts[`${line.accountId}Income`] = line.income;
+  amounts[`${line.accountId}Expense`] = line.expense;
+  const entry = {
+    id: makeId(),
+    date: line.date,
+    client,
+    eventName,
+    eventDetail: line.description,
+    eventKey: "",
+    ...amounts,
+    memo: "",
+    categoryId: getClientDefaultCategoryId(client),
+    tags: [],
+    kind: "",
+    allocations: [],
+    clearedAccounts: [line.accountId],
+    createdAt: now,
+    updatedAt: now,
+  };
+  entries = [entry, ...entries];
+  saveEntries(entries);
+  const key = getEntryEventKey(entry);
+  if (key) ensureReportDefaults(key, entry.eventName);
+
+  statementState = { ...statementState, queue: statementState.queue.filter((l) => l.id !== id) };
+  saveStatementState(statementState);
+  return "";
+}
+
+function renderStatementTab() {
+  const select = $("statementAccount");
+  const current = select.value;
+  select.innerHTML = accounts
+    .map((a) => `<option value="${a.id}">${escapeHtml(a.name)}${a.active ? "" : " (사용 안 함)"}</option>`)
+    .join("");
+  const preferred = accounts.find((a) => a.currency === "THB" && a.active) ?? accounts[0];
+  select.value = accounts.some((a) => a.id === current) ? current : preferred.id;
+
+  const queue = [...statementState.queue].sort((a, b) => (a.date !== b.date ? (a.date < b.date ? 1 : -1) : a.importedAt - b.importedAt));
+  $("statementQueueCount").textContent = `대기 ${queue.length}건`;
+
+  const tbody = $("statementQueueTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const l of queue) {
+    const account = accounts.find((a) => a.id === l.accountId);
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td class="compact">${escapeHtml(l.date)}</td>
+      <td class="compact">${escapeHtml(account ? account.name : l.accountId)}</td>
+      <td class="compact">${escapeHtml(l.description || "-")}</td>
+      <td class="num compact">${formatNumberKRW(l.income)}</td>
+      <td class="num compact">${formatNumberKRW(l.expense)}</td>
+      <td><input class="input input--sm" list="clientOptions" value="${escapeHtml(l.client)}" data-action="statement-client" data-id="${l.id}" /></td>
+      <td><input class="input input--sm" value="${escapeHtml(l.eventName)}" data-action="statement-eventName" data-id="${l.id}" /></td>
+      <td class="actions">
+        <div class="btnRow">
+          <button class="miniBtn" data-action="statement-create" data-id="${l.id}" type="button">내역 만들기</button>
+          <button class="miniBtn miniBtn--danger" data-action="statement-delete" data-id="${l.id}" type="button">삭제</button>
+        </div>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+// --- 휴지통 / 실행 취소 ---
+// 삭제된 항목은 종류별 원본(payload)과 복원 위치(eventKey, index)를 함께 보관
+/** @typedef {{
+ *  id: string,
+ *  type: "entry" | "additionalItem" | "guideOption" | "profitExpense" | "client" | "account" | "exchangeRate" | "reconciliation" | "statementLine" | "snapshot",
+ *  label: string,
+ *  deletedAt: number,
+ *  eventKey?: string,
+ *  eventName?: string,
+ *  index?: number,
+ *  payload: any
+ * }} TrashItem
+ */
+
+const TRASH_TYPE_LABELS = {
+  entry: "입력 내역",
+  additionalItem: "추가 항목",
+  guideOption: "가이드 옵션",
+  profitExpense: "수익 지출",
+  client: "거래처",
+  account: "계좌",
+  exchangeRate: "환율",
+  reconciliation: "대사 기록",
+  statementLine: "명세서 대기 줄",
+  category: "분류",
+  guide: "가이드",
+  snapshot: "전체 스냅샷",
+};
+
+/** @returns {TrashItem[]} */
+function loadTrash() {
+  try {
+    const raw = localStorage.getItem(TRASH_STORAGE_KEY);
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return [];
+    return parsed.filter((t) => t && t.id && TRASH_TYPE_LABELS[t.type]);
+  } catch (err) {
+    reportStorageError("휴지통", TRASH_STORAGE_KEY, err);
+    return [];
+  }
+}
+
+// 저장 공간이 부족하면 오래된 스냅샷부터 지우고 다시 저장. 실제로 저장한(또는 남은) 목록을 반환
+// 그래도 실패하면 상단 알림만 표시하고 진행 중인 삭제/복원은 그대로 계속함
+function saveTrash(list) {
+  let next = list;
+  for (;;) {
+    try {
+      localStorage.setItem(TRASH_STORAGE_KEY, JSON.stringify(next));
+      return next;
+    } catch (err) {
+      const oldestSnapshot = next.filter((t) => t.type === "snapshot").at(-1);
+      if (!oldestSnapshot) {
+        const msg = `휴지통을 저장하지 못했습니다 (${err?.message || err}). 백업 파일을 저장한 뒤 휴지통을 비워 저장 공간을 확보하세요.`;
+        if (!storageErrors.includes(msg)) storageErrors.push(msg);
+        renderStorageAlert();
+        return next;
+      }
+      next = next.filter((t) => t.id !== oldestSnapshot.id);
+    }
+  }
+}
+
+/** @returns {string} 휴지통 항목 id */
+function moveToTrash(item) {
+  const trashItem = { id: makeId(), deletedAt: Date.now(), ...item };
+  trash = [trashItem, ...trash];
+
+  // 오래된 스냅샷부터 정리
+  const snapshots = trash.filter((t) => t.type === "snapshot");
+  if (snapshots.length > TRASH_SNAPSHOT_LIMIT) {
+    const drop = new Set(snapshots.slice(TRASH_SNAPSHOT_LIMIT).map((t) => t.id));
+    trash = trash.filter((t) => !drop.has(t.id));
+  }
+
+  trash = saveTrash(trash);
+  // 저장 공간이 부족해 이 스냅샷까지 지웠으면 실행 취소 대상 없음
+  return trash.some((t) => t.id === trashItem.id) ? trashItem.id : null;
+}
+
+// 앱 데이터 묶음(getAppData) 전체를 휴지통에 스냅샷으로 보관 (데이터가 없으면 생략)
+function takeSnapshot(label) {
+  if (isAppDataEmpty(getAppData())) return null;
+  return moveToTrash({
+    type: "snapshot",
+    label: `${label} (내역 ${entries.length}건, 정산서 ${Object.keys(reportMap).length}건)`,
+    payload: JSON.parse(JSON.stringify(getAppData())),
+  });
+}
+
+function entryLabel(e) {
+  return [e.date, e.client, e.eventName, e.eventDetail].filter(Boolean).join(" · ");
+}
+
+function insertAt(list, index, item) {
+  const next = [...list];
+  const at = Number.isInteger(index) ? Math.min(Math.max(index, 0), next.length) : next.length;
+  next.splice(at, 0, item);
+  return next;
+}
+
+// 휴지통 항목을 원래 위치로 복원. 복원할 수 없으면 오류 메시지 (항목은 휴지통에 남음)
+function restoreTrashItem(id) {
+  const item = trash.find((t) => t.id === id);
+  if (!item) return "";
+
+  const lockedMonth =
+    item.type === "entry"
+      ? getEntryLockedMonth(item.payload)
+      : item.type === "additionalItem" || item.type === "guideOption"
+        ? isEventLocked(item.eventKey) && getEventSettlementMonth(item.eventKey)
+        : "";
+  if (lockedMonth) return formatMonthLockedError(lockedMonth);
+  // 삭제 후 같은 id/약칭의 계좌를 만든 경우 (id는 금액 필드 이름이라 바꿔서 복원할 수 없음)
+  if (item.type === "account") {
+    const error = accounts.some((a) => a.id === item.payload.id)
+      ? `같은 id(${item.payload.id})의 계좌가 이미 있어 "${item.payload.name}" 계좌를 복원할 수 없습니다.`
+      : validateAccount(item.payload);
+    if (error) return error;
+  }
+  if (item.type === "snapshot") {
+    const error = formatClosedMonthsReplaceError("스냅샷으로 복원");
+    if (error) return error;
+  }
+
+  if (item.type === "entry") {
+    if (!entries.some((e) => e.id === item.payload.id)) {
+      entries = [item.payload, ...entries];
+      saveEntries(entries);
+      const key = getEntryEventKey(item.payload);
+      if (key) ensureReportDefaults(key, item.payload.eventName);
+    }
+  }
+
+  if (item.type === "additionalItem" || item.type === "guideOption") {
+    const field = item.type === "additionalItem" ? "additionalItems" : "guideOptions";
+    ensureReportDefaults(item.eventKey, item.eventName || "");
+    const r = reportMap[item.eventKey];
+    const list = r[field] || [];
+    if (!list.some((x) => x.id === item.payload.id)) {
+      r[field] = insertAt(list, item.index, item.payload);
+      saveReportMap(reportMap);
+    }
+  }
+
+  if (item.type === "profitExpense") {
+    if (!profitState.expenses.some((x) => x.id === item.payload.id)) {
+      profitState.expenses = insertAt(profitState.expenses, item.index, item.payload);
+      saveProfitState(profitState);
+    }
+  }
+
+  if (item.type === "client") {
+    if (!clients.some((c) => c.id === item.payload.id)) {
+      clients = [...clients, item.payload];
+      saveClients(clients);
+    }
+  }
+
+  if (item.type === "account") {
+    accounts = insertAt(accounts, item.index, item.payload);
+    saveAccounts(accounts);
+  }
+
+  if (item.type === "exchangeRate") {
+    if (!rates.some((r) => r.id === item.payload.id)) {
+      rates = [...rates, item.payload];
+      saveRates(rates);
+    }
+  }
+
+  if (item.type === "reconciliation") {
+    if (!reconciliations.some((r) => r.id === item.payload.id)) {
+      reconciliations = [...reconciliations, item.payload];
+      saveReconciliations(reconciliations);
+    }
+  }
+
+  if (item.type === "statementLine") {
+    if (!statementState.queue.some((l) => l.id === item.payload.id)) {
+      statementState = { ...statementState, queue: [...statementState.queue, item.payload] };
+      saveStatementState(statementState);
+    }
+  }
+
+  if (item.type === "category") {
+    if (!categories.some((c) => c.id === item.payload.id)) {
+      categories = insertAt(categories, item.index, item.payload);
+      saveCategories(categories);
+    }
+  }
+
+  if (item.type === "guide") {
+    if (!guides.some((g) => g.id === item.payload.id)) {
+      guides = insertAt(guides, item.index, item.payload);
+      saveGuides(guides);
+    }
+  }
+
+  if (item.type === "snapshot") {
+    // 스냅샷 복원 전 현재 상태도 스냅샷으로 남김
+    takeSnapshot("스냅샷 복원 전 자동 보관");
+    setAppData(normalizeAppData(item.payload), `휴지통 스냅샷 복원: ${item.label}`);
+  }
+
+  trash = saveTrash(trash.filter((t) => t.id !== id));
+  return "";
+}
+
+function deleteTrashItem(id) {
+  trash = saveTrash(trash.filter((t) => t.id !== id));
+}
+
+let undoToastTimer = null;
+
+// 삭제 직후 "실행 취소" 안내 (시간이 지나면 휴지통에서만 복원 가능)
+function showUndoToast(message, trashId) {
+  const toast = $("undoToast");
+  $("undoToastMessage").textContent = message;
+  toast.dataset.trashId = trashId || "";
+  $("undoToastAction").hidden = !trashId;
+  toast.hidden = false;
+  clearTimeout(undoToastTimer);
+  undoToastTimer = setTimeout(hideUndoToast, UNDO_TOAST_MS);
+}
+
+function hideUndoToast() {
+  clearTimeout(undoToastTimer);
+  $("undoToast").hidden = true;
+  $("undoToast").dataset.trashId = "";
+}
+
+function renderTrash() {
+  $("btnOpenTrash").textContent = `휴지통 (${trash.length})`;
+
+  const tbody = $("trashTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  $("trashEmpty").hidden = trash.length > 0;
+
+  for (const t of trash) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td class="compact">${escapeHtml(new Date(t.deletedAt).toLocaleString("ko-KR"))}</td>
+      <td class="compact">${escapeHtml(TRASH_TYPE_LABELS[t.type])}</td>
+      <td class="compact">${escapeHtml(t.label || "-")}</td>
+      <td class="actions">
+        <div class="btnRow">
+          <button class="miniBtn" data-action="trash-restore" data-id="${t.id}" type="button">복원</button>
+          <button class="miniBtn miniBtn--danger" data-action="trash-purge" data-id="${t.id}" type="button">영구 삭제</button>
+        </div>
+      </td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+// --- 변경 기록 ---
+// 입력 내역/정산서/수익 저장 시 마지막 저장본과 비교해 바뀐 값을 기록 (추가만 하고 고치거나 지우지 않음)
+/** @typedef {{
+ *  id: string,
+ *  at: number,
+ *  scope: "entry" | "report" | "profit" | "data",
+ *  action: "create" | "update" | "delete" | "replace",
+ *  targetId: string, // 내역 id, 정산서 키, 수익 수입 키 또는 지출 id
+ *  eventKeys: string[], // 관련 행사 키 (행사별 보기용)
+ *  label: string, // 대상 설명
+ *  field: string, // 바뀐 항목 (추가/삭제는 "")
+ *  before: string,
+ *  after: string
+ * }} AuditRecord
+ */
+
+const AUDIT_SCOPE_LABELS = { entry: "입력 내역", report: "정산서", profit: "수익", data: "전체 데이터" };
+const AUDIT_ACTION_LABELS = { create: "추가", update: "수정", delete: "삭제", replace: "전체 교체" };
+// 변경 기록 창에 한 번에 표시하는 최대 건수 (전체는 CSV로)
+const AUDIT_RENDER_LIMIT = 500;
+
+const ENTRY_FIELD_LABELS = {
+  date: "날짜",
+  client: "거래처",
+  eventName: "행사명",
+  eventDetail: "행사내역",
+  eventKey: "행사 지정",
+  memo: "비고",
+  categoryId: "분류",
+  tags: "태그",
+  kind: "구분",
+  allocations: "배분",
+  clearedAccounts: "대사 확인",
+};
+
+// 정산서 숫자 필드 이름은 REPORT_FIELD_LABELS
+const REPORT_META_FIELD_LABELS = {
+  eventName: "행사명",
+  startDate: "행사 시작일",
+  endDate: "행사 종료일",
+  settlementMonth: "정산 월",
+  rateSource: "환율 출처",
+  rateDate: "환율표 날짜",
+  guideId: "가이드",
+  guideDailyRate: "가이드 일비 요율",
+  guideCommissionType: "가이드 컴 방식",
+  guideCommissionValue: "가이드 컴 값",
+  tourDays: "투어 일수",
+  guideOverrides: "직접 입력 필드",
+  guidePaidDate: "가이드 지급일",
+};
+
+// 정산서 안의 목록 필드: 항목 id 기준으로 비교
+const REPORT_ITEM_LISTS = {
+  additionalItems: { label: "추가 항목", nameField: "name", fields: { name: "항목명", income: "입금", expense: "지출" } },
+  guideOptions: {
+    label: "가이드 옵션",
+    nameField: "optionName",
+    fields: { optionName: "옵션명", salePrice: "판매가", costPrice: "원가", vendor: "업체", vendorId: "업체 (거래처)" },
+    formats: { vendorId: (id) => getVendorName(id) || id },
+  },
+};
+
+function loadAuditLog() {
+  try {
+    const raw = localStorage.getItem(AUDIT_STORAGE_KEY);
+    if (!raw) return [];
+    return normalizeAuditLog(JSON.parse(raw));
+  } catch (err) {
+    reportStorageError("변경 기록", AUDIT_STORAGE_KEY, err);
+    return [];
+  }
+}
+
+/** @returns {AuditRecord[]} */
+function normalizeAuditLog(parsed) {
+  return (Array.isArray(parsed) ? parsed : [])
+    .filter((r) => isPlainObject(r) && AUDIT_SCOPE_LABELS[r.scope] && AUDIT_ACTION_LABELS[r.action])
+    .map((r) => ({
+      id: String(r.id ?? makeId()),
+      at: Number(r.at ?? 0),
+      scope: r.scope,
+      action: r.action,
+      targetId: String(r.targetId ?? ""),
+      eventKeys: (Array.isArray(r.eventKeys) ? r.eventKeys : []).map(String),
+      label: String(r.label ?? ""),
+      field: String(r.field ?? ""),
+      before: String(r.before ?? ""),
+      after: String(r.after ?? ""),
+    }));
+}
+
+// 기록 저장이 실패해도 이미 저장된 본 데이터와 진행 중인 작업은 그대로 두고 상단 알림으로만 표시
+function saveAuditLog(list) {
+  try {
+    localStorage.setItem(AUDIT_STORAGE_KEY, JSON.stringify(list));
+  } catch (err) {
+    const msg = `변경 기록을 저장하지 못했습니다 (${err?.message || err}). 변경 기록을 CSV로 저장하고 백업한 뒤 저장 공간을 확인하세요.`;
+    if (!storageErrors.includes(msg)) storageErrors.push(msg);
+    renderStorageAlert();
+  }
+}
+
+
+function makeAuditRecord(scope, action, fields) {
+  return { id: makeId(), at: Date.now(), scope, action, targetId: "", eventKeys: [], label: "", field: "", before: "", after: "", ...fields };
+}
+
+function appendAuditRecords(records) {
+  if (records.length === 0) return;
+  auditLog.push(...records);
+  saveAuditLog(auditLog);
+}
+
+// 백업의 기록을 합침 (같은 id는 한 번만, 시간순)
+function mergeAuditLog(list) {
+  const ids = new Set(auditLog.map((r) => r.id));
+  const added = list.filter((r) => !ids.has(r.id));
+  if (added.length === 0) return;
+  auditLog = [...auditLog, ...added].sort((a, b) => a.at - b.at);
+  saveAuditLog(auditLog);
+}
+
+function cloneJson(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// 비교 기준: 마지막으로 저장한 내역/정산서/수익
+function captureAuditBaseline() {
+  return {
+    entries: new Map(entries.map((e) => [e.id, cloneJson(e)])),
+    reportMap: cloneJson(reportMap),
+    profitState: cloneJson(profitState),
+  };
+}
+
+// 전체 교체(복원/전체 삭제) 중에는 항목별로 비교하지 않음
+let auditPaused = false;
+
+function isSameAuditValue(a, b) {
+  return JSON.stringify(a ?? "") === JSON.stringify(b ?? "");
+}
+
+function formatAuditNumber(value) {
+  return value === null || value === undefined || value === "" ? "" : formatNumberKRW(toFloat(value));
+}
+
+function formatEntryAuditValue(field, value) {
+  if (value === null || value === undefined || value === "") return "";
+  if (AMOUNT_FIELD_PATTERN.test(field)) return formatAuditNumber(value);
+  if (field === "categoryId") return getCategoryName(value) || value;
+  if (field === "tags") return formatTags(value);
+  if (field === "kind") return value === "transfer" ? "이체/환전" : String(value);
+  if (field === "eventKey") return reportMap[value]?.eventName || value;
+  if (field === "allocations") return describeAllocations({ allocations: value });
+  if (field === "clearedAccounts") return value.map((id) => accounts.find((a) => a.id === id)?.shortName || id).join(", ");
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function describeEntryAmounts(e) {
+  return getEntryUsedAmountFields(e)
+    .map((field) => `${getAmountFieldLabel(field)} ${formatAuditNumber(e[field])}`)
+    .join(", ");
+}
+
+function getEntryAuditEventKeys(...list) {
+  return [...new Set(list.flatMap((e) => getEntryEventShares(e).map((s) => s.eventKey)))];
+}
+
+function diffEntriesForAudit(prevById, list) {
+  const records = [];
+  const seen = new Set();
+  for (const e of list) {
+    seen.add(e.id);
+    const prev = prevById.get(e.id);
+    if (!prev) {
+      records.push(makeAuditRecord("entry", "create", { targetId: e.id, eventKeys: getEntryAuditEventKeys(e), label: entryLabel(e), after: describeEntryAmounts(e) }));
+      continue;
+    }
+    const eventKeys = getEntryAuditEventKeys(prev, e);
+    for (const field of new Set([...Object.keys(prev), ...Object.keys(e)])) {
+      if (field === "id" || field === "createdAt" || field === "updatedAt") continue;
+      const amount = AMOUNT_FIELD_PATTERN.test(field);
+      if (amount ? toFloat(prev[field]) === toFloat(e[field]) : isSameAuditValue(prev[field], e[field])) continue;
+      records.push(
+        makeAuditRecord("entry", "update", {
+          targetId: e.id,
+          eventKeys,
+          label: entryLabel(e),
+          field: amount ? getAmountFieldLabel(field) : ENTRY_FIELD_LABELS[field] || field,
+          before: formatEntryAuditValue(field, prev[field]),
+          after: formatEntryAuditValue(field, e[field]),
+        }),
+      );
+    }
+  }
+  for (const [id, prev] of prevById) {
+    if (seen.has(id)) continue;
+    records.push(makeAuditRecord("entry", "delete", { targetId: id, eventKeys: getEntryAuditEventKeys(prev), label: entryLabel(prev), before: describeEntryAmounts(prev) }));
+  }
+  return records;
+}
+
+function recordEntryAudit(list) {
+  if (auditPaused) return;
+  appendAuditRecords(diffEntriesForAudit(auditBaseline.entries, list));
+  auditBaseline.entries = new Map(list.map((e) => [e.id, cloneJson(e)]));
+}
+
+function formatReportAuditValue(field, value) {
+  if (REPORT_NUMBER_FIELDS.includes(field)) return formatAuditNumber(value);
+  if (field === "rateSource") return value || "직접 입력";
+  if (field === "guideId") return value ? getGuideName(value) || value : "";
+  if (field === "guideCommissionType") return value === "fixed" ? "고정 금액" : "옵션 수익 %";
+  if (field === "guideOverrides") return (value || []).map((f) => REPORT_FIELD_LABELS[f] || f).join(", ");
+  return value === null || value === undefined ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function getReportAuditLabel(key, r) {
+  return [key.includes("::") ? key.split("::")[0] : "", r.eventName || key].filter(Boolean).join(" · ");
+}
+
+function formatReportItemValue(spec, field, value) {
+  if (spec.formats?.[field]) return spec.formats[field](value);
+  return typeof value === "number" ? formatAuditNumber(value) : String(value ?? "");
+}
+
+function describeReportItem(item, spec) {
+  return Object.entries(spec.fields)
+    .filter(([field]) => item[field] !== "" && item[field] !== 0 && item[field] !== undefined)
+    .map(([field, name]) => `${name} ${formatReportItemValue(spec, field, item[field])}`)
+    .join(", ");
+}
+
+function diffReportItemsForAudit(base, prevItems, items, spec) {
+  const records = [];
+  const prevById = new Map((prevItems || []).map((item) => [item.id, item]));
+  const ids = new Set();
+  for (const item of items || []) {
+    ids.add(item.id);
+    const prev = prevById.get(item.id);
+    if (!prev) {
+      records.push(makeAuditRecord("report", "create", { ...base, field: spec.label, after: describeReportItem(item, spec) }));
+      continue;
+    }
+    for (const [field, name] of Object.entries(spec.fields)) {
+      if (isSameAuditValue(prev[field], item[field])) continue;
+      records.push(
+        makeAuditRecord("report", "update", {
+          ...base,
+          field: `${spec.label} "${item[spec.nameField] || prev[spec.nameField] || "-"}" ${name}`,
+          before: formatReportItemValue(spec, field, prev[field]),
+          after: formatReportItemValue(spec, field, item[field]),
+        }),
+      );
+    }
+  }
+  for (const prev of prevItems || []) {
+    if (!ids.has(prev.id)) records.push(makeAuditRecord("report", "delete", { ...base, field: spec.label, before: describeReportItem(prev, spec) }));
+  }
+  return records;
+}
+
+function diffReportsForAudit(prevMap, map) {
+  const records = [];
+  for (const [key, r] of Object.entries(map)) {
+    const base = { targetId: key, eventKeys: [key], label: getReportAuditLabel(key, r) };
+    const prev = prevMap[key];
+    if (!prev) {
+      records.push(makeAuditRecord("report", "create", base));
+      continue;
+    }
+    for (const field of new Set([...Object.keys(prev), ...Object.keys(r)])) {
+      if (REPORT_ITEM_LISTS[field]) {
+        records.push(...diffReportItemsForAudit(base, prev[field], r[field], REPORT_ITEM_LISTS[field]));
+        continue;
+      }
+      if (isSameAuditValue(prev[field], r[field])) continue;
+      records.push(
+        makeAuditRecord("report", "update", {
+          ...base,
+          field: REPORT_FIELD_LABELS[field] || REPORT_META_FIELD_LABELS[field] || field,
+          before: formatReportAuditValue(field, prev[field]),
+          after: formatReportAuditValue(field, r[field]),
+        }),
+      );
+    }
+  }
+  for (const [key, prev] of Object.entries(prevMap)) {
+    if (!map[key]) records.push(makeAuditRecord("report", "delete", { targetId: key, eventKeys: [key], label: getReportAuditLabel(key, prev) }));
+  }
+  return records;
+}
+
+function recordReportAudit(map) {
+  if (auditPaused) return;
+  appendAuditRecords(diffReportsForAudit(auditBaseline.reportMap, map));
+  auditBaseline.reportMap = cloneJson(map);
+}
+
+// 수익: 자동으로 따라가는 행사 목록/월은 빼고, 직접 바꾸는 포함 여부/금액 직접 입력과 지출만
+function diffProfitForAudit(prev, state) {
+  const records = [];
+  const formatOverride = (v) => (v === null || v === undefined ? "자동" : formatAuditNumber(v));
+  for (const [key, v] of Object.entries(state.incomes)) {
+    const old = prev.incomes[key];
+    if (!old) continue;
+    const base = { targetId: key, eventKeys: [key], label: [v.month, v.eventName].filter(Boolean).join(" · ") };
+    if (Boolean(old.enabled) !== Boolean(v.enabled)) {
+      records.push(makeAuditRecord("profit", "update", { ...base, field: "수입 포함", before: old.enabled ? "포함" : "제외", after: v.enabled ? "포함" : "제외" }));
+    }
+    if (!isSameAuditValue(old.amountOverride, v.amountOverride)) {
+      records.push(makeAuditRecord("profit", "update", { ...base, field: "수입 금액", before: formatOverride(old.amountOverride), after: formatOverride(v.amountOverride) }));
+    }
+  }
+  const prevExpenses = new Map(prev.expenses.map((e) => [e.id, e]));
+  const ids = new Set();
+  for (const e of state.expenses) {
+    ids.add(e.id);
+    const old = prevExpenses.get(e.id);
+    const base = { targetId: e.id, label: `지출 ${e.label || "-"}` };
+    if (!old) {
+      records.push(makeAuditRecord("profit", "create", { ...base, after: formatAuditNumber(e.amount) }));
+      continue;
+    }
+    if (old.label !== e.label) records.push(makeAuditRecord("profit", "update", { ...base, field: "지출 항목", before: old.label, after: e.label }));
+    if (toFloat(old.amount) !== toFloat(e.amount)) {
+      records.push(makeAuditRecord("profit", "update", { ...base, field: "지출 금액", before: formatAuditNumber(old.amount), after: formatAuditNumber(e.amount) }));
+    }
+  }
+  for (const old of prev.expenses) {
+    if (!ids.has(old.id)) records.push(makeAuditRecord("profit", "delete", { targetId: old.id, label: `지출 ${old.label || "-"}`, before: formatAuditNumber(old.amount) }));
+  }
+  return records;
+}
+
+function recordProfitAudit(state) {
+  if (auditPaused) return;
+  appendAuditRecords(diffProfitForAudit(auditBaseline.profitState, state));
+  auditBaseline.profitState = cloneJson(state);
+}
+
+function describeAppDataForAudit(data) {
+  return `입력 내역 ${data.entries.length}건 · 정산서 ${Object.keys(data.reportMap).length}건 · 수익 지출 ${data.profitState.expenses.length}건`;
+}
+
+// 변경 기록 창 필터. eventKey/entryId가 있으면 그 행사/내역의 기록만
+let auditFilter = emptyAuditFilter();
+
+function emptyAuditFilter() {
+  return { scope: "", from: "", to: "", text: "", eventKey: "", entryId: "" };
+}
+
+function filterAuditLog(list, filter) {
+  const text = safeTrim(filter.text).toLowerCase();
+  return list.filter((r) => {
+    if (filter.eventKey && !r.eventKeys.includes(filter.eventKey)) return false;
+    if (filter.entryId && !(r.scope === "entry" && r.targetId === filter.entryId)) return false;
+    if (filter.scope && r.scope !== filter.scope) return false;
+    const date = formatLocalDate(new Date(r.at));
+    if (filter.from && date < filter.from) return false;
+    if (filter.to && date > filter.to) return false;
+    if (text && ![r.label, r.field, r.before, r.after].some((v) => v.toLowerCase().includes(text))) return false;
+    return true;
+  });
+}
+
+function getAuditContextTitle(filter) {
+  if (filter.eventKey) return `변경 기록 - ${reportMap[filter.eventKey]?.eventName || filter.eventKey}`;
+  if (filter.entryId) {
+    const e = entries.find((x) => x.id === filter.entryId);
+    const last = [...auditLog].reverse().find((r) => r.scope === "entry" && r.targetId === filter.entryId);
+    return `변경 기록 - ${e ? entryLabel(e) : last?.label || "삭제된 내역"}`;
+  }
+  return "변경 기록";
+}
+
+function renderAuditLog() {
+  const list = filterAuditLog(auditLog, auditFilter);
+  const context = Boolean(auditFilter.eventKey || auditFilter.entryId);
+  $("auditTitle").textContent = getAuditContextTitle(auditFilter);
+  $("btnAuditShowAll").hidden = !context;
+  $("auditFilterScope").value = auditFilter.scope;
+  $("auditFilterFrom").value = auditFilter.from;
+  $("auditFilterTo").value = auditFilter.to;
+  $("auditFilterText").value = auditFilter.text;
+  $("auditCount").textContent = `${list.length}건`;
+
+  const tbody = $("auditTable").querySelector("tbody");
+  tbody.innerHTML = "";
+  for (const r of list.slice(-AUDIT_RENDER_LIMIT).reverse()) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td class="compact">${escapeHtml(new Date(r.at).toLocaleString("ko-KR"))}</td>
+      <td class="compact">${escapeHtml(AUDIT_SCOPE_LABELS[r.scope])}</td>
+      <td class="compact">${escapeHtml(AUDIT_ACTION_LABELS[r.action])}</td>
+      <td>${escapeHtml(r.label || "-")}</td>
+      <td>${escapeHtml(r.field)}</td>
+      <td>${escapeHtml(r.before)}</td>
+      <td>${escapeHtml(r.after)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+  $("auditEmpty").hidden = list.length > 0 && list.length <= AUDIT_RENDER_LIMIT;
+  $("auditEmpty").textContent = list.length === 0 ? "기록이 없습니다." : `최근 ${AUDIT_RENDER_LIMIT}건만 표시합니다. 전체는 CSV로 저장하세요.`;
+}
+
+// context: { eventKey } 또는 { entryId }로 열면 그 대상의 기록만 표시
+function openAuditDialog(context = {}) {
+  auditFilter = { ...emptyAuditFilter(), ...context };
+  renderAuditLog();
+  $("auditDialog").showModal();
+}
+
+function exportAuditCsv(filter) {
+  const list = filterAuditLog(auditLog, filter);
+  const rows = [["시각", "대상", "작업", "내용", "항목", "변경 전", "변경 후", "대상 id"]];
+  for (const r of list) {
+    rows.push([
+      new Date(r.at).toLocaleString("ko-KR"),
+      AUDIT_SCOPE_LABELS[r.scope],
+      AUDIT_ACTION_LABELS[r.action],
+      r.label,
+      r.field,
+      r.before,
+      r.after,
+      r.targetId,
+    ]);
+  }
+  const escapeCell = (v) => {
+    const s = String(v ?? "");
+    if (/[",\n\r]/.test(s)) return `"${s.replaceAll('"', '""')}"`;
+    return s;
+  };
+  const stamp = new Date().toISOString().slice(0, 10).replaceAll("-", "");
+  downloadTextFile(`변경기록_${stamp}.csv`, "\uFEFF" + rows.map((r) => r.map(escapeCell).join(",")).join("\n"));
+}
+
+// --- 앱 데이터 묶음 (백업/스냅샷/복원 공용) ---
+// 새 저장소를 추가하면 아래 함수들과 mergeBackup에 함께 등록
+function getAppData() {
+  return { entries, reportMap, profitState, clients, accounts, rates, reconciliations, statementState, categories, monthCloseState, guides };
+}
+
+// 빠진 저장소는 빈 값으로 채움
+function normalizeAppData(data) {
+  const src = isPlainObject(data) ? data : {};
+  const normalizedEntries = normalizeEntries(src.entries);
+  return {
+    entries: normalizedEntries,
+    reportMap: normalizeReportMap(src.reportMap),
+    profitState: normalizeProfitState(src.profitState),
+    clients: normalizeClients(src.clients),
+    accounts: ensureAccountsForEntries(normalizeAccounts(src.accounts), normalizedEntries),
+    rates: normalizeRates(src.rates),
+    reconciliations: normalizeReconciliations(src.reconciliations),
+    statementState: normalizeStatementState(src.statementState),
+    // 분류가 없던 예전 백업은 기본 분류로
+    categories: Array.isArray(src.categories) ? normalizeCategories(src.categories) : defaultCategories(),
+    monthCloseState: normalizeMonthCloseState(src.monthCloseState),
+    guides: normalizeGuides(src.guides),
+  };
+}
+
+// 전체 삭제 직후와 같은 상태인지 (기본 계좌/분류만 있고 나머지 저장소는 비어 있음)
+function isAppDataEmpty(data) {
+  const defaultCategoryNames = DEFAULT_CATEGORY_NAMES.map((name) => [name, true]);
+  return (
+    data.entries.length === 0 &&
+    Object.keys(data.reportMap).length === 0 &&
+    Object.keys(data.profitState.incomes).length === 0 &&
+    data.profitState.expenses.length === 0 &&
+    data.clients.length === 0 &&
+    JSON.stringify(data.accounts) === JSON.stringify(normalizeAccounts(defaultAccounts())) &&
+    data.rates.length === 0 &&
+    data.reconciliations.length === 0 &&
+    Object.keys(data.statementState.mappings).length === 0 &&
+    data.statementState.queue.length === 0 &&
+    JSON.stringify(data.categories.map((c) => [c.name, c.active])) === JSON.stringify(defaultCategoryNames) &&
+    Object.keys(data.monthCloseState.closed).length === 0 &&
+    data.monthCloseState.log.length === 0 &&
+    data.guides.length === 0
+  );
+}
+
+// reason: 변경 기록에 남길 교체 사유
+function setAppData(next, reason) {
+  const before = describeAppDataForAudit(getAppData());
+  // 항목별 비교 대신 교체 한 건으로 기록
+  auditPaused = true;
+  try {
+    writeAppData(next);
+  } finally {
+    auditPaused = false;
+  }
+  auditBaseline = captureAuditBaseline();
+  appendAuditRecords([makeAuditRecord("data", "replace", { label: reason, before, after: describeAppDataForAudit(next) })]);
+  if (selectedEventKey && !reportMap[selectedEventKey]) selectedEventKey = null;
+  if (selectedClientId && !clients.some((c) => c.id === selectedClientId)) selectedClientId = null;
+  resetEntryForm();
+}
+
+function writeAppData(next) {
+  entries = next.entries;
+  saveEntries(entries);
+  reportMap = next.reportMap;
+  saveReportMap(reportMap);
+  profitState = next.profitState;
+  saveProfitState(profitState);
+  clients = next.clients;
+  saveClients(clients);
+  accounts = next.accounts;
+  saveAccounts(accounts);
+  rates = next.rates;
+  saveRates(rates);
+  reconciliations = next.reconciliations;
+  saveReconciliations(reconciliations);
+  statementState = next.statementState;
+  saveStatementState(statementState);
+  categories = next.categories;
+  saveCategories(categories);
+  // 마감 기록은 교체해도 지금까지의 기록을 남기고 새 기록과 합침 (변경 기록과 같음)
+  const closeLogIds = new Set(next.monthCloseState.log.map((l) => l.id));
+  monthCloseState = {
+    closed: next.monthCloseState.closed,
+    log: [...monthCloseState.log.filter((l) => !closeLogIds.has(l.id)), ...next.monthCloseState.log].sort((a, b) => a.at - b.at),
+  };
+  saveMonthCloseState(monthCloseState);
+  guides = next.guides;
+  saveGuides(guides);
+}
+
+// --- 백업/복원 (전체 저장소를 JSON 한 파일로) ---
+function buildBackup() {
+  return {
+    app: BACKUP_APP_ID,
+    version: BACKUP_FORMAT_VERSION,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: getAppData(),
+    // 변경 기록은 스냅샷/덮어쓰기 대상이 아니라서 데이터 묶음 밖에 둠
+    auditLog,
+  };
+}
+
+function exportBackupFile() {
+  const stamp = new Date().toISOString().slice(0, 10).replaceAll("-", "");
+  downloadTextFile(`soo_money_check_backup_${stamp}.json`, JSON.stringify(buildBackup(), null, 2));
+}
+
+// 백업 파일 검증 후 정리된 데이터 반환 (실패 시 error 메시지)
+function parseBackupFile(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return { error: "JSON 파일을 읽을 수 없습니다." };
+  }
+  if (!parsed || typeof parsed !== "object" || parsed.app !== BACKUP_APP_ID) {
+    return { error: "Soo Money Check 백업 파일이 아닙니다." };
+  }
+  const version = Number(parsed.version);
+  if (!Number.isInteger(version) || version < 1 || version > BACKUP_FORMAT_VERSION) {
+    return { error: `지원하지 않는 백업 형식 버전입니다: ${parsed.version}` };
+  }
+  const data = parsed.data;
+  if (!data || typeof data !== "object") return { error: "백업 데이터가 비어 있습니다." };
+  if (!Array.isArray(data.entries)) return { error: "백업에 입력 내역(entries)이 없습니다." };
+  if (!data.reportMap || typeof data.reportMap !== "object") return { error: "백업에 정산서 데이터(reportMap)가 없습니다." };
+  if (!data.profitState || typeof data.profitState !== "object") return { error: "백업에 수익 데이터(profitState)가 없습니다." };
+
+  return {
+    error: "",
+    exportedAt: String(parsed.exportedAt ?? ""),
+    ...normalizeAppData(data),
+    auditLog: normalizeAuditLog(parsed.auditLog),
+  };
+}
+
+// 병합: 같은 id의 내역은 더 최근에 수정된 쪽, 정산서/수익은 현재 데이터 우선으로 없는 것만 추가
+function mergeBackup(backup) {
+  const byId = new Map(entries.map((e) => [e.id, e]));
+  for (const e of backup.entries) {
+    const current = byId.get(e.id);
+    if (!current || (e.updatedAt ?? 0) > (current.updatedAt ?? 0)) byId.set(e.id, e);
+  }
+
+  const mergedReports = { ...backup.reportMap, ...reportMap };
+  const mergedIncomes = { ...backup.profitState.incomes, ...profitState.incomes };
+  const expenseIds = new Set(profitState.expenses.map((e) => e.id));
+  const mergedExpenses = [
+    ...profitState.expenses,
+    ...backup.profitState.expenses.filter((e) => !expenseIds.has(e.id)),
+  ];
+  const clientIds = new Set(clients.map((c) => c.id));
+  const accountIds = new Set(accounts.map((a) => a.id));
+  const rateIds = new Set(rates.map((r) => r.id));
+  const reconcileIds = new Set(reconciliations.map((r) => r.id));
+  const queueIds = new Set(statementState.queue.map((l) => l.id));
+  const categoryIds = new Set(categories.map((c) => c.id));
+  const closeLogIds = new Set(monthCloseState.log.map((l) => l.id));
+  const guideIds = new Set(guides.map((g) => g.id));
+  const mergedEntries = [...byId.values()];
+
+  return {
+    entries: mergedEntries,
+    reportMap: mergedReports,
+    profitState: { incomes: mergedIncomes, expenses: mergedExpenses },
+    clients: [...clients, ...backup.clients.filter((c) => !clientIds.has(c.id))],
+    accounts: ensureAccountsForEntries([...accounts, ...backup.accounts.filter((a) => !accountIds.has(a.id))], mergedEntries),
+    rates: [...rates, ...backup.rates.filter((r) => !rateIds.has(r.id))],
+    reconciliations: [...reconciliations, ...backup.reconciliations.filter((r) => !reconcileIds.has(r.id))],
+    statementState: {
+      mappings: { ...backup.statementState.mappings, ...statementState.mappings },
+      queue: [...statementState.queue, ...backup.statementState.queue.filter((l) => !queueIds.has(l.id))],
+    },
+    categories: [...categories, ...backup.categories.filter((c) => !categoryIds.has(c.id))],
+    // 마감은 어느 한쪽이라도 마감했으면 마감으로 유지
+    monthCloseState: {
+      closed: { ...backup.monthCloseState.closed, ...monthCloseState.closed },
+      log: [...monthCloseState.log, ...backup.monthCloseState.log.filter((l) => !closeLogIds.has(l.id))].sort((a, b) => a.at - b.at),
+    },
+    guides: [...guides, ...backup.guides.filter((g) => !guideIds.has(g.id))],
+  };
+}
+
+function applyRestoredState(next, reason) {
+  setAppData(next, reason);
+  rerenderAllPreserveFocus();
+}
+
+function openRestoreDialog(filename, backup) {
+  const dialog = $("restoreDialog");
+  $("restoreTitle").textContent = `백업 복원 - ${filename}`;
+  const exportedAt = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString("ko-KR") : "-";
+  $("restoreBody").textContent =
+    `백업 시각: ${exportedAt} · 입력 내역 ${backup.entries.length}건 · 정산서 ${Object.keys(backup.reportMap).length}건 · 수익 지출 ${backup.profitState.expenses.length}건 · 거래처 ${backup.clients.length}곳 · 계좌 ${backup.accounts.length}개 · 환율 ${backup.rates.length}건 · 대사 기록 ${backup.reconciliations.length}건 · 명세서 대기 ${backup.statementState.queue.length}건 · 분류 ${backup.categories.length}개 · 마감 ${Object.keys(backup.monthCloseState.closed).length}개월 · 가이드 ${backup.guides.length}명 · 변경 기록 ${backup.auditLog.length}건. ` +
+    "덮어쓰기는 현재 데이터를 모두 지우고 백업으로 바꿉니다. 병합은 현재 데이터를 유지하고 백업에만 있는 항목을 추가합니다. 변경 기록은 어느 쪽이든 합쳐서 보존합니다.";
+
+  dialog.returnValue = "";
+  dialog.showModal();
+  return new Promise((resolve) => {
+    const onClose = () => {
+      dialog.removeEventListener("close", onClose);
+      resolve(dialog.returnValue);
+    };
+    dialog.addEventListener("close", onClose);
+  });
+}
+
+// --- UI 전체 렌더링 ---
+function rerenderAll() {
+  renderInvalidDateNotice();
+  renderEntryAccountInputs();
+  renderEntryCategoryOptions();
+  renderEntryFilterAccountOptions();
+  renderEntryTable(entries);
+  renderEventAssignOptions();
+  renderMonthlyExportButtons();
+  renderEventList();
+  renderReportDetail();
+  renderProfitTab();
+  renderClientTab();
+  renderAccountTab();
+  renderRateTab();
+  renderReconcileTab();
+  renderStatementTab();
+  renderCategoryTab();
+  renderGuideTab();
+  renderGuidePayouts();
+  renderVendorDirectory();
+  renderPayables();
+  renderTrash();
+  // 저장할 때마다 사용량이 바뀌므로 저장 공간 경고도 함께
+  renderStorageAlert();
+}
+
+function rerenderAllPreserveFocus() {
+  const activeEl = document.activeElement;
+  const activeId = activeEl?.id || null;
+  const activeDataAction = activeEl?.dataset?.action || null;
+  const activeDataId = activeEl?.dataset?.id || null;
+  const activeDataKey = activeEl?.dataset?.key || null;
+
+  rerenderAll();
+
+  // 포커스 복원 시도
+  if (activeId) {
+    try {
+      $(activeId)?.focus();
+    } catch {}
+  } else if (activeDataAction) {
+    const selector = `[data-action="${activeDataAction}"]${activeDataId ? `[data-id="${activeDataId}"]` : ""}${activeDataKey ? `[data-key="${activeDataKey}"]` : ""}`;
+    const el = document.querySelector(selector);
+    if (el instanceof HTMLElement) el.focus();
+  }
+}
+
+// --- 입력 폼 (신규/수정 모드) ---
+let editingEntryId = null;
+let renderedEntryAccountsKey = "";
+
+// 계좌별 입금/지출 입력칸: 사용 중인 계좌 + 수정 중인 항목에 금액이 있는 계좌
+// 계좌 구성이 바뀔 때만 다시 그리며, 입력 중이던 값은 유지
+function renderEntryAccountInputs() {
+  const editing = editingEntryId ? entries.find((e) => e.id === editingEntryId) : null;
+  const visible = accounts.filter((a) => a.active || (editing && accountHasEntries(a.id, [editing])));
+  const key = JSON.stringify(visible.map((a) => [a.id, a.name, a.currency]));
+  if (key === renderedEntryAccountsKey) return;
+  renderedEntryAccountsKey = key;
+
+  const form = $("entryForm");
+  const values = {};
+  for (const input of form.querySelectorAll("input[data-amount]")) values[input.name] = input.value;
+  const amountInput = (field) =>
+    `<input class="input" name="${field}" data-amount type="number" min="0" step="any" value="${escapeHtml(values[field] ?? "0")}" />`;
+
+  $("entryAccountInputs").innerHTML = visible
+    .map(
+      (a) => `
+      <div class="currency-section">
+        <h3 class="currency-title">${escapeHtml(a.name)} (${escapeHtml(a.currency)})</h3>
+        <div class="currency-inputs">
+          <label class="field">
+            <span class="field__label">입금</span>
+            ${amountInput(`${a.id}Income`)}
+          </label>
+          <label class="field">
+            <span class="field__label">지출</span>
+            ${amountInput(`${a.id}Expense`)}
+          </label>
+        </div>
+      </div>
+    `,
+    )
+    .join("");
+}
+
+function resetEntryForm() {
+  const form = $("entryForm");
+  form.reset();
+  editingEntryId = null;
+  renderEntryAccountInputs();
+  // 기본값 유지
+  for (const input of form.querySelectorAll("input[data-amount]")) input.value = "0";
+  showEntryDateError("");
+  $("entryFormTitle").textContent = "거래 입력";
+  $("btnSubmitEntry").textContent = "저장";
+  $("btnCancelEdit").hidden = true;
+}
+
+function showEntryDateError(message) {
+  const input = $("entryForm").querySelector('input[name="date"]');
+  input.classList.toggle("input--invalid", Boolean(message));
+  input.setAttribute("aria-invalid", message ? "true" : "false");
+  $("entryDateError").textContent = message;
+  $("entryDateError").hidden = !message;
+}
+
+// 저장된 항목을 입력 폼으로 불러와 수정 모드로 전환 (id, createdAt 유지)
+function startEditEntry(id) {
+  const entry = entries.find((e) => e.id === id);
+  if (!entry) return;
+  const lockedMonth = getEntryLockedMonth(entry);
+  if (lockedMonth) {
+    showUndoToast(formatMonthLockedError(lockedMonth));
+    return;
+  }
+  if (entry.kind === "transfer") {
+    editTransfer(entry);
+    return;
+  }
+  const form = $("entryForm");
+  editingEntryId = id;
+  renderEntryAccountInputs();
+  for (const field of ["date", "client", "eventName", "eventDetail", "memo"]) {
+    form.querySelector(`input[name="${field}"]`).value = String(entry[field] ?? "");
+  }
+  for (const input of form.querySelectorAll("input[data-amount]")) input.value = String(toFloat(entry[input.name]));
+  form.querySelector('select[name="eventKey"]').value = reportMap[entry.eventKey] ? entry.eventKey : "";
+  renderEntryCategoryOptions();
+  form.querySelector('select[name="categoryId"]').value = entry.categoryId;
+  form.querySelector('input[name="tags"]').value = entry.tags.join(", ");
+  $("entryFormTitle").textContent = `거래 수정 (${entry.date})`;
+  $("btnSubmitEntry").textContent = "수정 저장";
+  $("btnCancelEdit").hidden = false;
+  switchTab("entry");
+  form.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+// 입력 폼의 행사 직접 지정 목록 (정산 월별로 묶음, 선택값 유지)
+function renderEventAssignOptions() {
+  const select = $("entryForm").querySelector('select[name="eventKey"]');
+  const current = select.value;
+
+  const byMonth = {};
+  for (const ev of getEventNamesFromEntries()) {
+    const ym = ev.month || "기타";
+    if (!byMonth[ym]) byMonth[ym] = [];
+    byMonth[ym].push(ev);
+  }
+  const groups = Object.keys(byMonth)
+    .sort()
+    .reverse()
+    .map((ym) => {
+      const options = byMonth[ym]
+        .sort((a, b) => a.name.localeCompare(b.name, "ko"))
+        .map((ev) => {
+          const period = formatEventPeriod(reportMap[ev.key]);
+          return `<option value="${escapeHtml(ev.key)}">${escapeHtml(ev.name)}${period ? ` (${period})` : ""}</option>`;
+        })
+        .join("");
+      return `<optgroup label="${ym}">${options}</optgroup>`;
+    });
+  select.innerHTML = `<option value="">자동 (행사명·기간 기준)</option>${groups.join("")}`;
+  select.value = reportMap[current] ? current : "";
+}
+
+// 탭 이름 -> 탭 버튼/패널 id
+const TABS = {
+  entry: { tab: "tabEntry", panel: "panelEntry" },
+  report: { tab: "tabReport", panel: "panelReport" },
+  profit: { tab: "tabProfit", panel: "panelProfit" },
+  client: { tab: "tabClient", panel: "panelClient" },
+  account: { tab: "tabAccount", panel: "panelAccount" },
+  category: { tab: "tabCategory", panel: "panelCategory" },
+  guide: { tab: "tabGuide", panel: "panelGuide" },
+  vendor: { tab: "tabVendor", panel: "panelVendor" },
+};
+
+function switchTab(tab) {
+  for (const [name, ids] of Object.entries(TABS)) {
+    const active = name === tab;
+    $(ids.tab).classList.toggle("tab--active", active);
+    $(ids.tab).setAttribute("aria-selected", active ? "true" : "false");
+    $(ids.panel).classList.toggle("panel--active", active);
+  }
+}
+
+// --- 저장소 스키마 버전 / 마이그레이션 ---
+// 앱 시작 시 init() 전에 실행. 저장된 스키마 버전부터 순서대로 적용하며,
+// 적용 전 원본 값을 MIGRATION_BACKUP_KEY에 보관하고 실패하면 원본으로 되돌림 (앱이 정상적으로 열리면 보관본은 지움).
+// 단계는 기존 데이터로 새 저장소를 채우는 등 저장된 형태가 실제로 바뀔 때만 추가.
+// 새 필드나 빈 저장소는 load*/normalize*가 읽을 때 채우므로 단계가 필요 없음.
+
+// v2: 스키마 버전을 기록하기 전의 원래 저장 형태 (STORAGE_KEY/REPORT_STORAGE_KEY/PROFIT_STORAGE_KEY만 사용)
+const BASELINE_SCHEMA_VERSION = 2;
+
+const MIGRATIONS = [
+  { version: 4, description: "기존 내역의 거래처로 거래처 목록 생성", migrate: migrateV3ToV4 },
+  { version: 6, description: "고정 4개 통화 열을 계좌 목록으로 전환", migrate: migrateV5ToV6 },
+  { version: 12, description: "기본 분류 목록 생성", migrate: migrateV11ToV12 },
+];
+
+// 저장소 읽기 실패를 기록하고, 이후 저장으로 덮어써지기 전에 원본을 따로 보관
+function reportStorageError(label, key, err) {
+  const raw = localStorage.getItem(key);
+  const rescueKey = `${key}__unreadable`;
+  if (raw !== null && localStorage.getItem(rescueKey) === null) {
+    try {
+      localStorage.setItem(rescueKey, raw);
+    } catch {}
+  }
+  storageErrors.push(`${label} 데이터를 읽지 못했습니다 (${err?.message || err}). 원본은 "${rescueKey}"에 보관했습니다.`);
+}
+
+function readJsonKey(key) {
+  const raw = localStorage.getItem(key);
+  return raw === null ? null : JSON.parse(raw);
+}
+
+function detectSchemaVersion() {
+  const stored = localStorage.getItem(SCHEMA_VERSION_KEY);
+  if (stored !== null) return Number(stored);
+  const hasKey = (key) => localStorage.getItem(key) !== null;
+  if ([STORAGE_KEY, REPORT_STORAGE_KEY, PROFIT_STORAGE_KEY].some(hasKey)) return BASELINE_SCHEMA_VERSION;
+  return CURRENT_SCHEMA_VERSION; // 새로 시작하는 경우
+}
+
+// 이 앱이 쓰는 모든 localStorage 값 (마이그레이션 백업 자체는 제외)
+function snapshotAppStorage() {
+  const raw = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key || !key.startsWith(STORAGE_KEY_PREFIX) || key === MIGRATION_BACKUP_KEY) continue;
+    raw[key] = localStorage.getItem(key);
+  }
+  return raw;
+}
+
+function restoreAppStorage(raw) {
+  for (const key of Object.keys(snapshotAppStorage())) {
+    if (!(key in raw)) localStorage.removeItem(key);
+  }
+  for (const [key, value] of Object.entries(raw)) localStorage.setItem(key, value);
+}
+
+function runMigrations() {
+  const from = detectSchemaVersion();
+  if (!Number.isInteger(from) || from < BASELINE_SCHEMA_VERSION) {
+    storageErrors.push(`저장된 스키마 버전을 알 수 없습니다: ${localStorage.getItem(SCHEMA_VERSION_KEY)}`);
+    return;
+  }
+  if (from > CURRENT_SCHEMA_VERSION) {
+    storageErrors.push(`이 데이터는 더 새로운 버전의 앱(스키마 v${from})에서 저장되었습니다. 앱을 업데이트하세요.`);
+    return;
+  }
+
+  const pending = MIGRATIONS.filter((m) => m.version > from);
+  if (pending.length === 0) {
+    localStorage.setItem(SCHEMA_VERSION_KEY, String(CURRENT_SCHEMA_VERSION));
+    return;
+  }
+
+  // 백업을 남길 수 없으면(저장 공간 부족 등) 업그레이드하지 않음 - 데이터는 그대로 두고 앱은 시작
+  const before = snapshotAppStorage();
+  try {
+    localStorage.setItem(MIGRATION_BACKUP_KEY, JSON.stringify({ fromVersion: from, takenAt: new Date().toISOString(), raw: before }));
+  } catch (err) {
+    storageErrors.push(
+      `저장 데이터 업그레이드(v${from} → v${CURRENT_SCHEMA_VERSION}) 전 백업을 저장하지 못해 업그레이드를 건너뛰었습니다: ${err?.message || err}. ` +
+        "백업 파일을 저장한 뒤 저장 공간을 비우고 다시 여세요.",
+    );
+    return;
+  }
+
+  let current = from;
+  try {
+    for (const m of pending) {
+      m.migrate();
+      current = m.version;
+      localStorage.setItem(SCHEMA_VERSION_KEY, String(current));
+    }
+    // 마지막 단계 뒤의 버전(단계 없이 올린 버전)까지
+    localStorage.setItem(SCHEMA_VERSION_KEY, String(CURRENT_SCHEMA_VERSION));
+  } catch (err) {
+    restoreAppStorage(before);
+    storageErrors.push(
+      `저장 데이터 업그레이드(v${from} → v${CURRENT_SCHEMA_VERSION}) 중 v${current} 다음 단계에서 실패했습니다: ${err?.message || err}. ` +
+        "데이터는 업그레이드 전 상태로 되돌렸습니다.",
+    );
+  }
+}
+
+// v3 -> v4: 내역에 쓰인 거래처명으로 거래처 목록 생성
+// 공백/대소문자만 다른 이름은 먼저 나온 이름을 대표로, 나머지는 별칭으로 묶음
+function migrateV3ToV4() {
+  if (localStorage.getItem(CLIENT_STORAGE_KEY) !== null) return;
+  const list = normalizeEntries(readJsonKey(STORAGE_KEY) ?? []);
+  const byKey = new Map();
+  for (const e of [...list].sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0))) {
+    const name = safeTrim(e.client);
+    const key = normalizeClientKey(name);
+    if (!key) continue;
+    if (!byKey.has(key)) {
+      byKey.set(key, { ...emptyClient(), name });
+    } else {
+      const c = byKey.get(key);
+      if (name !== c.name && !c.aliases.includes(name)) c.aliases.push(name);
+    }
+  }
+  localStorage.setItem(CLIENT_STORAGE_KEY, JSON.stringify([...byKey.values()]));
+}
+
+// v5 -> v6: 고정이던 원화/방콕뱅크/카시컨/달러를 기본 계좌로 등록
+// 금액 필드 이름(krwIncome 등)은 계좌 id와 같아 내역은 그대로 둠
+function migrateV5ToV6() {
+  if (localStorage.getItem(ACCOUNT_STORAGE_KEY) !== null) return;
+  const list = normalizeEntries(readJsonKey(STORAGE_KEY) ?? []);
+  localStorage.setItem(ACCOUNT_STORAGE_KEY, JSON.stringify(ensureAccountsForEntries(defaultAccounts(), list)));
+}
+
+// v11 -> v12: 기본 분류 목록 생성 (분류 id가 매번 새로 만들어지지 않도록 한 번 저장)
+function migrateV11ToV12() {
+  if (localStorage.getItem(CATEGORY_STORAGE_KEY) === null) {
+    localStorage.setItem(CATEGORY_STORAGE_KEY, JSON.stringify(defaultCategories()));
+  }
+}
+
+// 이 앱이 쓰는 localStorage 문자 수 (키 포함, 마이그레이션 백업 포함)
+function getAppStorageChars() {
+  let total = 0;
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(STORAGE_KEY_PREFIX)) total += key.length + (localStorage.getItem(key)?.length ?? 0);
+  }
+  return total;
+}
+
+function renderStorageAlert() {
+  const el = $("storageAlert");
+  const usage = getAppStorageChars() / STORAGE_QUOTA_CHARS;
+  const nearFull = usage >= STORAGE_WARN_RATIO;
+  const messages = [...storageErrors];
+  if (nearFull) {
+    messages.push(
+      `저장 공간의 약 ${Math.round(usage * 100)}%를 쓰고 있습니다 (변경 기록 ${auditLog.length}건). ` +
+        "가득 차면 저장이 실패하므로, 변경 기록을 CSV로 저장하고 백업 파일을 저장한 뒤 휴지통을 비우세요.",
+    );
+  }
+  el.hidden = messages.length === 0;
+  $("storageAlertList").innerHTML = messages.map((msg) => `<li>${escapeHtml(msg)}</li>`).join("");
+  $("btnStorageExportAudit").hidden = !nearFull;
+  $("btnDownloadMigrationBackup").hidden = localStorage.getItem(MIGRATION_BACKUP_KEY) === null;
+}
+
+// --- 초기화 ---
+runMigrations();
+
+let entries = loadEntries();
+let reportMap = loadReportMap();
+let profitState = loadProfitState();
+let trash = loadTrash();
+let clients = loadClients();
+let accounts = ensureAccountsForEntries(loadAccounts(), entries);
+let rates = loadRates();
+let reconciliations = loadReconciliations();
+let statementState = loadStatementState();
+let categories = loadCategories();
+let monthCloseState = loadMonthCloseState();
+let guides = loadGuides();
+let auditLog = loadAuditLog();
+let auditBaseline = captureAuditBaseline();
+
+function init() {
+  // 탭 전환
+  for (const [name, ids] of Object.entries(TABS)) {
+    $(ids.tab).addEventListener("click", () => {
+      switchTab(name);
+      rerenderAllPreserveFocus();
+    });
+  }
+
+  // 폼 제출 (신규 저장 또는 수정 저장)
+  const form = $("entryForm");
+  form.addEventListener("submit", async (ev) => {
+    ev.preventDefault();
+    const fd = new FormData(form);
+    
+    const dateInput = String(fd.get("date") || "");
+    const { date, error: dateError } = parseInputDate(dateInput);
+    showEntryDateError(dateError);
+
+    const client = resolveClientName(fd.get("client"));
+    const eventKey = reportMap[String(fd.get("eventKey") || "")] ? String(fd.get("eventKey")) : "";
+    // 행사를 직접 지정하고 행사명을 비워 두면 지정한 행사의 이름을 사용
+    const eventName = safeTrim(fd.get("eventName")) || (eventKey ? reportMap[eventKey].eventName : "");
+    const eventDetail = safeTrim(fd.get("eventDetail"));
+    const memo = safeTrim(fd.get("memo"));
+    const categoryId = String(fd.get("categoryId") || "");
+    const tags = normalizeTags(fd.get("tags"));
+
+    if (!date) {
+      form.querySelector('input[name="date"]').focus();
+      return;
+    }
+
+    const editing = editingEntryId ? entries.find((e) => e.id === editingEntryId) : null;
+    const now = Date.now();
+
+    // 계좌별 금액: 폼에 없는 계좌(사용 중지)는 수정 전 값 유지
+    const amounts = {};
+    for (const field of getAmountFields()) amounts[field] = editing ? toFloat(editing[field]) : 0;
+    for (const input of form.querySelectorAll("input[data-amount]")) amounts[input.name] = toFloat(input.value);
+
+    const entry = {
+      id: editing ? editing.id : makeId(),
+      date,
+      client,
+      eventName,
+      eventDetail,
+      eventKey,
+      ...amounts,
+      memo,
+      categoryId,
+      tags,
+      kind: "",
+      allocations: editing ? editing.allocations : [],
+      clearedAccounts: editing ? editing.clearedAccounts : [],
+      createdAt: editing ? editing.createdAt : now,
+      updatedAt: now,
+    };
+
+    // 마감된 월의 내역을 고치거나 마감된 월로 옮기지 않음
+    const lockedMonth = (editing && getEntryLockedMonth(editing)) || getEntryLockedMonth(entry);
+    if (lockedMonth) {
+      showEntryDateError(formatMonthLockedError(lockedMonth));
+      return;
+    }
+
+    // 다른 행사와 병합되면 미리보기를 보여 주고 확인 후 저장
+    const mergeLines = editing ? describeEntryEventMerge(editing, entry) : null;
+    if (mergeLines && !(await openConfirm({ title: "행사 병합", body: mergeLines.join("\n"), danger: false }))) return;
+
+    if (editing) {
+      const oldKey = getEntryEventKey(editing);
+      entries = entries.map((e) => (e.id === entry.id ? entry : e));
+      saveEntries(entries);
+      // 날짜/행사명이 바뀌면 정산서·수익 연결을 새 키로 이동
+      relinkEventData(oldKey, getEntryEventKey(entry), entry.eventName);
+    } else {
+      entries = [entry, ...entries];
+      saveEntries(entries);
+
+      // 행사명과 거래처가 모두 있는 경우만 정산서 생성 (기간/직접 지정이 없으면 월별로 분리)
+      const key = getEntryEventKey(entry);
+      if (key) ensureReportDefaults(key, entry.eventName);
+    }
+    rememberClientCategory(entry.client, entry.categoryId);
+
+    resetEntryForm();
+    rerenderAllPreserveFocus();
+  });
+
+  // 날짜 입력: 입력 중에는 오류 표시 해제, 포커스 아웃 시 변환 결과로 바꿔 보여줌
+  const dateInputEl = form.querySelector('input[name="date"]');
+  dateInputEl.addEventListener("input", () => showEntryDateError(""));
+  dateInputEl.addEventListener("blur", () => {
+    if (!safeTrim(dateInputEl.value)) return;
+    const { date, error } = parseInputDate(dateInputEl.value);
+    if (date) dateInputEl.value = date;
+    showEntryDateError(error);
+  });
+
+  // 거래처 입력: 별칭/띄어쓰기가 다른 이름은 등록된 대표 이름으로 바꿔 보여줌
+  const clientInputEl = form.querySelector('input[name="client"]');
+  clientInputEl.addEventListener("blur", () => {
+    if (!safeTrim(clientInputEl.value)) return;
+    clientInputEl.value = resolveClientName(clientInputEl.value);
+    // 분류를 아직 고르지 않았으면 거래처의 기본 분류로
+    const categorySelect = form.querySelector('select[name="categoryId"]');
+    if (!categorySelect.value) categorySelect.value = getClientDefaultCategoryId(clientInputEl.value);
+  });
+
+  // 날짜 확인 필요 목록의 수정 버튼
+  $("invalidDateTable").addEventListener("click", (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn || btn.dataset.action !== "edit" || !btn.dataset.id) return;
+    startEditEntry(btn.dataset.id);
+    rerenderAllPreserveFocus();
+  });
+
+  $("btnResetForm").addEventListener("click", () => {
+    const wasEditing = Boolean(editingEntryId);
+    resetEntryForm();
+    if (wasEditing) rerenderAllPreserveFocus();
+  });
+
+  $("btnCancelEdit").addEventListener("click", () => {
+    resetEntryForm();
+    rerenderAllPreserveFocus();
+  });
+
+  // 입력/저장 CSV 내보내기
+  $("btnExportEntryCsv").addEventListener("click", () => {
+    exportEntryCsv(entries);
+  });
+
+  $("btnExportFilteredCsv").addEventListener("click", () => {
+    exportEntryCsv(entries, null, filterEntries(entries, entryFilter));
+  });
+
+  // 저장된 내역 필터 - 입력 즉시 목록만 다시 그림
+  const filterFields = {
+    filterFrom: "from",
+    filterTo: "to",
+    filterClient: "client",
+    filterEventName: "eventName",
+    filterText: "text",
+    filterCategory: "category",
+    filterCurrency: "currency",
+    filterFlow: "flow",
+  };
+  for (const [id, field] of Object.entries(filterFields)) {
+    const el = $(id);
+    const eventName = el instanceof HTMLSelectElement || el.type === "date" ? "change" : "input";
+    el.addEventListener(eventName, () => {
+      entryFilter = { ...entryFilter, [field]: safeTrim(el.value) };
+      renderEntryTable(entries);
+    });
+  }
+
+  $("btnResetFilter").addEventListener("click", () => {
+    entryFilter = emptyEntryFilter();
+    for (const id of Object.keys(filterFields)) $(id).value = "";
+    renderEntryTable(entries);
+  });
+
+  // 이체/환전
+  $("btnAddTransfer").addEventListener("click", async () => {
+    const plan = await openTransferDialog();
+    if (!plan || plan.error) return;
+    saveTransfer(plan);
+    rerenderAllPreserveFocus();
+  });
+
+  // 배분 대화상자: 줄 추가/삭제는 표를 다시 그리고, 입력은 값만 읽음
+  $("btnAddAllocation").addEventListener("click", () => {
+    if (!allocationDraft) return;
+    readAllocationRows();
+    allocationDraft.lines.push({ eventKey: "", percent: null, amounts: {} });
+    renderAllocationRows();
+  });
+
+  $("allocationTable").addEventListener("input", () => {
+    if (allocationDraft) readAllocationRows();
+  });
+  $("allocationTable").addEventListener("change", () => {
+    if (allocationDraft) readAllocationRows();
+  });
+
+  $("allocationTable").addEventListener("click", (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn || btn.dataset.action !== "allocation-remove" || !allocationDraft) return;
+    readAllocationRows();
+    allocationDraft.lines.splice(Number(btn.dataset.index), 1);
+    renderAllocationRows();
+  });
+
+  // 입력/저장 CSV 불러오기 (전체/월별 CSV 모두 가능)
+  $("btnImportEntryCsv").addEventListener("click", () => {
+    $("entryCsvFile").click();
+  });
+
+  $("entryCsvFile").addEventListener("change", async () => {
+    const input = $("entryCsvFile");
+    const file = input.files && input.files[0];
+    input.value = "";
+    if (!file) return;
+    const text = await file.text();
+    openEntryImportPreview(file.name, parseEntryCsv(text));
+  });
+
+  $("importDialog").addEventListener("close", () => {
+    if ($("importDialog").returnValue === "ok") commitEntryImport();
+    pendingEntryImport = [];
+  });
+
+  // 수정/삭제 버튼
+  $("entryTable").addEventListener("click", async (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn) return;
+    const id = btn.dataset.id;
+    if (!id) return;
+
+    if (btn.dataset.action === "edit") {
+      startEditEntry(id);
+      rerenderAllPreserveFocus();
+      return;
+    }
+    if (btn.dataset.action === "history") {
+      openAuditDialog({ entryId: id });
+      return;
+    }
+    if (btn.dataset.action === "allocate") {
+      const entry = entries.find((e) => e.id === id);
+      if (!entry || getEntryLockedMonth(entry)) return;
+      const lines = await openAllocationDialog(entry);
+      if (!lines) return;
+      const lockedMonth = getEntryLockedMonth({ ...entry, allocations: lines });
+      if (lockedMonth) {
+        showUndoToast(formatMonthLockedError(lockedMonth));
+        return;
+      }
+      setEntryAllocations(id, lines);
+      rerenderAllPreserveFocus();
+      return;
+    }
+    if (btn.dataset.action !== "delete") return;
+
+    const target = entries.find((e) => e.id === id);
+    if (!target || getEntryLockedMonth(target)) return;
+
+    const ok = await openConfirm({
       title: "삭제 확인",
-      body: "이 항목을 삭제할까요? (되돌릴 수 없습니다)",
+      body: "이 항목을 삭제할까요? (휴지통에서 복원할 수 있습니다)",
       danger: true,
     });
     if (!ok) return;
 
+    const trashId = moveToTrash({ type: "entry", label: entryLabel(target), payload: target });
     entries = entries.filter((e) => e.id !== id);
     saveEntries(entries);
+    if (editingEntryId === id) resetEntryForm();
+    rerenderAllPreserveFocus();
+    showUndoToast("입력 내역을 삭제했습니다.", trashId);
+  });
+
+  // 행사명 변경/병합
+  $("btnRenameEvent").addEventListener("click", async () => {
+    if (!selectedEventKey) return;
+    const plan = await openRenameEventDialog();
+    if (!plan || plan.error) return;
+    applyEventRename(plan);
+    rerenderAllPreserveFocus();
+  });
+
+  // 기간을 지정해 행사 추가 (같은 월에 시작하는 기존 정산서가 있으면 그 정산서에 기간만 지정)
+  $("btnAddEvent").addEventListener("click", async () => {
+    const plan = await openNewEventDialog();
+    if (!plan || plan.error) return;
+    ensureReportDefaults(plan.key, plan.eventName);
+    if (!(await setEventPeriod(plan.key, plan.startDate, plan.endDate))) return;
+    selectedEventKey = plan.key;
+    rerenderAllPreserveFocus();
+  });
+
+  // 행사 기간: 포커스 아웃 시 날짜를 변환해 저장 (시작일/종료일이 모두 있거나 모두 비어 있을 때)
+  for (const id of ["eventStartDate", "eventEndDate"]) {
+    $(id).addEventListener("blur", async () => {
+      if (!selectedEventKey) return;
+      const start = parseInputDate($("eventStartDate").value);
+      const end = parseInputDate($("eventEndDate").value);
+      const error = (safeTrim($("eventStartDate").value) && start.error) || (safeTrim($("eventEndDate").value) && end.error);
+      if (error) {
+        showEventPeriodError(error);
+        return;
+      }
+      if (start.date) $("eventStartDate").value = start.date;
+      if (end.date) $("eventEndDate").value = end.date;
+      if (Boolean(start.date) !== Boolean(end.date)) return;
+      await setEventPeriod(selectedEventKey, start.date, end.date);
+      rerenderAllPreserveFocus();
+    });
+  }
+
+  // 정산 월: 비우면 정산서 키의 월 기준
+  $("eventSettlementMonth").addEventListener("change", () => {
+    if (!selectedEventKey) return;
+    const value = $("eventSettlementMonth").value;
+    const keyMonth = selectedEventKey.split("::")[0];
+    // 마감된 월로 옮기면 그 월의 수익이 바뀌므로 막음
+    if (isMonthClosed(value || keyMonth)) {
+      showEventPeriodError(formatMonthLockedError(value || keyMonth));
+      $("eventSettlementMonth").value = getEventSettlementMonth(selectedEventKey);
+      return;
+    }
+    updateReportField(selectedEventKey, { settlementMonth: value === keyMonth ? "" : value });
     rerenderAllPreserveFocus();
   });
 
@@ -1027,14 +7058,42 @@ function init() {
   };
   
   // 입금 필드
+  // 환율을 직접 고치면 환율 출처는 "직접 입력"으로 바뀜
+  const bindReportRateInput = (id, field) => {
+    $(id).addEventListener("blur", () => {
+      if (!selectedEventKey) return;
+      const value = toFloat($(id).value);
+      const r = reportMap[selectedEventKey];
+      const updates = { [field]: value };
+      if (r && r.rateSource && toFloat(r[field]) !== value) Object.assign(updates, { rateSource: "", rateDate: "" });
+      updateReportField(selectedEventKey, updates);
+      rerenderAllPreserveFocus();
+    });
+  };
+
   bindReportNumberInput("reportFixedPriceKRWIncome", "fixedPriceKRWIncome");
-  bindReportNumberInput("reportBahtExchangeRateIncome", "bahtExchangeRateIncome");
+  bindReportRateInput("reportBahtExchangeRateIncome", "bahtExchangeRateIncome");
   bindReportNumberInput("reportFixedPriceBahtIncome", "fixedPriceBahtIncome");
   
   // 지출 필드
   bindReportNumberInput("reportFixedPriceKRWExpense", "fixedPriceKRWExpense");
-  bindReportNumberInput("reportBahtExchangeRateExpense", "bahtExchangeRateExpense");
+  bindReportRateInput("reportBahtExchangeRateExpense", "bahtExchangeRateExpense");
   bindReportNumberInput("reportFixedPriceBahtExpense", "fixedPriceBahtExpense");
+
+  // 환율 출처 / 달러환산
+  bindReportRateInput("reportUsdToThbRate", "usdToThbRate");
+
+  $("reportRateSource").addEventListener("change", () => {
+    if (!selectedEventKey) return;
+    showReportRateError(applyRateSource(selectedEventKey, $("reportRateSource").value));
+    rerenderAllPreserveFocus();
+  });
+
+  $("btnReapplyRate").addEventListener("click", () => {
+    if (!selectedEventKey) return;
+    showReportRateError(applyRateSource(selectedEventKey, reportMap[selectedEventKey]?.rateSource || ""));
+    rerenderAllPreserveFocus();
+  });
   
   // 환율 변경 시 바트 확정가 자동 계산 및 저장 (곱하기)
   $("reportBahtExchangeRateIncome").addEventListener("blur", () => {
@@ -1067,14 +7126,51 @@ function init() {
   
   // 가이드 정산 입력값
   bindReportNumberInput("reportTourFee", "tourFee");
-  bindReportNumberInput("reportOptionSales", "optionSales");
   bindReportNumberInput("reportOtherIncome", "otherIncome");
   bindReportNumberInput("reportEventCost", "eventCost");
-  bindReportNumberInput("reportOptionCost", "optionCost");
-  bindReportNumberInput("reportGuideDailyFee", "guideDailyFee");
-  bindReportNumberInput("reportGuideCommission", "guideCommission");
   bindReportNumberInput("reportOtherPayment", "otherPayment");
 
+  // 자동 계산 필드: 계산값과 다르게 고치면 직접 입력으로 고정 ("자동으로"로 되돌림)
+  const bindGuideAutoInput = (id, field) => {
+    $(id).addEventListener("blur", () => {
+      const r = selectedEventKey ? reportMap[selectedEventKey] : null;
+      if (!r) return;
+      const value = toFloat($(id).value);
+      const guide = computeGuideSettlement(r);
+      if (value === guide.values[field]) return;
+      const overrides = r.guideOverrides || [];
+      updateReportField(selectedEventKey, {
+        [field]: value,
+        guideOverrides: field in guide.calculated && !overrides.includes(field) ? [...overrides, field] : overrides,
+      });
+      rerenderAllPreserveFocus();
+    });
+  };
+  for (const [field, id] of Object.entries(GUIDE_AUTO_INPUTS)) bindGuideAutoInput(id, field);
+
+  $("guideSettlementCard").addEventListener("click", (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("[data-guide-auto]") : null;
+    const r = selectedEventKey ? reportMap[selectedEventKey] : null;
+    if (!btn || !r) return;
+    updateReportField(selectedEventKey, { guideOverrides: (r.guideOverrides || []).filter((f) => f !== btn.dataset.guideAuto) });
+    rerenderAllPreserveFocus();
+  });
+
+  $("reportGuide").addEventListener("change", () => {
+    if (!selectedEventKey) return;
+    applyGuideProfile(selectedEventKey, $("reportGuide").value);
+    rerenderAllPreserveFocus();
+  });
+
+  // 가이드 탭에서 고친 요율을 이 정산서에 다시 복사
+  $("btnReapplyGuideRate").addEventListener("click", () => {
+    if (!selectedEventKey) return;
+    applyGuideProfile(selectedEventKey, reportMap[selectedEventKey]?.guideId || "");
+    rerenderAllPreserveFocus();
+  });
+
+  bindReportNumberInput("reportTourDays", "tourDays");
+
   // 추가 항목 버튼
   $("btnAddAdditionalItem").addEventListener("click", () => {
     if (!selectedEventKey) return;
@@ -1132,9 +7228,22 @@ function init() {
     const r = reportMap[selectedEventKey];
     if (!r || !r.additionalItems) return;
     
+    const index = r.additionalItems.findIndex(i => i.id === id);
+    if (index < 0) return;
+    const item = r.additionalItems[index];
+    const trashId = moveToTrash({
+      type: "additionalItem",
+      label: `${r.eventName} · ${item.name || "(이름 없음)"}`,
+      eventKey: selectedEventKey,
+      eventName: r.eventName,
+      index,
+      payload: item,
+    });
+
     r.additionalItems = r.additionalItems.filter(i => i.id !== id);
     saveReportMap(reportMap);
     rerenderAllPreserveFocus();
+    showUndoToast("추가 항목을 삭제했습니다.", trashId);
   });
 
   // 가이드 옵션 추가
@@ -1148,6 +7257,7 @@ function init() {
       salePrice: 0,
       costPrice: 0,
       vendor: "",
+      vendorId: "",
     });
     saveReportMap(reportMap);
     rerenderAllPreserveFocus();
@@ -1175,6 +7285,17 @@ function init() {
     if (action === "guide-option-vendor") opt.vendor = el.value;
   });
 
+  // 업체 선택은 바로 저장
+  $("guideOptionsTable").addEventListener("change", (ev) => {
+    const el = ev.target;
+    if (!(el instanceof HTMLSelectElement) || el.dataset.action !== "guide-option-vendor-id" || !selectedEventKey) return;
+    const opt = reportMap[selectedEventKey]?.guideOptions?.find((o) => o.id === el.dataset.id);
+    if (!opt) return;
+    opt.vendorId = el.value;
+    saveReportMap(reportMap);
+    rerenderAllPreserveFocus();
+  });
+
   // blur 시 저장
   $("guideOptionsTable").addEventListener("blur", (ev) => {
     const el = ev.target instanceof HTMLElement ? ev.target : null;
@@ -1198,111 +7319,78 @@ function init() {
     const r = reportMap[selectedEventKey];
     if (!r || !r.guideOptions) return;
     
+    const index = r.guideOptions.findIndex(o => o.id === id);
+    if (index < 0) return;
+    const opt = r.guideOptions[index];
+    const trashId = moveToTrash({
+      type: "guideOption",
+      label: `${r.eventName} · ${opt.optionName || "(이름 없음)"}`,
+      eventKey: selectedEventKey,
+      eventName: r.eventName,
+      index,
+      payload: opt,
+    });
+
     r.guideOptions = r.guideOptions.filter(o => o.id !== id);
     saveReportMap(reportMap);
     rerenderAllPreserveFocus();
+    showUndoToast("가이드 옵션을 삭제했습니다.", trashId);
+  });
+
+  // 정산서 CSV 저장/불러오기
+  $("btnExportReportCsv").addEventListener("click", () => {
+    if (!selectedEventKey) return;
+    exportSettlementCsv(selectedEventKey);
+  });
+
+  $("btnImportReportCsv").addEventListener("click", () => {
+    $("reportCsvFile").click();
+  });
+
+  $("reportCsvFile").addEventListener("change", async () => {
+    const input = $("reportCsvFile");
+    const file = input.files && input.files[0];
+    input.value = "";
+    if (!file) return;
+
+    const parsed = parseSettlementCsv(await file.text());
+    const error = parsed.error || validateSettlementImport(parsed.key, parsed.record);
+    if (error) {
+      await openConfirm({ title: "정산서 불러오기 실패", body: error, danger: false });
+      return;
+    }
+    if (reportMap[parsed.key]) {
+      const ok = await openConfirm({
+        title: "정산서 덮어쓰기",
+        body: `${parsed.key.split("::")[0]} ${parsed.record.eventName} 정산서가 이미 있습니다. 파일 내용으로 바꿀까요? (바뀌기 전 값은 변경 기록에 남습니다)`,
+        danger: true,
+      });
+      if (!ok) return;
+    }
+
+    importSettlementRecord(parsed.key, parsed.record);
+    selectedEventKey = parsed.key;
+    rerenderAllPreserveFocus();
+    const listed = getEventNamesFromEntries().some((ev) => ev.key === parsed.key);
+    showUndoToast(
+      listed
+        ? `정산서를 불러왔습니다: ${parsed.record.eventName}`
+        : `정산서를 불러왔지만 연결된 내역이 없어 행사 목록에 보이지 않습니다. 같은 행사명으로 내역을 입력하거나 기간을 지정하세요.`,
+    );
   });
 
-  // 정산서 CSV
-  $("btnExportReportCsv").addEventListener("click", () => {
+  // 정산서 인쇄
+  $("btnPrintReport").addEventListener("click", () => {
     if (!selectedEventKey) return;
-    const events = getEventNamesFromEntries();
-    const name = events.find((e) => e.key === selectedEventKey)?.name || "정산서";
-    const list = getEntriesByEventKey(selectedEventKey);
-    const r = reportMap[selectedEventKey] || {};
-    const summary = computeEventSummary(selectedEventKey);
-
-    const header = [
-      "행사명",
-      "원화 확정가(입금)",
-      "바트환산(입금)",
-      "바트 확정가(입금)",
-      "원화 확정가(지출)",
-      "바트환산(지출)",
-      "바트 확정가(지출)",
-      "총 입금",
-      "총 지출액",
-      "총 수익",
-      "",
-      "날짜",
-      "거래처",
-      "행사내역",
-      "입금",
-      "지출",
-      "비고",
-    ];
-    
-    const metaRow = [
-      name,
-      String(toFloat(r.fixedPriceKRWIncome)),
-      String(toFloat(r.bahtExchangeRateIncome)),
-      String(toFloat(r.fixedPriceBahtIncome)),
-      String(toFloat(r.fixedPriceKRWExpense)),
-      String(toFloat(r.bahtExchangeRateExpense)),
-      String(toFloat(r.fixedPriceBahtExpense)),
-      String(summary.totalIncome),
-      String(summary.totalExpense),
-      String(summary.totalProfit),
-      "",
-      "",
-      "",
-      "",
-      "",
-      "",
-      "",
-    ];
-
-    const rows = [];
-    
-    // 거래 내역
-    const sorted = list
-      .slice()
-      .sort((a, b) => (a.date > b.date ? 1 : a.date < b.date ? -1 : 0));
-    
-    const bahtIncomeFixed = toFloat(r.fixedPriceBahtIncome);
-    const bahtExpenseFixed = toFloat(r.fixedPriceBahtExpense);
-    
-    for (const e of sorted) {
-      const itemIncome = bahtIncomeFixed + (e.bbIncome || 0) + (e.kbIncome || 0);
-      const itemExpense = bahtExpenseFixed + (e.bbExpense || 0) + (e.kbExpense || 0);
-      
-      rows.push([
-        "", "", "", "", "", "", "", "", "", "", "",
-        e.date,
-        e.client,
-        e.eventDetail,
-        String(itemIncome),
-        String(itemExpense),
-        e.memo
-      ]);
-    }
-    
-    // 추가 항목
-    if (r.additionalItems && r.additionalItems.length > 0) {
-      rows.push(["", "", "", "", "", "", "", "", "", "", "", "", "", "", "", "", ""]);
-      rows.push(["", "", "", "", "", "", "", "", "", "", "", "추가 항목", "", "", "", "", ""]);
-      
-      for (const item of r.additionalItems) {
-        rows.push([
-          "", "", "", "", "", "", "", "", "", "", "",
-          "",
-          item.name || "",
-          "",
-          String(toFloat(item.income)),
-          String(toFloat(item.expense)),
-          ""
-        ]);
-      }
-    }
+    openSettlementPrint(selectedEventKey);
+  });
 
-    const escapeCell = (v) => {
-      const s = String(v ?? "");
-      if (/[",\n\r]/.test(s)) return `"${s.replaceAll('"', '""')}"`;
-      return s;
-    };
-    
-    const lines = [header, metaRow, ...rows].map((r) => r.map(escapeCell).join(","));
-    downloadTextFile(`정산서_${name}.csv`, "\uFEFF" + lines.join("\n"));
+  $("btnPrintReportNow").addEventListener("click", () => {
+    window.print();
+  });
+
+  $("printDialog").addEventListener("close", () => {
+    document.body.classList.remove("is-printing");
   });
 
   // 수익 CSV
@@ -1310,22 +7398,65 @@ function init() {
     exportProfitCsv();
   });
 
+  // 백업 파일 저장/복원
+  $("btnExportBackup").addEventListener("click", () => {
+    exportBackupFile();
+  });
+
+  $("btnExportXlsx").addEventListener("click", () => {
+    exportWorkbookXlsx();
+  });
+
+  $("btnRestoreBackup").addEventListener("click", () => {
+    $("backupFile").click();
+  });
+
+  $("backupFile").addEventListener("change", async () => {
+    const input = $("backupFile");
+    const file = input.files && input.files[0];
+    input.value = "";
+    if (!file) return;
+
+    const backup = parseBackupFile(await file.text());
+    if (backup.error) {
+      await openConfirm({ title: "복원 실패", body: backup.error, danger: false });
+      return;
+    }
+
+    const mode = await openRestoreDialog(file.name, backup);
+    const replaceError = mode === "replace" ? formatClosedMonthsReplaceError("백업으로 덮어쓰기") : "";
+    if (replaceError) {
+      await openConfirm({ title: "복원 실패", body: replaceError, danger: false });
+      return;
+    }
+    if (mode === "replace" || mode === "merge") mergeAuditLog(backup.auditLog);
+    if (mode === "replace") {
+      const trashId = takeSnapshot("백업 덮어쓰기 전 자동 보관");
+      applyRestoredState(backup, `백업 덮어쓰기: ${file.name}`);
+      if (trashId) showUndoToast("백업으로 덮어썼습니다. 이전 데이터는 휴지통에 보관됩니다.", trashId);
+    }
+    if (mode === "merge") applyRestoredState(mergeBackup(backup), `백업 병합: ${file.name}`);
+  });
+
   // 전체 삭제
   $("btnClearAll").addEventListener("click", async () => {
+    const lockError = formatClosedMonthsReplaceError("전체 삭제");
+    if (lockError) {
+      await openConfirm({ title: "전체 삭제", body: lockError, danger: false });
+      return;
+    }
     const ok = await openConfirm({
       title: "전체 삭제",
-      body: "저장된 모든 내역을 삭제할까요? (되돌릴 수 없습니다)",
+      body: "저장된 모든 내역을 삭제할까요? (삭제 전 상태는 휴지통에 스냅샷으로 보관됩니다)",
       danger: true,
     });
     if (!ok) return;
-    
-    entries = [];
-    saveEntries(entries);
-    reportMap = {};
-    saveReportMap(reportMap);
-    profitState = { incomes: {}, expenses: [] };
-    saveProfitState(profitState);
+
+    const trashId = takeSnapshot("전체 삭제 전 자동 보관");
+    setAppData(normalizeAppData({}), "전체 삭제");
+    selectedEventKey = null;
     rerenderAllPreserveFocus();
+    if (trashId) showUndoToast("전체 삭제했습니다.", trashId);
   });
 
   // 수익 탭 이벤트
@@ -1335,7 +7466,7 @@ function init() {
     const action = el.dataset.action;
     const key = el.dataset.key;
     if (!action || !key) return;
-    if (!profitState.incomes[key]) return;
+    if (!profitState.incomes[key] || isMonthClosed(profitState.incomes[key].month)) return;
 
     if (action === "income-toggle" && el instanceof HTMLInputElement) {
       profitState.incomes[key].enabled = el.checked;
@@ -1350,7 +7481,7 @@ function init() {
     const action = el.dataset.action;
     const key = el.dataset.key;
     if (action !== "income-amount" || !key) return;
-    if (!profitState.incomes[key]) return;
+    if (!profitState.incomes[key] || isMonthClosed(profitState.incomes[key].month)) return;
     
     // 값만 임시 저장 (리렌더링 안함)
     profitState.incomes[key].amountOverride = toFloat(el.value);
@@ -1366,6 +7497,41 @@ function init() {
     }
   }, true);
 
+  // 월 마감 / 마감 해제 (해제는 사유를 입력해야 하며 기록에 남음)
+  $("monthCloseForm").addEventListener("submit", async (ev) => {
+    ev.preventDefault();
+    const ym = $("monthCloseMonth").value;
+    if (!/^\d{4}-\d{2}$/.test(ym)) {
+      showMonthCloseError("마감할 월을 고르세요.");
+      return;
+    }
+    if (isMonthClosed(ym)) {
+      showMonthCloseError(`${ym}은(는) 이미 마감되었습니다.`);
+      return;
+    }
+    showMonthCloseError("");
+    const ok = await openConfirm({
+      title: `${ym} 마감`,
+      body: `${ym}의 입력 내역, 정산 월이 ${ym}인 정산서, 수익 탭 수입을 읽기 전용으로 잠급니다. 해제하려면 사유를 입력해야 하며 기록에 남습니다.`,
+      danger: false,
+    });
+    if (!ok) return;
+    closeMonth(ym);
+    $("monthCloseForm").reset();
+    rerenderAllPreserveFocus();
+  });
+
+  $("monthCloseTable").addEventListener("click", async (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn || btn.dataset.action !== "month-reopen") return;
+    const ym = btn.dataset.month;
+    if (!isMonthClosed(ym)) return;
+    const reason = await openReopenMonthDialog(ym);
+    if (!reason) return;
+    reopenMonth(ym, reason);
+    rerenderAllPreserveFocus();
+  });
+
   $("btnAddProfitExpense").addEventListener("click", () => {
     profitState.expenses.push({ id: makeId(), label: "", amount: 0 });
     saveProfitState(profitState);
@@ -1379,9 +7545,482 @@ function init() {
     const id = btn.dataset.id;
     if (!id) return;
     
+    const index = profitState.expenses.findIndex((e) => e.id === id);
+    if (index < 0) return;
+    const exp = profitState.expenses[index];
+    const trashId = moveToTrash({
+      type: "profitExpense",
+      label: `${exp.label || "(항목 없음)"} · ${formatNumberKRW(toFloat(exp.amount))}`,
+      index,
+      payload: exp,
+    });
+
     profitState.expenses = profitState.expenses.filter((e) => e.id !== id);
     saveProfitState(profitState);
     rerenderAllPreserveFocus();
+    showUndoToast("수익 지출 항목을 삭제했습니다.", trashId);
+  });
+
+  // 계좌 탭
+  $("accountCurrency").innerHTML = ACCOUNT_CURRENCIES.map((c) => `<option value="${c.id}">${c.id} (${c.label})</option>`).join("");
+
+  $("accountForm").addEventListener("submit", (ev) => {
+    ev.preventDefault();
+    const error = addAccountFromForm();
+    showAccountError(error);
+    if (!error) rerenderAllPreserveFocus();
+  });
+
+  // 계좌 정보는 변경이 확정될 때(포커스 아웃, 선택 변경) 저장. 잘못된 값은 오류 표시 후 원래 값으로
+  $("accountTable").addEventListener("change", (ev) => {
+    const el = ev.target;
+    if (!(el instanceof HTMLInputElement || el instanceof HTMLSelectElement)) return;
+    const field = el.dataset.action ? el.dataset.action.replace(/^account-/, "") : "";
+    const id = el.dataset.id;
+    if (!field || !id) return;
+    const value = el instanceof HTMLInputElement && el.type === "checkbox" ? el.checked : el.value;
+    showAccountError(updateAccount(id, { [field]: value }));
+    rerenderAllPreserveFocus();
+  });
+
+  $("accountTable").addEventListener("click", (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn || btn.dataset.action !== "account-delete") return;
+    const index = accounts.findIndex((a) => a.id === btn.dataset.id);
+    if (index < 0) return;
+    const account = accounts[index];
+
+    // 내역이 있는 계좌는 금액 필드가 남으므로 삭제 대신 사용 중지
+    if (accountHasEntries(account.id)) {
+      showAccountError(`${account.name} 계좌에 내역이 있어 삭제할 수 없습니다. 사용 체크를 해제하면 입력 폼에서 숨겨집니다.`);
+      return;
+    }
+    if (!accounts.some((a) => a.id !== account.id && a.active)) {
+      showAccountError("사용 중인 계좌가 하나 이상 있어야 합니다.");
+      return;
+    }
+
+    const trashId = moveToTrash({ type: "account", label: `${account.name} (${account.currency})`, index, payload: account });
+    accounts = accounts.filter((a) => a.id !== account.id);
+    saveAccounts(accounts);
+    showAccountError("");
+    rerenderAllPreserveFocus();
+    showUndoToast("계좌를 삭제했습니다.", trashId);
+  });
+
+  // 분류 탭
+  $("categoryForm").addEventListener("submit", (ev) => {
+    ev.preventDefault();
+    const error = addCategoryFromForm();
+    showCategoryError(error);
+    if (!error) rerenderAllPreserveFocus();
+  });
+
+  $("categoryTable").addEventListener("change", (ev) => {
+    const el = ev.target;
+    if (!(el instanceof HTMLInputElement)) return;
+    const field = el.dataset.action ? el.dataset.action.replace(/^category-/, "") : "";
+    const id = el.dataset.id;
+    if (!field || !id) return;
+    showCategoryError(updateCategory(id, { [field]: el.type === "checkbox" ? el.checked : el.value }));
+    rerenderAllPreserveFocus();
+  });
+
+  $("categoryTable").addEventListener("click", (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn || btn.dataset.action !== "category-delete") return;
+    const index = categories.findIndex((c) => c.id === btn.dataset.id);
+    if (index < 0) return;
+    const category = categories[index];
+
+    // 내역이 있는 분류는 삭제하면 미분류가 되므로 사용 중지로 안내
+    if (categoryHasEntries(category.id)) {
+      showCategoryError(`${category.name} 분류에 내역이 있어 삭제할 수 없습니다. 사용 체크를 해제하면 입력 폼에서 숨겨집니다.`);
+      return;
+    }
+
+    const trashId = moveToTrash({ type: "category", label: category.name, index, payload: category });
+    categories = categories.filter((c) => c.id !== category.id);
+    saveCategories(categories);
+    showCategoryError("");
+    rerenderAllPreserveFocus();
+    showUndoToast("분류를 삭제했습니다.", trashId);
+  });
+
+  // 가이드 탭
+  $("guideForm").addEventListener("submit", (ev) => {
+    ev.preventDefault();
+    const error = addGuideFromForm();
+    showGuideError(error);
+    if (!error) rerenderAllPreserveFocus();
+  });
+
+  $("guideTable").addEventListener("change", (ev) => {
+    const el = ev.target;
+    if (!(el instanceof HTMLInputElement || el instanceof HTMLSelectElement)) return;
+    const field = el.dataset.action ? el.dataset.action.replace(/^guide-/, "") : "";
+    const id = el.dataset.id;
+    if (!field || !id) return;
+    showGuideError(updateGuide(id, { [field]: el.type === "checkbox" ? el.checked : el.value }));
+    rerenderAllPreserveFocus();
+  });
+
+  $("guideTable").addEventListener("click", (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn || btn.dataset.action !== "guide-delete") return;
+    const index = guides.findIndex((g) => g.id === btn.dataset.id);
+    if (index < 0) return;
+    const guide = guides[index];
+
+    // 정산서에서 고른 가이드는 삭제하면 이름을 잃으므로 사용 중지로 안내
+    const count = countGuideReports(guide.id);
+    if (count > 0) {
+      showGuideError(`${guide.name} 가이드를 고른 정산서가 ${count}건 있어 삭제할 수 없습니다. 사용 체크를 해제하면 정산서 선택지에서 숨겨집니다.`);
+      return;
+    }
+
+    const trashId = moveToTrash({ type: "guide", label: guide.name, index, payload: guide });
+    guides = guides.filter((g) => g.id !== guide.id);
+    saveGuides(guides);
+    showGuideError("");
+    rerenderAllPreserveFocus();
+    showUndoToast("가이드를 삭제했습니다.", trashId);
+  });
+
+  // 가이드 지급 조건 - 바뀌면 지급 표만 다시 그림
+  const guidePayoutFields = { guidePayoutGuide: "guideId", guidePayoutFrom: "fromMonth", guidePayoutTo: "toMonth", guidePayoutStatus: "status" };
+  for (const [id, field] of Object.entries(guidePayoutFields)) {
+    $(id).addEventListener("change", () => {
+      guidePayoutFilter = { ...guidePayoutFilter, [field]: $(id).value };
+      renderGuidePayouts();
+    });
+  }
+
+  $("btnResetGuidePayout").addEventListener("click", () => {
+    guidePayoutFilter = emptyGuidePayoutFilter();
+    for (const id of Object.keys(guidePayoutFields)) $(id).value = "";
+    renderGuidePayouts();
+  });
+
+  $("guidePayoutTable").addEventListener("change", (ev) => {
+    const el = ev.target;
+    if (!(el instanceof HTMLInputElement) || el.dataset.action !== "payout-paid" || !el.dataset.key) return;
+    setGuidePaid([el.dataset.key], el.checked);
+    rerenderAllPreserveFocus();
+  });
+
+  $("guidePayoutTable").addEventListener("click", async (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn) return;
+    if (btn.dataset.action === "open-event" && btn.dataset.key) {
+      selectedEventKey = btn.dataset.key;
+      switchTab("report");
+      rerenderAllPreserveFocus();
+      return;
+    }
+    const guideId = btn.dataset.guideId;
+    if (btn.dataset.action === "payout-print") {
+      openPrintDocument("가이드 지급 명세서", buildGuidePayoutDocument(guideId));
+      return;
+    }
+    if (btn.dataset.action !== "payout-pay-all") return;
+    const group = computeGuidePayouts({ ...guidePayoutFilter, guideId }).groups[0];
+    const unpaid = (group?.rows || []).filter((row) => !row.paidDate);
+    if (unpaid.length === 0) return;
+    const ok = await openConfirm({
+      title: "가이드 지급 처리",
+      body: `${group.name} 가이드의 미지급 행사 ${unpaid.length}건(${formatNumberKRW(group.unpaid)})을 오늘 날짜로 지급 처리할까요?`,
+      danger: false,
+    });
+    if (!ok) return;
+    setGuidePaid(unpaid.map((row) => row.key), true);
+    rerenderAllPreserveFocus();
+  });
+
+  // 업체 탭
+  $("btnAddVendor").addEventListener("click", () => {
+    selectedClientId = "new";
+    fillClientForm({ ...emptyClient(), isVendor: true });
+    switchTab("client");
+    rerenderAllPreserveFocus();
+    $("clientName").focus();
+  });
+
+  $("vendorTable").addEventListener("click", (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn || btn.dataset.action !== "open-client") return;
+    const client = clients.find((c) => c.id === btn.dataset.clientId);
+    if (!client) return;
+    selectedClientId = client.id;
+    fillClientForm(client);
+    switchTab("client");
+    rerenderAllPreserveFocus();
+  });
+
+  // 업체 미지급 조건 - 바뀌면 미지급 표만 다시 그림
+  const payableFields = { payableVendor: "vendorId", payableFrom: "fromMonth", payableTo: "toMonth" };
+  for (const [id, field] of Object.entries(payableFields)) {
+    $(id).addEventListener("change", () => {
+      payableFilter = { ...payableFilter, [field]: $(id).value };
+      renderPayables();
+    });
+  }
+  $("payableOpenOnly").addEventListener("change", () => {
+    payableFilter = { ...payableFilter, openOnly: $("payableOpenOnly").checked };
+    renderPayables();
+  });
+
+  $("btnResetPayable").addEventListener("click", () => {
+    payableFilter = emptyPayableFilter();
+    for (const id of Object.keys(payableFields)) $(id).value = "";
+    $("payableOpenOnly").checked = false;
+    renderPayables();
+  });
+
+  $("payableTable").addEventListener("click", (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn || btn.dataset.action !== "open-event" || !btn.dataset.key) return;
+    selectedEventKey = btn.dataset.key;
+    switchTab("report");
+    rerenderAllPreserveFocus();
+  });
+
+  // 분류별 집계 조건 - 바뀌면 집계 표만 다시 그림
+  const categoryReportFields = { categoryReportFrom: "fromMonth", categoryReportTo: "toMonth", categoryReportTag: "tag" };
+  for (const [id, field] of Object.entries(categoryReportFields)) {
+    const el = $(id);
+    el.addEventListener(el.type === "month" ? "change" : "input", () => {
+      categoryReportFilter = { ...categoryReportFilter, [field]: safeTrim(el.value) };
+      renderCategoryReport();
+    });
+  }
+
+  $("btnResetCategoryReport").addEventListener("click", () => {
+    categoryReportFilter = emptyCategoryReportFilter();
+    for (const id of Object.keys(categoryReportFields)) $(id).value = "";
+    renderCategoryReport();
+  });
+
+  $("btnExportCategoryReport").addEventListener("click", () => {
+    exportCategoryReportCsv();
+  });
+
+  // 잔액 대사
+  $("reconcileForm").addEventListener("submit", (ev) => {
+    ev.preventDefault();
+    completeReconciliation();
+  });
+
+  $("reconcileAccount").addEventListener("change", () => {
+    showReconcileError("");
+    rerenderAllPreserveFocus();
+  });
+
+  $("reconcileDate").addEventListener("change", () => {
+    const { date, dateError } = readReconcileForm();
+    if (date) $("reconcileDate").value = date;
+    showReconcileError(dateError);
+    rerenderAllPreserveFocus();
+  });
+
+  $("reconcileStatementBalance").addEventListener("change", () => rerenderAllPreserveFocus());
+
+  $("reconcileEntryTable").addEventListener("change", (ev) => {
+    const el = ev.target;
+    if (!(el instanceof HTMLInputElement) || el.dataset.action !== "reconcile-clear") return;
+    setEntryCleared(el.dataset.id, $("reconcileAccount").value, el.checked);
+    rerenderAllPreserveFocus();
+  });
+
+  $("reconcileTable").addEventListener("click", (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn || btn.dataset.action !== "reconcile-delete") return;
+    const record = reconciliations.find((r) => r.id === btn.dataset.id);
+    if (!record) return;
+    const account = accounts.find((a) => a.id === record.accountId);
+    const trashId = moveToTrash({ type: "reconciliation", label: `${account ? account.name : record.accountId} ${record.date}`, payload: record });
+    reconciliations = reconciliations.filter((r) => r.id !== record.id);
+    saveReconciliations(reconciliations);
+    rerenderAllPreserveFocus();
+    showUndoToast("대사 기록을 삭제했습니다.", trashId);
+  });
+
+  // 은행 명세서 가져오기
+  $("btnImportStatement").addEventListener("click", () => {
+    showStatementError("");
+    $("statementFile").click();
+  });
+
+  $("statementFile").addEventListener("change", async () => {
+    const input = $("statementFile");
+    const file = input.files && input.files[0];
+    input.value = "";
+    if (!file) return;
+    const text = await file.text();
+    openStatementImport(file.name, $("statementAccount").value, text);
+  });
+
+  // 머리글 행이 바뀌면 열 이름을 다시 추측, 나머지는 고른 값으로 미리보기
+  $("statementMapping").addEventListener("change", (ev) => {
+    if (!pendingStatement) return;
+    const mapping = readStatementMappingForm();
+    if (ev.target === $("statementHeaderRow")) {
+      const header = (pendingStatement.rows[mapping.headerRow - 1] ?? []).map(safeTrim);
+      for (const key of ["date", "description", "income", "expense"]) {
+        mapping[key] = header.find((h) => STATEMENT_COLUMN_HINTS[key].test(h)) ?? "";
+      }
+    }
+    pendingStatement.mapping = mapping;
+    renderStatementPreview();
+  });
+
+  $("statementDialog").addEventListener("close", () => {
+    if ($("statementDialog").returnValue === "ok") commitStatementImport();
+    pendingStatement = null;
+  });
+
+  $("statementQueueTable").addEventListener("change", (ev) => {
+    const el = ev.target;
+    if (!(el instanceof HTMLInputElement) || !el.dataset.id) return;
+    if (el.dataset.action === "statement-client") updateStatementLine(el.dataset.id, { client: resolveClientName(el.value) });
+    if (el.dataset.action === "statement-eventName") updateStatementLine(el.dataset.id, { eventName: safeTrim(el.value) });
+  });
+
+  $("statementQueueTable").addEventListener("click", (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn || !btn.dataset.id) return;
+    const line = statementState.queue.find((l) => l.id === btn.dataset.id);
+    if (!line) return;
+
+    if (btn.dataset.action === "statement-create") {
+      const error = createEntryFromStatementLine(line.id);
+      showStatementError(error);
+      if (!error) rerenderAllPreserveFocus();
+      return;
+    }
+
+    if (btn.dataset.action === "statement-delete") {
+      const trashId = moveToTrash({ type: "statementLine", label: `${line.date} ${line.description}`, payload: line });
+      statementState = { ...statementState, queue: statementState.queue.filter((l) => l.id !== line.id) };
+      saveStatementState(statementState);
+      showStatementError("");
+      rerenderAllPreserveFocus();
+      showUndoToast("명세서 대기 줄을 삭제했습니다.", trashId);
+    }
+  });
+
+  // 환율표
+  $("rateForm").addEventListener("submit", (ev) => {
+    ev.preventDefault();
+    const error = addRateFromForm();
+    showRateError(error);
+    if (!error) rerenderAllPreserveFocus();
+  });
+
+  $("rateTable").addEventListener("click", (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn || btn.dataset.action !== "rate-delete") return;
+    const rate = rates.find((r) => r.id === btn.dataset.id);
+    if (!rate) return;
+    const trashId = moveToTrash({ type: "exchangeRate", label: `${rate.date} ${rate.source}`, payload: rate });
+    rates = rates.filter((r) => r.id !== rate.id);
+    saveRates(rates);
+    rerenderAllPreserveFocus();
+    showUndoToast("환율을 삭제했습니다.", trashId);
+  });
+
+  // 휴지통
+  $("btnOpenTrash").addEventListener("click", () => {
+    renderTrash();
+    $("trashDialog").showModal();
+  });
+
+  // 변경 기록
+  $("btnOpenAudit").addEventListener("click", () => {
+    openAuditDialog();
+  });
+
+  $("btnEventAudit").addEventListener("click", () => {
+    if (selectedEventKey) openAuditDialog({ eventKey: selectedEventKey });
+  });
+
+  const bindAuditFilter = (id, field) => {
+    $(id).addEventListener("input", () => {
+      auditFilter = { ...auditFilter, [field]: $(id).value };
+      renderAuditLog();
+    });
+  };
+  bindAuditFilter("auditFilterScope", "scope");
+  bindAuditFilter("auditFilterFrom", "from");
+  bindAuditFilter("auditFilterTo", "to");
+  bindAuditFilter("auditFilterText", "text");
+
+  $("btnResetAuditFilter").addEventListener("click", () => {
+    auditFilter = { ...emptyAuditFilter(), eventKey: auditFilter.eventKey, entryId: auditFilter.entryId };
+    renderAuditLog();
+  });
+
+  $("btnAuditShowAll").addEventListener("click", () => {
+    auditFilter = { ...auditFilter, eventKey: "", entryId: "" };
+    renderAuditLog();
+  });
+
+  $("btnExportAudit").addEventListener("click", () => {
+    exportAuditCsv(auditFilter);
+  });
+
+  $("trashTable").addEventListener("click", async (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn) return;
+    const id = btn.dataset.id;
+    if (!id) return;
+
+    if (btn.dataset.action === "trash-restore") {
+      const item = trash.find((t) => t.id === id);
+      if (item?.type === "snapshot") {
+        // 스냅샷 복원은 현재 데이터를 교체하므로 확인
+        $("trashDialog").close();
+        const ok = await openConfirm({
+          title: "스냅샷 복원",
+          body: "현재 데이터를 이 스냅샷으로 교체할까요? (현재 상태는 휴지통에 자동 보관됩니다)",
+          danger: true,
+        });
+        if (!ok) return;
+      }
+      const error = restoreTrashItem(id);
+      rerenderAllPreserveFocus();
+      if (error) showUndoToast(error);
+    }
+    if (btn.dataset.action === "trash-purge") {
+      deleteTrashItem(id);
+      renderTrash();
+    }
+  });
+
+  $("btnEmptyTrash").addEventListener("click", async () => {
+    if (trash.length === 0) return;
+    $("trashDialog").close();
+    const ok = await openConfirm({
+      title: "휴지통 비우기",
+      body: `휴지통의 ${trash.length}개 항목을 영구 삭제할까요? (되돌릴 수 없습니다)`,
+      danger: true,
+    });
+    if (!ok) return;
+    trash = saveTrash([]);
+    renderTrash();
+  });
+
+  $("undoToastAction").addEventListener("click", () => {
+    const trashId = $("undoToast").dataset.trashId;
+    hideUndoToast();
+    if (!trashId) return;
+    const error = restoreTrashItem(trashId);
+    rerenderAllPreserveFocus();
+    if (error) showUndoToast(error);
+  });
+
+  $("undoToastClose").addEventListener("click", () => {
+    hideUndoToast();
   });
 
   // 지출 입력 이벤트 수정 (한글 입력 오류 해결)
@@ -1416,8 +8055,97 @@ function init() {
     }
   }, true);
 
+  // 거래처 탭
+  $("clientList").addEventListener("click", (ev) => {
+    const el = ev.target instanceof HTMLElement ? ev.target.closest("[data-client-id]") : null;
+    if (!el) return;
+    selectedClientId = el.dataset.clientId;
+    const client = clients.find((c) => c.id === selectedClientId);
+    if (client) fillClientForm(client);
+    rerenderAllPreserveFocus();
+  });
+
+  $("btnAddClient").addEventListener("click", () => {
+    selectedClientId = "new";
+    fillClientForm(emptyClient());
+    rerenderAllPreserveFocus();
+    $("clientName").focus();
+  });
+
+  // 미등록 거래처명을 목록에 등록
+  $("btnRegisterClient").addEventListener("click", () => {
+    const name = selectedClientId?.startsWith("name:") ? selectedClientId.slice(5) : "";
+    if (!name) return;
+    const client = { ...emptyClient(), name };
+    clients = [...clients, client];
+    saveClients(clients);
+    selectedClientId = client.id;
+    fillClientForm(client);
+    rerenderAllPreserveFocus();
+  });
+
+  $("clientForm").addEventListener("submit", (ev) => {
+    ev.preventDefault();
+    if (!saveClientFromForm()) return;
+    rerenderAllPreserveFocus();
+  });
+
+  $("btnDeleteClient").addEventListener("click", async () => {
+    const client = clients.find((c) => c.id === selectedClientId);
+    if (!client) return;
+    const ok = await openConfirm({
+      title: "거래처 삭제",
+      body: `"${client.name}"을(를) 거래처 목록에서 삭제할까요? 입력 내역의 거래처명은 그대로 남습니다. (휴지통에서 복원할 수 있습니다)`,
+      danger: true,
+    });
+    if (!ok) return;
+    const trashId = moveToTrash({ type: "client", label: client.name, payload: client });
+    clients = clients.filter((c) => c.id !== client.id);
+    saveClients(clients);
+    selectedClientId = null;
+    rerenderAllPreserveFocus();
+    showUndoToast("거래처를 삭제했습니다.", trashId);
+  });
+
+  $("clientEventTable").addEventListener("click", (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn || btn.dataset.action !== "open-event" || !btn.dataset.key) return;
+    selectedEventKey = btn.dataset.key;
+    switchTab("report");
+    rerenderAllPreserveFocus();
+  });
+
+  $("clientEntryTable").addEventListener("click", (ev) => {
+    const btn = ev.target instanceof HTMLElement ? ev.target.closest("button") : null;
+    if (!btn || btn.dataset.action !== "edit" || !btn.dataset.id) return;
+    startEditEntry(btn.dataset.id);
+    rerenderAllPreserveFocus();
+  });
+
+  // 업그레이드 전 원본 데이터 저장
+  $("btnDownloadMigrationBackup").addEventListener("click", () => {
+    const raw = localStorage.getItem(MIGRATION_BACKUP_KEY);
+    if (!raw) return;
+    downloadTextFile("soo_money_check_migration_backup.json", raw);
+    // 파일로 받았으면 저장 공간을 차지하지 않도록 지움
+    localStorage.removeItem(MIGRATION_BACKUP_KEY);
+    renderStorageAlert();
+  });
+
+  // 저장 공간 경고: 변경 기록 전체를 CSV로
+  $("btnStorageExportAudit").addEventListener("click", () => {
+    exportAuditCsv(emptyAuditFilter());
+  });
+
   // 최초 렌더
   rerenderAll();
+
+  // 최신 버전으로 정상적으로 열렸으면 업그레이드 전 보관본은 더 필요 없음 (저장 공간 절약)
+  // 업그레이드가 실패했으면 상단의 저장 버튼으로 받을 때까지 남김
+  if (localStorage.getItem(SCHEMA_VERSION_KEY) === String(CURRENT_SCHEMA_VERSION)) {
+    localStorage.removeItem(MIGRATION_BACKUP_KEY);
+    renderStorageAlert();
+  }
 }
 
 init();